@@ -0,0 +1,175 @@
+/**
+ * @module bootstrap — Nonparametric bootstrap confidence regions.
+ *
+ * The parametric cones of fisherStats and binghamFit assume the data follow
+ * those distributions. The bootstrap makes no such assumption: the data are
+ * resampled with replacement, the statistic is recomputed for each
+ * pseudo-sample, and confidence regions are read off the spread of the
+ * replicates. Pass a `seed` to make the results reproducible.
+ */
+
+import * as vec3 from './core/vec3.js';
+import { seededRandom, randomInt } from './core/random.js';
+import { meanVector, principalAxes } from './statistics.js';
+
+const DEG = 180 / Math.PI;
+
+/**
+ * Evaluate a statistic on bootstrap resamples of the data.
+ *
+ * @param {Array} data - e.g. direction cosines
+ * @param {function(Array): *} statistic - applied to each resample
+ * @param {Object} [options]
+ * @param {number} [options.samples=1000] - number of resamples
+ * @param {number} [options.seed] - PRNG seed
+ * @returns {Array} one statistic value per resample
+ */
+export function bootstrapReplicates(data, statistic, options = {}) {
+  const { samples = 1000, seed } = options;
+  if (data.length === 0) throw new Error('Cannot bootstrap an empty sample');
+  const random = seededRandom(seed);
+  const n = data.length;
+  const out = [];
+  for (let s = 0; s < samples; s++) {
+    const resample = new Array(n);
+    for (let i = 0; i < n; i++) resample[i] = data[randomInt(random, n)];
+    out.push(statistic(resample));
+  }
+  return out;
+}
+
+/** Quantile p of ascending values, interpolating linearly between order statistics. */
+function quantile(sorted, p) {
+  const x = p * (sorted.length - 1);
+  const i = Math.floor(x);
+  if (i >= sorted.length - 1) return sorted[sorted.length - 1];
+  const f = x - i;
+  return f === 0 ? sorted[i] : sorted[i] + f * (sorted[i + 1] - sorted[i]);
+}
+
+/**
+ * Two-sided percentile interval of bootstrap replicates. NaN values (e.g. K
+ * for a resample with tied eigenvalues) are ignored.
+ *
+ * @param {number[]} values
+ * @param {number} [confidence=0.95]
+ * @returns {number[]} [lower, upper]
+ */
+export function percentileInterval(values, confidence = 0.95) {
+  const sorted = values.filter(v => !Number.isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [NaN, NaN];
+  const tail = (1 - confidence) / 2;
+  return [quantile(sorted, tail), quantile(sorted, 1 - tail)];
+}
+
+/**
+ * Confidence cone and ellipse around `center` from replicate directions.
+ *
+ * The cone half-angle is the `confidence` quantile of the angles to the
+ * centre. The ellipse comes from the covariance of the replicates mapped onto
+ * the tangent plane (azimuthal equidistant), scaled by the χ²₂ quantile.
+ * Replicates are assumed to lie on the centre's side of the sphere.
+ */
+function confidenceRegion(center, directions, confidence) {
+  const ref = Math.abs(center[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+  const u = vec3.normalize(vec3.cross(center, ref));
+  const v = vec3.cross(center, u);
+
+  const angles = [];
+  let cuu = 0, cvv = 0, cuv = 0;
+  for (const d of directions) {
+    const r = vec3.angle(center, d);
+    angles.push(r);
+    const x = vec3.dot(d, u);
+    const y = vec3.dot(d, v);
+    const s = Math.hypot(x, y);
+    const px = s > 1e-15 ? r * x / s : 0;
+    const py = s > 1e-15 ? r * y / s : 0;
+    cuu += px * px; cvv += py * py; cuv += px * py;
+  }
+  const m = directions.length;
+  cuu /= m; cvv /= m; cuv /= m;
+  const mid = (cuu + cvv) / 2;
+  const rad = Math.hypot((cuu - cvv) / 2, cuv);
+  const theta = 0.5 * Math.atan2(2 * cuv, cuu - cvv);
+  const q = -2 * Math.log(1 - confidence);
+  const semi = variance => Math.min(90, Math.sqrt(q * Math.max(0, variance)) * DEG);
+
+  angles.sort((a, b) => a - b);
+  return {
+    cone: Math.min(90, quantile(angles, confidence) * DEG),
+    ellipse: {
+      center,
+      major: vec3.add(vec3.scale(u, Math.cos(theta)), vec3.scale(v, Math.sin(theta))),
+      a: semi(mid + rad),
+      b: semi(mid - rad),
+    },
+  };
+}
+
+/**
+ * Bootstrap confidence regions for the mean direction of vectors.
+ *
+ * @param {Array<number[]>} dcos
+ * @param {Object} [options]
+ * @param {number} [options.samples=1000]
+ * @param {number} [options.confidence=0.95]
+ * @param {number} [options.seed]
+ * @returns {{ n: number, samples: number, mean: number[], cone: number,
+ *             ellipse: { center: number[], major: number[], a: number, b: number } }}
+ *   cone    — half-angle in degrees holding `confidence` of the bootstrap means
+ *   ellipse — confidence ellipse of the mean, semi-axes a ≥ b in degrees
+ */
+export function bootstrapMean(dcos, options = {}) {
+  const { samples = 1000, confidence = 0.95 } = options;
+  const mean = meanVector(dcos);
+  const means = bootstrapReplicates(dcos, meanVector, options);
+  return { n: dcos.length, samples, mean, ...confidenceRegion(mean, means, confidence) };
+}
+
+/**
+ * Bootstrap confidence regions for the principal axes of axial data, and
+ * percentile intervals for the eigenvalues and fabric parameters.
+ *
+ * @param {Array<number[]>} dcos
+ * @param {Object} [options]
+ * @param {number} [options.samples=1000]
+ * @param {number} [options.confidence=0.95]
+ * @param {number} [options.seed]
+ * @returns {{ n: number, samples: number, eigenvalues: number[], eigenvectors: number[][],
+ *             axes: Array<{ vector: number[], cone: number, ellipse: Object }>,
+ *             intervals: Object<string, number[]> }}
+ *   axes      — V1–V3 with a confidence cone (degrees) and ellipse each
+ *   intervals — [lower, upper] for S1, S2, S3, K, C, P, G and R
+ */
+export function bootstrapAxes(dcos, options = {}) {
+  const { samples = 1000, confidence = 0.95 } = options;
+  const base = principalAxes(dcos);
+  const replicates = bootstrapReplicates(dcos, principalAxes, options);
+
+  const axes = base.eigenvectors.map((vector, i) => {
+    // Axes are sign-less: bring each replicate to the side of the sample axis
+    const directions = replicates.map(r => {
+      const d = r.eigenvectors[i];
+      return vec3.dot(d, vector) < 0 ? vec3.negate(d) : d;
+    });
+    return { vector, ...confidenceRegion(vector, directions, confidence) };
+  });
+
+  const interval = pick => percentileInterval(replicates.map(pick), confidence);
+  const intervals = {
+    S1: interval(r => r.eigenvalues[0]),
+    S2: interval(r => r.eigenvalues[1]),
+    S3: interval(r => r.eigenvalues[2]),
+  };
+  for (const key of ['K', 'C', 'P', 'G', 'R']) intervals[key] = interval(r => r[key]);
+
+  return {
+    n: dcos.length,
+    samples,
+    eigenvalues: base.eigenvalues,
+    eigenvectors: base.eigenvectors,
+    axes,
+    intervals,
+  };
+}
@@ -1,87 +1,454 @@
 /**
  * @module contouring — Density estimation and contour extraction on the sphere.
  *
- * Uses an exponential (Fisher) kernel for smooth density estimation on a
- * regular grid in projected space, then marching squares for contour lines.
+ * Estimates the density on a regular grid in projected space, then traces
+ * contour lines with marching squares. Density methods:
+ *   exponential  — smooth exponential (Fisher) kernel (Vollmer, 1995); default
+ *   kamb         — Kamb (1959) count in a cone whose expected count for
+ *                  uniform data is 3σ: area A = 9/(n + 9) of the hemisphere
+ *   linear-kamb  — the Kamb cone, weights falling linearly to 0 at its rim
+ *   square-kamb  — the Kamb cone, weights falling with the square of the
+ *                  distance to the rim
+ *   schmidt      — count in a cone of 1% of the hemisphere area
+ * Densities are normalised to MUD (multiples of a uniform distribution).
+ *
+ * Axial data (poles, lineations without sense) count at both ends of each
+ * axis, so a cluster straddling the primitive — or the rim of a rotated
+ * view — gives one continuous density rather than two half-densities on
+ * opposite sides of the net. Vector data (e.g. palaeomagnetic directions)
+ * count only where they point. Axes are measured against a uniform
+ * distribution over the hemisphere, vectors against one over the whole
+ * sphere, so the same n directions give twice the MUD as vectors as they
+ * do as axes. Data are axial unless `axial: false` is given. In the 'both'
+ * view vectors are contoured on both hemispheres: the upper-hemisphere
+ * density is traced on its own grid and returned as `upper` lines.
+ *
+ * Filled contours: the density is extended outside the primitive circle by
+ * copying the value at the rim radially outwards, and the grid is padded with
+ * a border below every level, so each superlevel set {density ≥ level} is
+ * bounded by closed rings. Ring points outside the circle are then pulled
+ * radially onto it, which closes the rings along the primitive.
  */
 
 import * as mat3 from './core/mat3.js';
-import { inverse as equalAreaInverse } from './projections/equal-area.js';
-import { inverse as equalAngleInverse } from './projections/equal-angle.js';
+import { getProjection, netRadius } from './projections/index.js';
+import { unpackWeighted, effectiveSize } from './core/weights.js';
 
 const DEG = Math.PI / 180;
 
+/** Display names of the density units accepted by computeContours(). */
+export const DENSITY_UNITS = {
+  mud: 'MUD',
+  sigma: 'σ',
+  'sigma-excess': 'σ above uniform',
+  percent: '% per 1% area',
+};
+
+/** Density methods accepted by computeContours(). */
+export const DENSITY_METHODS = ['exponential', 'kamb', 'linear-kamb', 'square-kamb', 'schmidt'];
+
+// Mean square of the counting weights over the cone, relative to a plain
+// count: E[w²] for w = 2x and w = 3x², x uniform on [0, 1]
+const SECOND_MOMENT = { kamb: 1, 'linear-kamb': 4 / 3, 'square-kamb': 9 / 5, schmidt: 1, exponential: 1 };
+
+/**
+ * Half-angle of the counting cone, in radians, for a counting method.
+ * Kamb cones hold 3σ of uniform data: n·A = 3√(n·A·(1 − A)) → A = 9/(n + 9);
+ * Schmidt cones cover A = 1%. A is a fraction of the hemisphere for axes
+ * and of the sphere for vectors.
+ *
+ * @param {string} method - one of DENSITY_METHODS other than 'exponential'
+ * @param {number} n - number of data
+ * @param {boolean} [axial=true] - axes or vectors (see module docs)
+ * @returns {number}
+ */
+export function countingRadius(method, n, axial = true) {
+  const area = method === 'schmidt' ? 0.01 : 9 / (n + 9);
+  return Math.acos(1 - (axial ? area : 2 * area));
+}
+
+/**
+ * Factor converting density in MUD (multiples of a uniform distribution) to
+ * other units.
+ *
+ * 'percent' (% of the data per 1% of the hemisphere area) equals MUD, since
+ * a uniform distribution has 1% of the data in every 1% of the area.
+ * 'sigma' expresses the expected count in a counting cone of half-angle
+ * `sigma` in standard deviations of a uniform (binomial) count, as for Kamb
+ * contours: the cone covers A = 1 − cos σ of the hemisphere (half that of
+ * the sphere, for vectors), so count = MUD·n·A and sd = √(n·A·(1 − A)). Linear and square Kamb weights
+ * have a larger spread, sd = √(n·A·(m − A)) with m = 4/3 and 9/5.
+ * 'sigma-excess' is the same scale measured from the uniform expectation,
+ * (count − n·A) / sd = factor·(MUD − 1); convert with densityToUnits().
+ *
+ * @param {'mud'|'sigma'|'sigma-excess'|'percent'} units
+ * @param {number} n - number of data
+ * @param {number} sigma - counting cone / kernel half-width in radians
+ * @param {string} [method='exponential'] - density method (see module docs)
+ * @param {boolean} [axial=true] - axes or vectors (see module docs)
+ * @returns {number}
+ */
+export function densityFactor(units, n, sigma, method = 'exponential', axial = true) {
+  switch (units) {
+    case 'mud':
+    case 'percent':
+      return 1;
+    case 'sigma':
+    case 'sigma-excess': {
+      const area = (1 - Math.cos(sigma)) / (axial ? 1 : 2);
+      return Math.sqrt(n * area / (SECOND_MOMENT[method] - area));
+    }
+    default:
+      throw new Error(`Unknown density units: "${units}"`);
+  }
+}
+
+/**
+ * Convert a density in MUD to other units (see densityFactor).
+ * @param {number} mud
+ * @param {'mud'|'sigma'|'sigma-excess'|'percent'} units
+ * @param {number} n
+ * @param {number} sigma - counting cone / kernel half-width in radians
+ * @param {string} [method='exponential']
+ * @param {boolean} [axial=true]
+ * @returns {number}
+ */
+export function densityToUnits(mud, units, n, sigma, method = 'exponential', axial = true) {
+  const factor = densityFactor(units, n, sigma, method, axial);
+  return units === 'sigma-excess' ? factor * (mud - 1) : factor * mud;
+}
+
 /**
  * Compute contour paths for a set of direction cosines.
  *
- * @param {Array<number[]>} dcos - unit vectors (lower hemisphere)
+ * Weighted data count each direction in proportion to its weight; densities
+ * are still normalised to MUD (the weights are divided by their sum), and the
+ * effective sample size (Σw)²/Σw² stands in for n in the default kernel width
+ * and in σ units.
+ *
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos -
+ *   unit vectors (lower hemisphere), or weighted records
  * @param {Object} options
- * @param {string}  [options.projection='equal-area']
+ * @param {number[]} [options.weights] - one weight per direction
+ * @param {string|Object} [options.projection='equal-area'] - projection name or object
+ * @param {'lower'|'upper'|'both'|'full'} [options.hemisphere='lower'] - viewed
+ *   hemisphere; 'both' is contoured as the lower hemisphere, plus the upper
+ *   hemisphere for vector data
  * @param {number[]|null} [options.rotation=null] - 3×3 rotation matrix
  * @param {number}  [options.gridSize=40] - grid cells per side
- * @param {number[]} [options.levels=[2,4,6,8]] - density levels (MUD)
- * @param {number}  [options.sigma] - kernel half-width in degrees (auto if omitted)
- * @returns {Array<{ level: number, paths: number[][][] }>}
- *   paths in **projected** coordinates [px, py]
+ * @param {number[]} [options.levels=[2,4,6,8]] - density levels (ascending), in `units`
+ * @param {'mud'|'sigma'|'sigma-excess'|'percent'} [options.units='mud'] - density
+ *   units (see densityFactor)
+ * @param {string}  [options.method='exponential'] - density method (see module docs)
+ * @param {boolean} [options.axial=true] - the data are axes: each counts at
+ *   both antipodes, and MUD is relative to a uniform distribution over the
+ *   hemisphere. false: vectors, counted at one end only, relative to a
+ *   uniform distribution over the sphere
+ * @param {number}  [options.sigma] - kernel half-width, or counting cone
+ *   half-angle for the Kamb methods, in degrees (auto if omitted; the
+ *   Schmidt cone is fixed)
+ * @param {number}  [options.cutoff] - exponential kernel: ignore data farther
+ *   than this many degrees (default: where the kernel falls below e^-12 of its peak)
+ * @param {boolean} [options.filled=false] - also return closed rings for filled bands
+ * @returns {Array<{ level: number, paths: number[][][], upper?: number[][][],
+ *                   rings?: number[][][], band?: number[][][] }>}
+ *   paths in **projected** coordinates [px, py]. `upper` (vector data in the
+ *   'both' view) holds the lines of the upper-hemisphere density, at the
+ *   positions where upper directions are plotted. With `filled`, `rings`
+ *   bound the region where density ≥ level, and `band` holds the rings of
+ *   the band between this level and the next (this level's rings plus the
+ *   next level's), to be filled with the even-odd rule; bands are of the
+ *   lower hemisphere only.
  */
 export function computeContours(dcos, options = {}) {
+  const job = contourJob(dcos, options);
+  job.fill(0, job.rows);
+  return job.finish();
+}
+
+/**
+ * computeContours() in slices, yielding to the event loop between them so a
+ * browser stays responsive on large datasets. Rows of the density grid are
+ * computed in order; after each slice `onProgress` receives the fraction
+ * done and the contour lines of the rows so far (no filled rings).
+ *
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos
+ * @param {Object} [options] - as for computeContours, plus:
+ * @param {AbortSignal} [options.signal] - abort the job; the promise rejects
+ *   with the signal's reason
+ * @param {function(number, Array<{ level: number, paths: number[][][] }>)} [options.onProgress]
+ * @param {number} [options.sliceTime=16] - milliseconds of work per slice
+ * @returns {Promise<Array>} resolves to the computeContours() result
+ */
+export async function computeContoursAsync(dcos, options = {}) {
+  const { signal, onProgress, sliceTime = 16 } = options;
+  const job = contourJob(dcos, options);
+  let row = 0;
+  while (row < job.rows) {
+    if (signal?.aborted) throw signal.reason ?? new Error('Contouring aborted');
+    const start = Date.now();
+    do {
+      job.fill(row, row + 1);
+      row++;
+    } while (row < job.rows && Date.now() - start < sliceTime);
+    if (row < job.rows) {
+      if (onProgress) onProgress(row / job.rows, job.partial());
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  if (signal?.aborted) throw signal.reason ?? new Error('Contouring aborted');
+  const result = job.finish();
+  if (onProgress) onProgress(1, result);
+  return result;
+}
+
+/**
+ * Set up a contouring job: the density grid is filled row by row with
+ * fill(j0, j1), partial() traces the rows filled so far, and finish()
+ * returns the computeContours() result.
+ */
+function contourJob(dcos, options) {
   const {
     projection = 'equal-area',
+    hemisphere = 'lower',
     rotation = null,
     gridSize = 40,
     levels = [2, 4, 6, 8],
+    filled = false,
+    units = 'mud',
+    method = 'exponential',
+    axial = true,
   } = options;
+  if (!DENSITY_METHODS.includes(method)) throw new Error(`Unknown density method: "${method}"`);
+
+  const weighted = unpackWeighted(dcos, options.weights);
+  const weights = weighted.weights;
+  const n = weighted.dcos.length;
+  if (n === 0) {
+    const empty = levels.map(level => filled ? { level, paths: [], rings: [], band: [] } : { level, paths: [] });
+    return { rows: 0, fill() {}, partial: () => empty, finish: () => empty };
+  }
 
-  const n = dcos.length;
-  if (n === 0) return levels.map(level => ({ level, paths: [] }));
-
-  // Kernel width: default ≈ 90/√n degrees
-  const sigma = (options.sigma != null ? options.sigma : 90 / Math.sqrt(n)) * DEG;
+  // Kernel width: default ≈ 90/√n degrees; counting cones from the method
+  const nEff = effectiveSize(weights, n);
+  let sigma;
+  if (method === 'schmidt') sigma = countingRadius(method, nEff, axial);
+  else if (options.sigma != null) sigma = options.sigma * DEG;
+  else sigma = method === 'exponential' ? 90 / Math.sqrt(nEff) * DEG : countingRadius(method, nEff, axial);
   const cosSigma = Math.cos(sigma);
   const kappa = 1 / (1 - cosSigma);
+  const toUnits = mud => densityToUnits(mud, units, nEff, sigma, method, axial);
+  const total = weights ? weights.reduce((a, b) => a + b, 0) : n;
+  const domain = axial ? 1 : 2; // area of the uniform reference, in hemispheres
 
-  const inverseFn = projection === 'equal-angle' ? equalAngleInverse : equalAreaInverse;
-  const projR = projection === 'equal-angle' ? 1 : Math.SQRT2;
+  const proj = getProjection(projection);
+  const gridHemisphere = hemisphere === 'both' ? 'lower' : hemisphere;
+  const projR = netRadius(proj, gridHemisphere);
+  const inverseFn = (px, py) => proj.inverse(px, py, gridHemisphere);
 
   // Pre-rotate data into the view frame
-  const data = rotation ? dcos.map(d => mat3.transformVec3(rotation, d)) : dcos;
+  const data = rotation ? weighted.dcos.map(d => mat3.transformVec3(rotation, d)) : weighted.dcos;
+  const kernel = densityKernel(method, kappa, cosSigma);
+  const sum = densitySum(data, weights, kernel, densityCutoff(method, kappa, cosSigma, options.cutoff), axial);
+
+  // MUD normalisation: every kernel integrates to 1/κ over the hemisphere
+  // (κ = 1/A for a cone of area A), so MUD = κ/Σw · Σ wᵢ K(cosθᵢ). Both
+  // antipodes of an axis together integrate to the same 1/κ; a vector
+  // spreads over the whole sphere, twice the area.
+  const densityOf = (x, y, z) => toUnits(domain * kappa * sum(x, y, z) / total);
+  const densityAt = (px, py) => {
+    const d = inverseFn(px, py);
+    return d ? densityOf(d[0], d[1], d[2]) : NaN;
+  };
+  // 'both' view, vectors: upper directions plot where their mirror image
+  // through the horizontal plane would
+  const upperDensityAt = (px, py) => {
+    const d = inverseFn(px, py);
+    return d ? densityOf(d[0], d[1], -d[2]) : NaN;
+  };
 
   // --- density grid ----------------------------------------------------------
-  const grid = new Float64Array(gridSize * gridSize);
+  // Rows not yet filled stay NaN, which marching squares skips
+  const grid = new Float64Array(gridSize * gridSize).fill(NaN);
   const step = 2 * projR / (gridSize - 1);
+  // Filled mode: outside values copied from the rim (see module docs)
+  const outside = filled ? new Float64Array(gridSize * gridSize).fill(NaN) : null;
+  const upperGrid = hemisphere === 'both' && !axial
+    ? new Float64Array(gridSize * gridSize).fill(NaN)
+    : null;
+
+  const fill = (j0, j1) => {
+    for (let j = j0; j < j1; j++) {
+      const py = projR - j * step;
+      for (let i = 0; i < gridSize; i++) {
+        const px = -projR + i * step;
+        const r = Math.sqrt(px * px + py * py);
+
+        if (filled && r > projR) {
+          const f = projR * (1 - 1e-9) / r;
+          outside[j * gridSize + i] = densityAt(px * f, py * f);
+        }
 
-  for (let j = 0; j < gridSize; j++) {
-    const py = projR - j * step;
-    for (let i = 0; i < gridSize; i++) {
-      const px = -projR + i * step;
-
-      if (px * px + py * py > projR * projR * 1.02) {
-        grid[j * gridSize + i] = NaN;
-        continue;
+        const inside = r * r <= projR * projR * 1.02;
+        grid[j * gridSize + i] = inside ? densityAt(px, py) : NaN;
+        if (upperGrid) upperGrid[j * gridSize + i] = inside ? upperDensityAt(px, py) : NaN;
       }
+    }
+  };
 
-      const d = inverseFn(px, py);
-      if (!d) { grid[j * gridSize + i] = NaN; continue; }
-
-      let density = 0;
-      for (let k = 0; k < n; k++) {
-        const rd = data[k];
-        const dot = d[0] * rd[0] + d[1] * rd[1] + d[2] * rd[2];
-        density += Math.exp(kappa * (dot - 1));
+  // --- marching squares at each level ----------------------------------------
+  const trace = (values, level) => assembleSegments(marchingSquares(values, gridSize, step, projR, level));
+  const lines = () => levels.map(level => (upperGrid
+    ? { level, paths: trace(grid, level), upper: trace(upperGrid, level) }
+    : { level, paths: trace(grid, level) }));
+
+  const finish = () => {
+    const result = lines();
+    if (!filled) return result;
+
+    // --- closed rings for filled bands -----------------------------------------
+    const floor = Math.min(0, ...levels) - 1;
+    const size = gridSize + 2;
+    const padded = new Float64Array(size * size).fill(floor);
+    for (let j = 0; j < gridSize; j++) {
+      for (let i = 0; i < gridSize; i++) {
+        const v = outside[j * gridSize + i];
+        padded[(j + 1) * size + i + 1] = isNaN(v) ? grid[j * gridSize + i] : v;
       }
+    }
+    // Cells where the rim value could not be computed are treated as empty
+    for (let k = 0; k < padded.length; k++) {
+      if (isNaN(padded[k])) padded[k] = floor;
+    }
 
-      // MUD normalisation:  MUD ≈ κ/n · Σ exp(κ(cosθ − 1))
-      grid[j * gridSize + i] = kappa * density / n;
+    const toRim = ([px, py]) => {
+      const r = Math.sqrt(px * px + py * py);
+      return r > projR ? [px * projR / r, py * projR / r] : [px, py];
+    };
+    for (const entry of result) {
+      entry.rings = assembleSegments(
+        marchingSquares(padded, size, step, projR + step, entry.level),
+      ).map(ring => ring.map(toRim));
+    }
+    for (let k = 0; k < result.length; k++) {
+      const next = result[k + 1];
+      result[k].band = next ? [...result[k].rings, ...next.rings] : result[k].rings;
     }
+    return result;
+  };
+
+  return { rows: gridSize, fill, partial: lines, finish };
+}
+
+// =============================================================================
+//  Kernel sums
+// =============================================================================
+
+// The exponential kernel is cut off where it falls below e^-KERNEL_RANGE of its peak
+const KERNEL_RANGE = 12;
+
+// Bucket the data when the cutoff chord is at most this long (≈ 29°); wider
+// kernels reach most of the data anyway
+const MAX_BUCKET_CHORD = 0.5;
+
+// Bound on buckets per axis of the cube around the sphere (memory)
+const MAX_BUCKETS = 64;
+
+/**
+ * Cosine of the angle beyond which a datum contributes nothing: the rim of
+ * the counting cone, or for the exponential kernel the angle where it has
+ * fallen to e^-12 of its peak (or `cutoff` degrees, if given).
+ */
+function densityCutoff(method, kappa, cosSigma, cutoff) {
+  if (method !== 'exponential') return cosSigma;
+  if (cutoff != null) return Math.cos(cutoff * DEG);
+  return Math.max(-1, 1 - KERNEL_RANGE / kappa);
+}
+
+/**
+ * Weighted kernel sum Σ wᵢ K(g·dᵢ) at a direction g, as a function of
+ * (gx, gy, gz). Data beyond the cutoff (cos θ < cosCut) are skipped. The
+ * data are packed into typed arrays; for narrow kernels they are also
+ * bucketed in a uniform grid over the cube [-1, 1]³ with buckets at least
+ * one cutoff chord wide, so that only the 27 buckets around g (and around
+ * −g for axial data) are visited.
+ */
+function densitySum(dcos, weights, kernel, cosCut, axial) {
+  const n = dcos.length;
+  const chord = Math.sqrt(Math.max(0, 2 * (1 - cosCut)));
+  const m = chord > MAX_BUCKET_CHORD ? 1 : Math.min(MAX_BUCKETS, Math.max(1, Math.floor(2 / chord)));
+  const size = 2 / m;
+  const cell = v => Math.min(m - 1, Math.max(0, Math.floor((v + 1) / size)));
+
+  // Counting sort of the data by bucket, into packed coordinate arrays
+  const bucketOf = new Int32Array(n);
+  const start = new Int32Array(m * m * m + 1);
+  for (let k = 0; k < n; k++) {
+    const d = dcos[k];
+    const b = (cell(d[0]) * m + cell(d[1])) * m + cell(d[2]);
+    bucketOf[k] = b;
+    start[b + 1]++;
+  }
+  for (let b = 0; b < m * m * m; b++) start[b + 1] += start[b];
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+  const zs = new Float64Array(n);
+  const ws = new Float64Array(n);
+  const next = start.slice(0, m * m * m);
+  for (let k = 0; k < n; k++) {
+    const at = next[bucketOf[k]]++;
+    const d = dcos[k];
+    xs[at] = d[0]; ys[at] = d[1]; zs[at] = d[2];
+    ws[at] = weights ? weights[k] : 1;
   }
 
-  // --- marching squares at each level ----------------------------------------
-  return levels.map(level => ({
-    level,
-    paths: assembleSegments(
-      marchingSquares(grid, gridSize, step, projR, level),
-    ),
-  }));
+  // Σ over the data in buckets start[b] … start[b + 1]
+  const range = (gx, gy, gz, from, to) => {
+    let s = 0;
+    for (let k = from; k < to; k++) {
+      const dot = gx * xs[k] + gy * ys[k] + gz * zs[k];
+      if (dot >= cosCut) s += ws[k] * kernel(dot);
+    }
+    return s;
+  };
+
+  const near = m === 1
+    ? (gx, gy, gz) => range(gx, gy, gz, 0, n)
+    : (gx, gy, gz) => {
+      const ci = cell(gx), cj = cell(gy), ck = cell(gz);
+      let s = 0;
+      for (let i = Math.max(0, ci - 1); i <= Math.min(m - 1, ci + 1); i++) {
+        for (let j = Math.max(0, cj - 1); j <= Math.min(m - 1, cj + 1); j++) {
+          // Buckets along z are contiguous
+          const row = (i * m + j) * m;
+          s += range(gx, gy, gz, start[row + Math.max(0, ck - 1)], start[row + Math.min(m - 1, ck + 1) + 1]);
+        }
+      }
+      return s;
+    };
+
+  return axial
+    ? (gx, gy, gz) => near(gx, gy, gz) + near(-gx, -gy, -gz)
+    : near;
+}
+
+/**
+ * Kernel K(cos θ) of a density method, scaled so it integrates to 1/κ over
+ * the hemisphere: exp(κ(cos θ − 1)), or weights averaging 1 over a counting
+ * cone cos θ ≥ c (whose area is 1 − c = 1/κ).
+ */
+function densityKernel(method, kappa, c) {
+  switch (method) {
+    case 'kamb':
+    case 'schmidt':
+      return dot => (dot >= c ? 1 : 0);
+    case 'linear-kamb':
+      return dot => (dot >= c ? 2 * (dot - c) * kappa : 0);
+    case 'square-kamb':
+      return dot => (dot >= c ? 3 * ((dot - c) * kappa) ** 2 : 0);
+    default:
+      return dot => Math.exp(kappa * (dot - 1));
+  }
 }
 
 // =============================================================================
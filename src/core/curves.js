@@ -54,6 +54,40 @@ export function smallCircle(axis, halfAngle, nPoints = 180) {
   return points;
 }
 
+/**
+ * Generate points along a spherical ellipse: the directions at angular
+ * distance r(φ) = ab / √((b cos φ)² + (a sin φ)²) from the centre, φ measured
+ * from the major-axis direction. Semi-axes a, b in radians.
+ * @param {number[]} center - unit vector
+ * @param {number[]} major - direction of the major semi-axis (made perpendicular to center)
+ * @param {number} a - major semi-axis (radians)
+ * @param {number} b - minor semi-axis (radians)
+ * @param {number} [nPoints=180]
+ * @returns {Array<number[]>}
+ */
+export function sphericalEllipse(center, major, a, b, nPoints = 180) {
+  const c = vec3.normalize(center);
+  const u = vec3.normalize(vec3.sub(major, vec3.scale(c, vec3.dot(major, c))));
+  const v = vec3.cross(c, u);
+
+  const step = (2 * Math.PI) / nPoints;
+  const points = [];
+  for (let i = 0; i <= nPoints; i++) {
+    const phi = i * step;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const r = a * b / Math.sqrt((b * cos) ** 2 + (a * sin) ** 2);
+    const cosR = Math.cos(r);
+    const sinR = Math.sin(r);
+    points.push([
+      c[0] * cosR + (u[0] * cos + v[0] * sin) * sinR,
+      c[1] * cosR + (u[1] * cos + v[1] * sin) * sinR,
+      c[2] * cosR + (u[2] * cos + v[2] * sin) * sinR,
+    ]);
+  }
+  return points;
+}
+
 /**
  * Arc on the unit sphere from vector a to vector b, by angle.
  */
@@ -83,3 +117,54 @@ export function planeIntersection(pole1, pole2) {
   const n = vec3.normalize(c);
   return [n, vec3.negate(n)];
 }
+
+/**
+ * Linearly interpolate to find equator crossing between two 3D points.
+ * Returns a point normalized to the unit sphere with z = 0.
+ */
+function equatorCrossing(a, b) {
+  const t = a[2] / (a[2] - b[2]);
+  const x = a[0] + t * (b[0] - a[0]);
+  const y = a[1] + t * (b[1] - a[1]);
+  const len = Math.sqrt(x * x + y * y);
+  return len > 1e-10 ? [x / len, y / len, 0] : [x, y, 0];
+}
+
+/**
+ * Clip a 3D polyline to one hemisphere.
+ * Returns array of segments, each a contiguous run of points in the chosen
+ * hemisphere ('lower': z <= 0, 'upper': z >= 0). Interpolates exact equator
+ * crossings at segment boundaries. Any other hemisphere ('both', 'full')
+ * keeps the whole polyline as a single segment.
+ * @param {Array<number[]>} points
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
+ * @returns {Array<Array<number[]>>}
+ */
+export function clipToHemisphere(points, hemisphere = 'lower') {
+  if (hemisphere !== 'lower' && hemisphere !== 'upper') return [points];
+  const sign = hemisphere === 'upper' ? -1 : 1;
+  const segments = [];
+  let current = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (sign * p[2] <= 0) {
+      if (current.length === 0 && i > 0 && sign * points[i - 1][2] > 0) {
+        current.push(equatorCrossing(points[i - 1], p));
+      }
+      current.push(p);
+    } else {
+      if (current.length > 0) {
+        current.push(equatorCrossing(points[i - 1], p));
+        segments.push(current);
+        current = [];
+      }
+    }
+  }
+
+  if (current.length > 0) {
+    segments.push(current);
+  }
+
+  return segments;
+}
@@ -0,0 +1,56 @@
+/**
+ * @module random — Seedable pseudo-random numbers.
+ *
+ * Statistics that resample or simulate (permutation tests, bootstrap,
+ * synthetic data) take a `seed` so results are reproducible. The generator
+ * is mulberry32: fast, 32-bit state, good enough for Monte Carlo work.
+ */
+
+/**
+ * Create a uniform random number generator on [0, 1).
+ * @param {number} [seed] - any number; omitted → seeded from Math.random()
+ * @returns {function(): number}
+ */
+export function seededRandom(seed = Math.random() * 2 ** 32) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer in [0, n).
+ * @param {function(): number} random - generator from seededRandom()
+ * @param {number} n
+ * @returns {number}
+ */
+export function randomInt(random, n) {
+  return Math.floor(random() * n);
+}
+
+/**
+ * Shuffle an array in place (Fisher–Yates).
+ * @param {Array} array
+ * @param {function(): number} random
+ * @returns {Array} the same array
+ */
+export function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Standard normal deviate (Box–Muller).
+ * @param {function(): number} random
+ * @returns {number}
+ */
+export function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
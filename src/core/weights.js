@@ -0,0 +1,52 @@
+/**
+ * @module weights — Weighted direction data.
+ *
+ * Functions that accept weights take either a plain array of direction
+ * cosines with an optional parallel array of weights, or an array of
+ * `{ dcos, weight }` records (weight defaults to 1). Weights are relative:
+ * only their ratios matter.
+ */
+
+/** True if data are `{ dcos, weight }` records rather than bare vectors. */
+function isRecords(data) {
+  const first = data[0];
+  return !!first && typeof first === 'object' && !Array.isArray(first) && 'dcos' in first;
+}
+
+/**
+ * Split weighted data into direction cosines and weights.
+ *
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} data
+ * @param {number[]} [weights] - one per direction (ignored for records)
+ * @returns {{ dcos: Array<number[]>, weights: number[]|null }} weights = null
+ *   when the data are unweighted
+ */
+export function unpackWeighted(data, weights) {
+  let w = weights ?? null;
+  let dcos = data;
+  if (isRecords(data)) {
+    dcos = data.map(r => r.dcos);
+    w = data.map(r => r.weight ?? 1);
+  }
+  if (w === null) return { dcos, weights: null };
+  if (w.length !== dcos.length) throw new Error('Weights must have one entry per direction');
+  for (const v of w) {
+    if (!(v >= 0) || !Number.isFinite(v)) throw new Error('Weights must be finite and non-negative');
+  }
+  return { dcos, weights: w };
+}
+
+/**
+ * Kish effective sample size (Σw)² / Σw²: n for equal weights, smaller the
+ * more unequal the weights.
+ * @param {number[]|null} weights
+ * @param {number} n - number of directions (used when weights is null)
+ * @returns {number}
+ */
+export function effectiveSize(weights, n) {
+  if (!weights) return n;
+  let sum = 0;
+  let sq = 0;
+  for (const w of weights) { sum += w; sq += w * w; }
+  return sq > 0 ? (sum * sum) / sq : 0;
+}
@@ -1,4 +1,5 @@
 export { Stereonet } from './stereonet.js';
+export { RoseDiagram, binAzimuths } from './rose.js';
 
 export * as vec3 from './core/vec3.js';
 export * as mat3 from './core/mat3.js';
@@ -8,11 +9,23 @@ export * as io from './io.js';
 
 export * as equalArea from './projections/equal-area.js';
 export * as equalAngle from './projections/equal-angle.js';
+export * as orthographic from './projections/orthographic.js';
+export * as gnomonic from './projections/gnomonic.js';
+export * as equidistant from './projections/equidistant.js';
+export {
+  getProjection, registerProjection, projectionNames, projectCurve,
+} from './projections/index.js';
 
 export * as statistics from './statistics.js';
+export * as bootstrap from './bootstrap.js';
+export * as sampling from './sampling.js';
+export * as terzaghi from './terzaghi.js';
 export { symmetricEigen3 } from './core/eigen.js';
-export { computeContours } from './contouring.js';
+export { computeContours, computeContoursAsync } from './contouring.js';
 
 export { SvgBuilder } from './render/svg.js';
-export { generateNet, cardinalPoints } from './render/net.js';
+export {
+  Colormap, getColormap, registerColormap, colormapNames,
+} from './render/colormap.js';
+export { generateNet, projectedNet, cardinalPoints } from './render/net.js';
 export { defaults as styleDefaults, deepMerge as mergeStyles } from './render/style.js';
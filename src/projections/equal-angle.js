@@ -3,29 +3,42 @@
  * Lower hemisphere: z < 0 projects inside the primitive circle.
  */
 
+import { fold, unfold } from './hemisphere.js';
+
+/** Registry name of this projection. */
+export const name = 'equal-angle';
+
+/** Primitive circle radius in projected units. */
+export const radius = 1;
+
 /**
  * Project a 3D unit vector to 2D stereographic coordinates.
  * Returns [px, py] in range [-1, 1] for lower hemisphere points.
- * Upper hemisphere points (z > 0) are flipped to lower hemisphere.
+ * Upper hemisphere points (z > 0) are flipped to lower hemisphere, unless
+ * another hemisphere is requested (see hemisphere.fold).
+ * @param {number[]} dcos
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
  */
-export function project(dcos) {
-  let [x, y, z] = dcos;
-  if (z > 0) { x = -x; y = -y; z = -z; }
+export function project(dcos, hemisphere = 'lower') {
+  const [x, y, z] = fold(dcos, hemisphere);
   const denom = 1 - z; // z <= 0, so denom >= 1
   return [x / denom, y / denom];
 }
 
 /**
  * Inverse: 2D stereographic coords -> 3D unit vector (lower hemisphere).
- * Returns [x, y, z] on the unit sphere with z <= 0.
+ * Returns [x, y, z] on the unit sphere with z <= 0, mapped to the requested hemisphere.
+ * @param {number} px
+ * @param {number} py
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
  */
-export function inverse(px, py) {
+export function inverse(px, py, hemisphere = 'lower') {
   const r2 = px * px + py * py;
   if (r2 > 1) return null; // outside the projection circle
   const denom = 1 + r2;
-  return [
+  return unfold([
     2 * px / denom,
     2 * py / denom,
     -(1 - r2) / denom,
-  ];
+  ], hemisphere);
 }
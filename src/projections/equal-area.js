@@ -1,29 +1,49 @@
 /**
  * @module equal-area — Schmidt-Lambert equal-area projection.
  * Lower hemisphere: z < 0 projects inside the primitive circle.
+ * Also supports a full-sphere view (radius 2, zenith on the rim).
  */
 
+import { fold, unfold } from './hemisphere.js';
+
+/** Registry name of this projection. */
+export const name = 'equal-area';
+
+/** Primitive circle radius in projected units. */
+export const radius = Math.SQRT2;
+
+/** Radius of the full-sphere view (the zenith maps onto this circle). */
+export const fullRadius = 2;
+
 /**
  * Project a 3D unit vector to 2D equal-area coordinates.
  * Returns [px, py] in range [-√2, √2] for lower hemisphere points.
- * Upper hemisphere points (z > 0) are flipped to lower hemisphere.
+ * Upper hemisphere points (z > 0) are flipped to lower hemisphere, unless
+ * another hemisphere is requested (see hemisphere.fold).
+ * @param {number[]} dcos
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
  */
-export function project(dcos) {
-  let [x, y, z] = dcos;
-  if (z > 0) { x = -x; y = -y; z = -z; }
-  const denom = 1 - z; // z <= 0, so denom >= 1
+export function project(dcos, hemisphere = 'lower') {
+  const [x, y, z] = fold(dcos, hemisphere);
+  const denom = 1 - z; // z <= 0, so denom >= 1 (0 < denom <= 2 for 'full')
+  if (denom < 1e-12) return [0, -fullRadius]; // zenith: any rim point will do
   const scale = Math.sqrt(2 / denom);
   return [x * scale, y * scale];
 }
 
 /**
  * Inverse: 2D equal-area coords -> 3D unit vector (lower hemisphere).
- * Returns [x, y, z] on the unit sphere with z <= 0.
+ * Returns [x, y, z] on the unit sphere with z <= 0, mapped to the requested
+ * hemisphere (any z for 'full').
+ * @param {number} px
+ * @param {number} py
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
  */
-export function inverse(px, py) {
+export function inverse(px, py, hemisphere = 'lower') {
   const r2 = px * px + py * py;
-  if (r2 > 2) return null; // outside the projection circle
+  const limit = hemisphere === 'full' ? fullRadius * fullRadius : 2;
+  if (r2 > limit) return null; // outside the projection circle
   const z = -(1 - r2 / 2);
   const scale = Math.sqrt(1 - r2 / 4);
-  return [px * scale, py * scale, z];
+  return unfold([px * scale, py * scale, z], hemisphere);
 }
@@ -0,0 +1,47 @@
+/**
+ * @module equidistant — Azimuthal (polar) equidistant projection.
+ * Distance from the center is proportional to the angle from the nadir, so
+ * the primitive circle has radius π/2. Also supports a full-sphere view
+ * (radius π, zenith on the rim).
+ */
+
+import { fold, unfold } from './hemisphere.js';
+
+/** Registry name of this projection. */
+export const name = 'equidistant';
+
+/** Primitive circle radius in projected units. */
+export const radius = Math.PI / 2;
+
+/** Radius of the full-sphere view. */
+export const fullRadius = Math.PI;
+
+/**
+ * Project a 3D unit vector to 2D equidistant coordinates.
+ * Returns [px, py] with |p| = angle from the nadir in radians.
+ * @param {number[]} dcos
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
+ */
+export function project(dcos, hemisphere = 'lower') {
+  const [x, y, z] = fold(dcos, hemisphere);
+  const h = Math.sqrt(x * x + y * y);
+  if (h < 1e-12) return z < 0 ? [0, 0] : [0, -fullRadius];
+  const theta = Math.acos(Math.max(-1, Math.min(1, -z)));
+  return [x * theta / h, y * theta / h];
+}
+
+/**
+ * Inverse: 2D equidistant coords -> 3D unit vector (lower hemisphere),
+ * mapped to the requested hemisphere (any z for 'full').
+ * @param {number} px
+ * @param {number} py
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
+ */
+export function inverse(px, py, hemisphere = 'lower') {
+  const r = Math.sqrt(px * px + py * py);
+  const limit = hemisphere === 'full' ? fullRadius : radius;
+  if (r > limit) return null; // outside the projection circle
+  if (r < 1e-12) return unfold([0, 0, -1], hemisphere);
+  const s = Math.sin(r) / r;
+  return unfold([px * s, py * s, -Math.cos(r)], hemisphere);
+}
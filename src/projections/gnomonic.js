@@ -0,0 +1,47 @@
+/**
+ * @module gnomonic — Gnomonic projection (central projection onto the tangent plane).
+ * Great circles project as straight lines. The horizon lies at infinity, so
+ * the net is cut off at MAX_ANGLE from the center.
+ */
+
+import { fold, unfold } from './hemisphere.js';
+
+const DEG = Math.PI / 180;
+
+/** Largest angle from the center (degrees) shown inside the primitive circle. */
+export const MAX_ANGLE = 70;
+
+/** Registry name of this projection. */
+export const name = 'gnomonic';
+
+/** Primitive circle radius in projected units: tan(MAX_ANGLE). */
+export const radius = Math.tan(MAX_ANGLE * DEG);
+
+/** Smallest |z| used when projecting, so near-horizontal points stay finite. */
+const MIN_DEPTH = 1e-6;
+
+/**
+ * Project a 3D unit vector to 2D gnomonic coordinates: [x, y] / |z|.
+ * Directions beyond MAX_ANGLE project outside the primitive circle.
+ * @param {number[]} dcos
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
+ */
+export function project(dcos, hemisphere = 'lower') {
+  const [x, y, z] = fold(dcos, hemisphere);
+  const depth = Math.max(-z, MIN_DEPTH);
+  return [x / depth, y / depth];
+}
+
+/**
+ * Inverse: 2D gnomonic coords -> 3D unit vector (lower hemisphere),
+ * mapped to the requested hemisphere.
+ * @param {number} px
+ * @param {number} py
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
+ */
+export function inverse(px, py, hemisphere = 'lower') {
+  const r2 = px * px + py * py;
+  if (r2 > radius * radius) return null; // outside the projection circle
+  const len = Math.sqrt(1 + r2);
+  return unfold([px / len, py / len, -1 / len], hemisphere);
+}
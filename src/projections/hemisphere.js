@@ -0,0 +1,43 @@
+/**
+ * @module hemisphere — Fold directions into the projected hemisphere.
+ *
+ * Every projection formula is written for the lower hemisphere (z ≤ 0).
+ * These helpers map a direction into that frame for a given view mode, and
+ * map an inverse-projected lower-hemisphere direction back out of it.
+ *
+ *   'lower' — lower-hemisphere view; upper directions are replaced by their antipode
+ *   'upper' — upper-hemisphere view seen from above; lower directions use their antipode
+ *   'both'  — each direction keeps its sign and plots at its own azimuth
+ *             (callers draw upper-hemisphere parts as open / dashed)
+ *   'full'  — full-sphere view, nothing is folded (only some projections support it)
+ */
+
+/** Valid hemisphere names. */
+export const HEMISPHERES = ['lower', 'upper', 'both', 'full'];
+
+/**
+ * Map a direction into the lower-hemisphere frame used by the projection formulas.
+ * @param {number[]} dcos - unit vector [x, y, z]
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
+ * @returns {number[]} [x, y, z] with z ≤ 0 (any z for 'full')
+ */
+export function fold(dcos, hemisphere = 'lower') {
+  const [x, y, z] = dcos;
+  switch (hemisphere) {
+    case 'upper': return z < 0 ? [-x, -y, z] : [x, y, -z];
+    case 'both': return z > 0 ? [x, y, -z] : dcos;
+    case 'full': return dcos;
+    default: return z > 0 ? [-x, -y, -z] : dcos;
+  }
+}
+
+/**
+ * Inverse of fold() for inverse projections: maps a lower-frame direction
+ * back to the hemisphere being viewed ('both' maps to the lower hemisphere).
+ * @param {number[]} dcos - unit vector from an inverse projection
+ * @param {'lower'|'upper'|'both'|'full'} [hemisphere='lower']
+ * @returns {number[]}
+ */
+export function unfold(dcos, hemisphere = 'lower') {
+  return hemisphere === 'upper' ? [dcos[0], dcos[1], -dcos[2]] : dcos;
+}
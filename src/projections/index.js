@@ -0,0 +1,118 @@
+/**
+ * @module projections — Projection registry and curve projection.
+ *
+ * A projection is any object with
+ *   name       — display / registry name
+ *   radius     — primitive circle radius in projected units
+ *   fullRadius — (optional) radius of the full-sphere view, if supported
+ *   project(dcos, hemisphere)     -> [px, py]
+ *   inverse(px, py, hemisphere)   -> [x, y, z] | null
+ * The built-in projection modules satisfy this interface as namespace objects.
+ */
+
+import * as mat3 from '../core/mat3.js';
+import { clipToHemisphere } from '../core/curves.js';
+import * as equalArea from './equal-area.js';
+import * as equalAngle from './equal-angle.js';
+import * as orthographic from './orthographic.js';
+import * as gnomonic from './gnomonic.js';
+import * as equidistant from './equidistant.js';
+
+const registry = new Map([
+  ['equal-area', equalArea],
+  ['schmidt', equalArea],
+  ['equal-angle', equalAngle],
+  ['wulff', equalAngle],
+  ['stereographic', equalAngle],
+  ['orthographic', orthographic],
+  ['gnomonic', gnomonic],
+  ['equidistant', equidistant],
+  ['polar-equidistant', equidistant],
+]);
+
+/**
+ * Resolve a projection given by registry name or as a projection object.
+ * @param {string|Object} projection
+ * @returns {Object} projection object
+ */
+export function getProjection(projection) {
+  if (projection && typeof projection === 'object') {
+    if (typeof projection.project !== 'function' || typeof projection.inverse !== 'function'
+        || !(projection.radius > 0)) {
+      throw new Error('Projection objects need project(), inverse() and a positive radius');
+    }
+    return projection;
+  }
+  const proj = registry.get(projection);
+  if (!proj) throw new Error(`Unknown projection: "${projection}"`);
+  return proj;
+}
+
+/**
+ * Register a projection under a name (replaces any existing entry).
+ * @param {string} name
+ * @param {Object} projection - see module docs for the interface
+ */
+export function registerProjection(name, projection) {
+  registry.set(name, getProjection(projection));
+}
+
+/** Names of all registered projections (including aliases). */
+export function projectionNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * Projected radius of the net for a hemisphere mode.
+ * @param {Object} proj - projection object
+ * @param {string} [hemisphere='lower']
+ * @returns {number}
+ */
+export function netRadius(proj, hemisphere = 'lower') {
+  return hemisphere === 'full' ? proj.fullRadius : proj.radius;
+}
+
+/**
+ * Rotate, clip and project a 3D polyline.
+ *
+ * In the full-sphere view a curve passing through the zenith jumps across the
+ * net, so segments are split where consecutive points are further apart than
+ * the net radius.
+ *
+ * @param {Array<number[]>} points3d - points on the unit sphere
+ * @param {string|Object} projection - projection name or object
+ * @param {Object} [options]
+ * @param {string} [options.hemisphere='lower'] - projection mode (see hemisphere.fold)
+ * @param {number[]|null} [options.rotation=null] - 3×3 view rotation
+ * @param {string} [options.clip] - part of the curve to keep ('lower', 'upper' or
+ *   'full'); defaults to the hemisphere, with 'both' clipped to 'lower'
+ * @returns {Array<number[][]>} segments of [px, py] points in projected coordinates
+ */
+export function projectCurve(points3d, projection, options = {}) {
+  const { hemisphere = 'lower', rotation = null } = options;
+  const clip = options.clip ?? (hemisphere === 'both' ? 'lower' : hemisphere);
+  const proj = getProjection(projection);
+  const rotated = rotation ? points3d.map(p => mat3.transformVec3(rotation, p)) : points3d;
+  const segments = clipToHemisphere(rotated, clip);
+
+  if (hemisphere !== 'full') {
+    return segments.map(seg => seg.map(p => proj.project(p, hemisphere)));
+  }
+
+  const out = [];
+  const jump = netRadius(proj, hemisphere);
+  for (const seg of segments) {
+    let current = [];
+    for (const p of seg) {
+      const pt = proj.project(p, hemisphere);
+      const prev = current[current.length - 1];
+      if (prev && Math.hypot(pt[0] - prev[0], pt[1] - prev[1]) > jump) {
+        out.push(current);
+        current = [];
+      }
+      current.push(pt);
+    }
+    out.push(current);
+  }
+  return out;
+}
@@ -0,0 +1,37 @@
+/**
+ * @module orthographic — Orthographic projection (parallel view of the sphere).
+ * Lower hemisphere: z < 0 projects inside the unit primitive circle.
+ * Neither equal-area nor conformal; gives a 3D "globe" look.
+ */
+
+import { fold, unfold } from './hemisphere.js';
+
+/** Registry name of this projection. */
+export const name = 'orthographic';
+
+/** Primitive circle radius in projected units. */
+export const radius = 1;
+
+/**
+ * Project a 3D unit vector to 2D orthographic coordinates.
+ * Returns [px, py] in range [-1, 1].
+ * @param {number[]} dcos
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
+ */
+export function project(dcos, hemisphere = 'lower') {
+  const [x, y] = fold(dcos, hemisphere);
+  return [x, y];
+}
+
+/**
+ * Inverse: 2D orthographic coords -> 3D unit vector (lower hemisphere),
+ * mapped to the requested hemisphere.
+ * @param {number} px
+ * @param {number} py
+ * @param {'lower'|'upper'|'both'} [hemisphere='lower']
+ */
+export function inverse(px, py, hemisphere = 'lower') {
+  const r2 = px * px + py * py;
+  if (r2 > 1) return null; // outside the projection circle
+  return unfold([px, py, -Math.sqrt(1 - r2)], hemisphere);
+}
@@ -0,0 +1,69 @@
+/** @module color — Colour parsing, formatting, and OKLab conversion (hex / rgb() colours). */
+
+/**
+ * Parse a '#rgb', '#rrggbb' or 'rgb(r, g, b)' colour.
+ * @param {string} color
+ * @returns {number[]} [r, g, b] in 0–255
+ */
+export function parseColor(color) {
+  const s = String(color).trim();
+  let m = /^#([0-9a-f]{3})$/i.exec(s);
+  if (m) return [...m[1]].map(h => parseInt(h + h, 16));
+  m = /^#([0-9a-f]{6})$/i.exec(s);
+  if (m) return [0, 2, 4].map(i => parseInt(m[1].slice(i, i + 2), 16));
+  m = /^rgb\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/i.exec(s);
+  if (m) return [Number(m[1]), Number(m[2]), Number(m[3])];
+  throw new Error(`Cannot parse colour: "${color}"`);
+}
+
+/**
+ * Format [r, g, b] (0–255, clamped and rounded) as '#rrggbb'.
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export function formatColor(rgb) {
+  return '#' + rgb
+    .map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+const toLinear = c => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+const fromLinear = v => 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055);
+
+/**
+ * sRGB [r, g, b] (0–255) to OKLab [L, a, b], a perceptually uniform space
+ * (Björn Ottosson, 2020).
+ * @param {number[]} rgb
+ * @returns {number[]}
+ */
+export function rgbToOklab(rgb) {
+  const [r, g, b] = rgb.map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  ];
+}
+
+/**
+ * OKLab [L, a, b] to sRGB [r, g, b] (0–255, unclamped).
+ * @param {number[]} lab
+ * @returns {number[]}
+ */
+export function oklabToRgb([L, a, b]) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ].map(fromLinear);
+}
+
@@ -0,0 +1,137 @@
+/**
+ * @module colorbar — Colour-bar layout for contour levels.
+ *
+ * Discrete bars show one block per band (levels[k] up to levels[k+1], the
+ * last block open-ended) with ticks on the block boundaries. Continuous bars
+ * span the first to the last level, drawn as thin slices sampled from a
+ * colour function, with a tick at each level. Like legend.js, the layout is
+ * a list of element descriptions relative to the bar's top-left corner.
+ */
+
+import { textBox } from './labels.js';
+
+/** Number of slices drawn for a continuous bar. */
+const SLICES = 64;
+
+/** Tick label: round to 3 significant digits, drop trailing zeros. */
+function formatLevel(value) {
+  return String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Lay out a colour bar.
+ *
+ * @param {Object} spec
+ * @param {number[]} spec.levels - ascending contour levels
+ * @param {'discrete'|'continuous'} [spec.mode='discrete']
+ * @param {string[]} [spec.colors] - discrete: one colour per level (band)
+ * @param {function(number): string} [spec.colorAt] - continuous: colour for t ∈ [0, 1]
+ * @param {string} [spec.title]
+ * @param {'vertical'|'horizontal'} [spec.orientation='vertical'] - vertical bars
+ *   increase upwards, horizontal bars to the right
+ * @param {number} spec.length - bar length in SVG units
+ * @param {Object} style - resolved 'colorbar' style
+ * @returns {{ width: number, height: number,
+ *             elements: Array<{ tag: string, attrs: Object, text?: string }> }}
+ */
+export function layoutColorbar(spec, style) {
+  const { levels, mode = 'discrete', title, orientation = 'vertical', length } = spec;
+  const { fontSize, padding, thickness, tickLength } = style;
+  const vertical = orientation === 'vertical';
+  const textAttrs = { 'font-size': fontSize, 'font-family': style.fontFamily, fill: style.fill };
+
+  if (mode !== 'discrete' && mode !== 'continuous') {
+    throw new Error(`Unknown colour bar mode: "${mode}"`);
+  }
+
+  const elements = [];
+  const titleH = title ? fontSize * 1.6 : 0;
+  const x0 = padding;
+  const y0 = padding + titleH;
+
+  // Position along the bar (0 = low end) → SVG rectangle of a slice
+  const slice = (a, b, fill) => {
+    const attrs = vertical
+      ? { x: x0, y: y0 + length * (1 - b), width: thickness, height: length * (b - a) }
+      : { x: x0 + length * a, y: y0, width: length * (b - a), height: thickness };
+    elements.push({ tag: 'rect', attrs: { ...attrs, fill, stroke: 'none' } });
+  };
+
+  const ticks = [];
+  if (mode === 'discrete') {
+    const m = levels.length;
+    levels.forEach((level, k) => {
+      slice(k / m, (k + 1) / m, spec.colors[k]);
+      ticks.push([k / m, level]);
+    });
+  } else {
+    for (let i = 0; i < SLICES; i++) {
+      // Slight overlap hides anti-aliasing seams between slices
+      slice(i / SLICES, Math.min(1, (i + 1.5) / SLICES), spec.colorAt((i + 0.5) / SLICES));
+    }
+    const lo = levels[0];
+    const span = levels[levels.length - 1] - lo;
+    for (const level of levels) ticks.push([span > 0 ? (level - lo) / span : 0, level]);
+  }
+
+  // Outline
+  elements.push({
+    tag: 'rect',
+    attrs: {
+      x: x0, y: y0,
+      width: vertical ? thickness : length,
+      height: vertical ? length : thickness,
+      fill: 'none',
+      stroke: style.stroke,
+      'stroke-width': style.strokeWidth,
+    },
+  });
+
+  // Ticks and labels
+  let labelExtent = 0;
+  for (const [t, level] of ticks) {
+    const label = formatLevel(level);
+    const box = textBox(label, fontSize);
+    if (vertical) {
+      const y = y0 + length * (1 - t);
+      const x = x0 + thickness;
+      elements.push({
+        tag: 'line',
+        attrs: { x1: x, y1: y, x2: x + tickLength, y2: y, stroke: style.stroke, 'stroke-width': style.strokeWidth },
+      });
+      elements.push({
+        tag: 'text',
+        attrs: { x: x + tickLength + 2, y, ...textAttrs, 'dominant-baseline': 'central' },
+        text: label,
+      });
+      labelExtent = Math.max(labelExtent, tickLength + 2 + box.w);
+    } else {
+      const x = x0 + length * t;
+      const y = y0 + thickness;
+      elements.push({
+        tag: 'line',
+        attrs: { x1: x, y1: y, x2: x, y2: y + tickLength, stroke: style.stroke, 'stroke-width': style.strokeWidth },
+      });
+      elements.push({
+        tag: 'text',
+        attrs: { x, y: y + tickLength + 2 + box.h / 2, ...textAttrs, 'text-anchor': 'middle', 'dominant-baseline': 'central' },
+        text: label,
+      });
+      labelExtent = Math.max(labelExtent, tickLength + 2 + box.h);
+    }
+  }
+
+  let width = vertical ? x0 + thickness + labelExtent + padding : x0 + length + padding;
+  const height = vertical ? y0 + length + padding : y0 + thickness + labelExtent + padding;
+
+  if (title) {
+    elements.push({
+      tag: 'text',
+      attrs: { x: padding, y: padding + titleH / 2, ...textAttrs, 'dominant-baseline': 'central' },
+      text: title,
+    });
+    width = Math.max(width, 2 * padding + textBox(title, fontSize).w);
+  }
+
+  return { width, height, elements };
+}
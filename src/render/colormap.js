@@ -0,0 +1,138 @@
+/**
+ * @module colormap — Named and user-defined colormaps.
+ *
+ * A colormap maps t ∈ [0, 1] to a colour by interpolating between evenly
+ * spaced stops in OKLab, so steps look even to the eye. Maps are looked up
+ * by name ('viridis', 'magma_r', …) or built from a list of stops; a `_r`
+ * suffix or `reverse: true` reverses a map.
+ */
+
+import { parseColor, formatColor, rgbToOklab, oklabToRgb } from './color.js';
+
+const registry = new Map([
+  // Perceptually uniform sequential maps (matplotlib), 10 evenly spaced stops
+  ['viridis', ['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+    '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']],
+  ['magma', ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+    '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf']],
+  ['cividis', ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173',
+    '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838']],
+  // Sequential grey, light to dark (ColorBrewer)
+  ['greys', ['#ffffff', '#f0f0f0', '#d9d9d9', '#bdbdbd', '#969696',
+    '#737373', '#525252', '#252525', '#000000']],
+  // Diverging maps, centred on a light neutral
+  ['rdbu', ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7',
+    '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061']],
+  ['coolwarm', ['#3b4cc0', '#7396f5', '#b0cbfc', '#dddcdc', '#f6bfa6', '#ea7b60', '#b40426']],
+]);
+
+/**
+ * A colormap over evenly spaced colour stops.
+ */
+export class Colormap {
+  /**
+   * @param {string[]} stops - at least two colours, from t = 0 to t = 1
+   * @param {string} [name]
+   */
+  constructor(stops, name = 'custom') {
+    if (!Array.isArray(stops) || stops.length < 2) {
+      throw new Error('A colormap needs at least two colour stops');
+    }
+    this.name = name;
+    this.stops = stops.slice();
+    this._lab = stops.map(c => rgbToOklab(parseColor(c)));
+  }
+
+  /**
+   * Colour at t ∈ [0, 1] (clamped).
+   * @param {number} t
+   * @returns {string} '#rrggbb'
+   */
+  at(t) {
+    const x = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0)) * (this._lab.length - 1);
+    const i = Math.min(this._lab.length - 2, Math.floor(x));
+    const f = x - i;
+    const a = this._lab[i];
+    const b = this._lab[i + 1];
+    return formatColor(oklabToRgb(a.map((v, k) => v + f * (b[k] - v))));
+  }
+
+  /**
+   * n evenly spaced colours, from t = 0 to t = 1 (n = 1 gives the middle).
+   * @param {number} n
+   * @returns {string[]}
+   */
+  sample(n) {
+    if (n === 1) return [this.at(0.5)];
+    return Array.from({ length: n }, (_, i) => this.at(i / (n - 1)));
+  }
+
+  /** The same map running from t = 1 to t = 0. */
+  reversed() {
+    const name = this.name.endsWith('_r') ? this.name.slice(0, -2) : `${this.name}_r`;
+    return new Colormap(this.stops.slice().reverse(), name);
+  }
+}
+
+/**
+ * Resolve a colormap given by name, list of stops, options object or Colormap.
+ *
+ * @param {string|string[]|Object|Colormap} spec - a registered name (append
+ *   `_r` to reverse), an array of colour stops, or `{ name | stops, reverse? }`
+ * @returns {Colormap}
+ */
+export function getColormap(spec) {
+  if (spec instanceof Colormap) return spec;
+  if (Array.isArray(spec)) return new Colormap(spec);
+  if (typeof spec === 'string') {
+    const reverse = spec.endsWith('_r') && !registry.has(spec);
+    const name = reverse ? spec.slice(0, -2) : spec;
+    const stops = registry.get(name);
+    if (!stops) throw new Error(`Unknown colormap: "${spec}"`);
+    const map = new Colormap(stops, name);
+    return reverse ? map.reversed() : map;
+  }
+  if (spec && typeof spec === 'object' && (spec.stops || spec.name)) {
+    const map = spec.stops ? new Colormap(spec.stops, spec.name) : getColormap(spec.name);
+    return spec.reverse ? map.reversed() : map;
+  }
+  throw new Error('Colormaps are given by name, colour stops or { name | stops, reverse }');
+}
+
+/**
+ * Register a colormap under a name (replaces any existing entry).
+ * @param {string} name
+ * @param {string[]} stops - at least two colours
+ */
+export function registerColormap(name, stops) {
+  registry.set(name, new Colormap(stops, name).stops);
+}
+
+/** Names of all registered colormaps. */
+export function colormapNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * True if a value names or describes a colormap rather than a single colour
+ * or an explicit colour list.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isColormap(value) {
+  if (value instanceof Colormap) return true;
+  if (typeof value === 'string') {
+    return registry.has(value) || (value.endsWith('_r') && registry.has(value.slice(0, -2)));
+  }
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !!(value.stops || value.name);
+}
+
+/**
+ * n colours from either an explicit colour list (returned as is) or a colormap.
+ * @param {string[]|string|Object|Colormap} spec
+ * @param {number} n
+ * @returns {string[]}
+ */
+export function colorsFrom(spec, n) {
+  return isColormap(spec) ? getColormap(spec).sample(n) : spec;
+}
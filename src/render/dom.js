@@ -0,0 +1,27 @@
+/** @module dom — Small helpers for building persistent SVG DOM trees (browser only). */
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Batch-set attributes on an SVG element. Skips undefined/null values. */
+export function setAttrs(el, attrs) {
+  for (const [k, v] of Object.entries(attrs)) {
+    if (v !== undefined && v !== null) el.setAttribute(k, v);
+  }
+}
+
+/**
+ * Create an SVG element in the SVG namespace with the given attributes.
+ * @param {string} tag - element name, e.g. 'path', 'circle', 'g'
+ * @param {Object} [attrs] - attributes (undefined/null values are skipped)
+ * @returns {SVGElement}
+ */
+export function createSvgElement(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  setAttrs(el, attrs);
+  return el;
+}
+
+/** Remove all children of an element. */
+export function clearChildren(el) {
+  while (el.firstChild) el.firstChild.remove();
+}
@@ -0,0 +1,182 @@
+/**
+ * @module labels — Label placement with collision avoidance.
+ *
+ * Labels are placed greedily in request order. Point labels try eight
+ * positions around their anchor, then the same positions further out (drawn
+ * with a leader line). Curve labels slide along the curve and sit on either
+ * side of it, rotated to follow the tangent. The first candidate that
+ * overlaps nothing already placed (and stays inside the bounds) wins;
+ * otherwise the one with the least overlap.
+ *
+ * Text extents are estimated from the font size, since no DOM is available
+ * for measuring in Node.
+ */
+
+const INV_DEG = 180 / Math.PI;
+
+/** Preferred point-label directions: NE, E, SE, NW, W, SW, N, S. */
+const DIRECTIONS = [[1, -1], [1, 0], [1, 1], [-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1]];
+
+/** Fractions along a curve tried around the requested one. */
+const SLIDES = [0, 0.08, -0.08, 0.16, -0.16, 0.24, -0.24];
+
+/**
+ * Estimated text box size.
+ * @param {string} text
+ * @param {number} fontSize
+ * @returns {{ w: number, h: number }}
+ */
+export function textBox(text, fontSize) {
+  return { w: String(text).length * fontSize * 0.6, h: fontSize * 1.2 };
+}
+
+/** Overlap area of two axis-aligned boxes {x0, y0, x1, y1}. */
+function overlap(a, b) {
+  const w = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+  const h = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+/** Area of box a lying outside the bounds box. */
+function outside(a, bounds) {
+  if (!bounds) return 0;
+  const area = (a.x1 - a.x0) * (a.y1 - a.y0);
+  return area - overlap(a, bounds);
+}
+
+/** Axis-aligned box of a w×h rectangle centered on (cx, cy), rotated by angle degrees. */
+function boxAt(cx, cy, w, h, angle = 0) {
+  const a = angle / INV_DEG;
+  const bw = Math.abs(w * Math.cos(a)) + Math.abs(h * Math.sin(a));
+  const bh = Math.abs(w * Math.sin(a)) + Math.abs(h * Math.cos(a));
+  return { x0: cx - bw / 2, y0: cy - bh / 2, x1: cx + bw / 2, y1: cy + bh / 2 };
+}
+
+function pointCandidates(req, w, h) {
+  const { x, y, pad = 0, offset = 6, rings = 3 } = req;
+  const out = [];
+  for (let k = 0; k < rings; k++) {
+    const gap = pad + offset * (1 + 2 * k);
+    for (const [dx, dy] of DIRECTIONS) {
+      const cx = x + dx * (gap + w / 2);
+      const cy = y + dy * (gap + h / 2);
+      out.push({ x: cx, y: cy, rotate: 0, box: boxAt(cx, cy, w, h), leader: k > 0 });
+    }
+  }
+  return out;
+}
+
+/** Point and tangent angle (degrees) at fraction t of a polyline's length. */
+function pointAlong(path, t) {
+  let total = 0;
+  const lengths = [];
+  for (let i = 1; i < path.length; i++) {
+    const l = Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+    lengths.push(l);
+    total += l;
+  }
+  let target = t * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (target <= lengths[i] || i === lengths.length - 1) {
+      const f = lengths[i] > 0 ? Math.min(1, target / lengths[i]) : 0;
+      const [x0, y0] = path[i];
+      const [x1, y1] = path[i + 1];
+      return {
+        x: x0 + f * (x1 - x0),
+        y: y0 + f * (y1 - y0),
+        angle: Math.atan2(y1 - y0, x1 - x0) * INV_DEG,
+      };
+    }
+    target -= lengths[i];
+  }
+  return { x: path[0][0], y: path[0][1], angle: 0 };
+}
+
+function curveCandidates(req, w, h) {
+  const { path, at = 0.5, offset = 6 } = req;
+  const out = [];
+  for (const slide of SLIDES) {
+    const t = Math.max(0.05, Math.min(0.95, at + slide));
+    const p = pointAlong(path, t);
+    // Keep text upright: fold the tangent into (-90, 90]
+    let angle = p.angle;
+    if (angle > 90) angle -= 180;
+    else if (angle <= -90) angle += 180;
+    const a = angle / INV_DEG;
+    const nx = Math.sin(a);
+    const ny = -Math.cos(a);
+    for (const side of [1, -1]) {
+      const cx = p.x + side * nx * (offset + h / 2);
+      const cy = p.y + side * ny * (offset + h / 2);
+      out.push({ x: cx, y: cy, rotate: angle, box: boxAt(cx, cy, w, h, angle), leader: false });
+    }
+  }
+  return out;
+}
+
+/** Point where the segment from box center towards (ax, ay) leaves the box. */
+function boxExit(cx, cy, w, h, ax, ay) {
+  const dx = ax - cx;
+  const dy = ay - cy;
+  const t = Math.min(
+    dx !== 0 ? (w / 2) / Math.abs(dx) : Infinity,
+    dy !== 0 ? (h / 2) / Math.abs(dy) : Infinity,
+  );
+  return t >= 1 ? [ax, ay] : [cx + dx * t, cy + dy * t];
+}
+
+/**
+ * Place labels avoiding each other and a set of obstacles.
+ *
+ * @param {Array<Object>} requests - in priority order, each either
+ *   a point label  { text, x, y, fontSize, pad?, offset?, rings? } or
+ *   a curve label  { text, path: [[x, y], ...], at?, fontSize, offset? }
+ *   (pad = size of the symbol at the anchor, offset = gap to the label)
+ * @param {Object} [options]
+ * @param {Array<{x0,y0,x1,y1}>} [options.obstacles=[]] - boxes to avoid (e.g. symbols)
+ * @param {{x0,y0,x1,y1}} [options.bounds] - labels should stay inside this box
+ * @returns {Array<{ text: string, x: number, y: number, rotate: number,
+ *                   box: Object, leader: number[]|null }>}
+ *   x, y — label center; rotate — degrees; leader — [x1, y1, x2, y2] or null
+ */
+export function placeLabels(requests, options = {}) {
+  const { obstacles = [], bounds = null } = options;
+  const taken = obstacles.slice();
+
+  return requests.map(req => {
+    const { w, h } = textBox(req.text, req.fontSize);
+    const candidates = req.path && req.path.length > 1
+      ? curveCandidates(req, w, h)
+      : pointCandidates(req, w, h);
+
+    let best = candidates[0];
+    let bestCost = Infinity;
+    for (const c of candidates) {
+      let cost = outside(c.box, bounds) * 10;
+      for (const b of taken) cost += overlap(c.box, b);
+      if (cost < bestCost) {
+        best = c;
+        bestCost = cost;
+        if (cost === 0) break;
+      }
+    }
+
+    taken.push(best.box);
+    let leader = null;
+    if (best.leader) {
+      // From the edge of the anchor symbol to the edge of the label box
+      const [ex, ey] = boxExit(best.x, best.y, w, h, req.x, req.y);
+      const len = Math.hypot(ex - req.x, ey - req.y);
+      const f = len > 0 ? Math.min(1, (req.pad || 0) / len) : 0;
+      leader = [req.x + f * (ex - req.x), req.y + f * (ey - req.y), ex, ey];
+    }
+    return {
+      text: req.text,
+      x: best.x,
+      y: best.y,
+      rotate: best.rotate,
+      box: best.box,
+      leader,
+    };
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * @module legend — Legend layout for stereonets and other plots.
+ *
+ * A legend is a single column of sections (an optional heading followed by
+ * rows of swatch + text) and footer lines, inside a framed box. The layout is
+ * returned as element descriptions relative to the box's top-left corner, so
+ * the string builder and the DOM renderer can both draw it.
+ */
+
+import { markerElement } from './markers.js';
+import { textBox } from './labels.js';
+
+/**
+ * Swatch element for a legend row, centered on (x, y).
+ *
+ * Swatch kinds:
+ *   { type: 'marker', marker, size, paint }      — point symbol (see markers.js)
+ *   { type: 'line', stroke, strokeWidth, dasharray }
+ *   { type: 'band', fill, stroke, strokeWidth }  — filled rectangle
+ */
+function swatchElement(swatch, x, y, width, height) {
+  switch (swatch.type) {
+    case 'marker':
+      return markerElement(swatch.marker, x, y, Math.min(swatch.size, height / 2), swatch.paint);
+    case 'line':
+      return {
+        tag: 'line',
+        attrs: {
+          x1: x - width / 2, y1: y, x2: x + width / 2, y2: y,
+          stroke: swatch.stroke,
+          'stroke-width': swatch.strokeWidth,
+          'stroke-dasharray': swatch.dasharray,
+        },
+      };
+    case 'band':
+      return {
+        tag: 'rect',
+        attrs: {
+          x: x - width / 2, y: y - height / 2, width, height,
+          fill: swatch.fill,
+          stroke: swatch.stroke ?? 'none',
+          'stroke-width': swatch.strokeWidth,
+        },
+      };
+    default:
+      throw new Error(`Unknown legend swatch: "${swatch.type}"`);
+  }
+}
+
+/**
+ * Lay out a legend.
+ *
+ * @param {Object} spec
+ * @param {string} [spec.title]
+ * @param {Array<{ title?: string, entries: Array<{ label: string, swatch: Object }> }>} spec.sections
+ * @param {string[]} [spec.footer] - plain text lines below the sections
+ * @param {Object} style - resolved 'legend' style
+ * @returns {{ width: number, height: number,
+ *             elements: Array<{ tag: string, attrs: Object, text?: string }> }}
+ *   elements with a `text` property are <text> elements
+ */
+export function layoutLegend(spec, style) {
+  const { title, sections = [], footer = [] } = spec;
+  const { fontSize, padding, swatchWidth } = style;
+  const rowHeight = fontSize * 1.5;
+  const textAttrs = {
+    'font-size': fontSize,
+    'font-family': style.fontFamily,
+    fill: style.fill,
+    'dominant-baseline': 'central',
+  };
+
+  const elements = [];
+  let width = 0;
+  let y = padding;
+
+  const text = (x, str, attrs = {}) => {
+    elements.push({ tag: 'text', attrs: { x, y: y + rowHeight / 2, ...textAttrs, ...attrs }, text: str });
+    width = Math.max(width, x + textBox(str, fontSize).w);
+  };
+
+  if (title) {
+    text(padding, title, { 'font-weight': 'bold' });
+    y += rowHeight;
+  }
+
+  for (const section of sections) {
+    if (section.entries.length === 0) continue;
+    if (section.title) {
+      text(padding, section.title, { 'font-style': 'italic' });
+      y += rowHeight;
+    }
+    for (const { label, swatch } of section.entries) {
+      elements.push(swatchElement(swatch, padding + swatchWidth / 2, y + rowHeight / 2,
+        swatchWidth, fontSize));
+      text(padding + swatchWidth + fontSize / 2, label);
+      y += rowHeight;
+    }
+  }
+
+  if (footer.length > 0 && y > padding) y += rowHeight / 3;
+  for (const line of footer) {
+    text(padding, line, { fill: style.footerFill });
+    y += rowHeight;
+  }
+
+  width += padding;
+  const height = y + padding;
+  elements.unshift({
+    tag: 'rect',
+    attrs: {
+      x: 0, y: 0, width, height,
+      fill: style.background,
+      stroke: style.stroke,
+      'stroke-width': style.strokeWidth,
+    },
+  });
+  return { width, height, elements };
+}
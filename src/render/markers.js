@@ -0,0 +1,147 @@
+/**
+ * @module markers — Point symbols for poles and lines.
+ *
+ * Built-in shapes are defined on a unit radius, pointing up (north) and are
+ * emitted as absolute SVG path coordinates, so stroke widths are unaffected
+ * by the marker size. Custom shapes are SVG path strings in the same unit
+ * space, placed with a transform attribute.
+ */
+
+const DEG = Math.PI / 180;
+
+function regularStar(nPoints, inner) {
+  const pts = [];
+  for (let i = 0; i < 2 * nPoints; i++) {
+    const a = i * Math.PI / nPoints;
+    const r = i % 2 === 0 ? 1 : inner;
+    pts.push([r * Math.sin(a), -r * Math.cos(a)]);
+  }
+  return pts;
+}
+
+/**
+ * Built-in marker shapes: subpaths of unit-space points (y down, +y = south).
+ * `stroked` shapes have no interior and are drawn with the fill colour as stroke.
+ */
+export const MARKERS = {
+  circle: null, // drawn as <circle>
+  triangle: { paths: [[[0, -1], [0.866, 0.5], [-0.866, 0.5]]], closed: true },
+  'triangle-down': { paths: [[[0, 1], [0.866, -0.5], [-0.866, -0.5]]], closed: true },
+  square: { paths: [[[-0.8, -0.8], [0.8, -0.8], [0.8, 0.8], [-0.8, 0.8]]], closed: true },
+  diamond: { paths: [[[0, -1], [1, 0], [0, 1], [-1, 0]]], closed: true },
+  star: { paths: [regularStar(5, 0.45)], closed: true },
+  cross: { paths: [[[0, -1], [0, 1]], [[-1, 0], [1, 0]]], stroked: true },
+  x: { paths: [[[-0.7, -0.7], [0.7, 0.7]], [[-0.7, 0.7], [0.7, -0.7]]], stroked: true },
+  tick: { paths: [[[0, 0], [0, -1.5]]], stroked: true },
+  arrow: { paths: [[[0, 1], [0, -1]], [[-0.45, -0.45], [0, -1], [0.45, -0.45]]], stroked: true },
+};
+
+/** Names of the built-in marker shapes. */
+export const markerNames = Object.keys(MARKERS);
+
+/**
+ * Path d string for a built-in shape at (x, y), scaled by size and rotated by
+ * angle degrees clockwise from north.
+ */
+function shapePath(shape, x, y, size, angle) {
+  const c = Math.cos(angle * DEG);
+  const s = Math.sin(angle * DEG);
+  return shape.paths.map(pts =>
+    'M' + pts.map(([u, v]) => `${x + size * (u * c - v * s)},${y + size * (u * s + v * c)}`).join('L')
+      + (shape.closed ? 'Z' : '')
+  ).join('');
+}
+
+/**
+ * Describe the SVG element for a marker.
+ *
+ * @param {string|{path: string, stroked?: boolean}} marker - built-in shape name,
+ *   or a custom SVG path in unit coordinates (a path string or `{ path }` object)
+ * @param {number} x - SVG x of the marker center
+ * @param {number} y - SVG y of the marker center
+ * @param {number} size - marker radius in SVG units
+ * @param {Object} [paint]
+ * @param {string} [paint.fill]
+ * @param {string} [paint.stroke]
+ * @param {number} [paint.strokeWidth]
+ * @param {number} [paint.angle=0] - rotation in degrees, clockwise from north
+ * @returns {{ tag: string, attrs: Object }}
+ */
+export function markerElement(marker, x, y, size, paint = {}) {
+  const { fill, stroke, strokeWidth, angle = 0 } = paint;
+  const name = marker ?? 'circle';
+
+  if (name === 'circle') {
+    return {
+      tag: 'circle',
+      attrs: { cx: x, cy: y, r: size, fill, stroke, 'stroke-width': strokeWidth },
+    };
+  }
+
+  const custom = typeof name === 'object' ? name
+    : MARKERS[name] === undefined && /^\s*[Mm]/.test(name) ? { path: name } : null;
+  if (custom) {
+    return {
+      tag: 'path',
+      attrs: {
+        d: custom.path,
+        transform: `translate(${x},${y}) rotate(${angle}) scale(${size})`,
+        'vector-effect': 'non-scaling-stroke',
+        ...strokedPaint(custom.stroked, fill, stroke, strokeWidth),
+      },
+    };
+  }
+
+  const shape = MARKERS[name];
+  if (!shape) throw new Error(`Unknown marker: "${name}"`);
+  return {
+    tag: 'path',
+    attrs: {
+      d: shapePath(shape, x, y, size, angle),
+      ...strokedPaint(shape.stroked, fill, stroke, strokeWidth),
+    },
+  };
+}
+
+/**
+ * Path d string for a built-in marker, circles drawn as two arcs. Used to
+ * merge many symbols of the same style into a single <path>.
+ * Returns null for custom markers, which need their own transformed element.
+ *
+ * @param {string|Object} marker - marker name (see markerElement)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size - marker radius in SVG units
+ * @param {number} [angle=0] - rotation in degrees, clockwise from north
+ * @returns {string|null}
+ */
+export function markerPath(marker, x, y, size, angle = 0) {
+  const name = marker ?? 'circle';
+  if (name === 'circle') {
+    return `M${x - size},${y}a${size},${size} 0 1,0 ${2 * size},0a${size},${size} 0 1,0 ${-2 * size},0Z`;
+  }
+  if (typeof name === 'object' || MARKERS[name] === undefined) {
+    if (typeof name === 'object' || /^\s*[Mm]/.test(name)) return null;
+    throw new Error(`Unknown marker: "${name}"`);
+  }
+  return shapePath(MARKERS[name], x, y, size, angle);
+}
+
+/**
+ * Paint attributes for a marker path (see markerPath).
+ * @param {string|Object} marker
+ * @param {Object} [paint] - { fill, stroke, strokeWidth }
+ * @returns {Object} fill, stroke and stroke-width attributes
+ */
+export function markerPaint(marker, paint = {}) {
+  const name = marker ?? 'circle';
+  const stroked = typeof name === 'object' ? name.stroked : MARKERS[name]?.stroked;
+  return strokedPaint(stroked, paint.fill, paint.stroke, paint.strokeWidth);
+}
+
+/** Paint attributes; stroke-only shapes use the fill colour as their stroke. */
+function strokedPaint(stroked, fill, stroke, strokeWidth) {
+  if (!stroked) return { fill, stroke, 'stroke-width': strokeWidth };
+  const colour = stroke && stroke !== 'none' ? stroke : fill;
+  return { fill: 'none', stroke: colour, 'stroke-width': strokeWidth ?? 1 };
+}
@@ -1,9 +1,10 @@
 /**
  * @module net — Reference net geometry (grid lines and cardinal labels).
- * Generates 3D grid curves for equal-area or equal-angle nets.
+ * Generates 3D grid curves for any projection, optionally projected.
  */
 
 import * as curves from '../core/curves.js';
+import { projectCurve } from '../projections/index.js';
 
 /**
  * Generate the stereonet reference net (great and small circle grid) as 3D curves.
@@ -18,6 +19,34 @@ export function generateNet(interval = 10, type = 'equatorial') {
     : generateEquatorialNet(interval);
 }
 
+/**
+ * Generate the reference net already clipped and projected to 2D.
+ * @param {Object} [options]
+ * @param {number} [options.interval=10] - grid interval in degrees
+ * @param {'polar'|'equatorial'} [options.type='equatorial']
+ * @param {string|Object} [options.projection='equal-area'] - projection name or object
+ * @param {string} [options.hemisphere='lower']
+ * @param {number[]|null} [options.rotation=null] - 3×3 view rotation
+ * @returns {{ greatCircles: Array<number[][]>, smallCircles: Array<number[][]> }}
+ *   polylines of [px, py] in projected coordinates (one per visible segment)
+ */
+export function projectedNet(options = {}) {
+  const {
+    interval = 10,
+    type = 'equatorial',
+    projection = 'equal-area',
+    hemisphere = 'lower',
+    rotation = null,
+  } = options;
+  const { greatCircles, smallCircles } = generateNet(interval, type);
+  const project = curve => projectCurve(curve, projection, { hemisphere, rotation })
+    .filter(seg => seg.length > 1);
+  return {
+    greatCircles: greatCircles.flatMap(project),
+    smallCircles: smallCircles.flatMap(project),
+  };
+}
+
 function generateEquatorialNet(interval) {
   const DEG = Math.PI / 180;
   const greatCircles = [];
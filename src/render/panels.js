@@ -0,0 +1,62 @@
+/**
+ * @module panels — Placement of side panels (legend, colour bar) around a plot.
+ *
+ * The plot is a square of the given size. Panels on the same side are laid
+ * out outwards from the plot in the order given; the canvas grows to fit them.
+ */
+
+const SIDES = ['right', 'left', 'top', 'bottom'];
+
+/**
+ * Place panels around a square plot.
+ *
+ * @param {number} size - plot size (the plot occupies a size × size square)
+ * @param {Array<{ width: number, height: number, position: string }>} panels -
+ *   position is 'right', 'left', 'top' or 'bottom'
+ * @param {number} margin - space between panels, and between a panel and the canvas edge
+ * @returns {{ width: number, height: number, plot: number[], panels: Array<number[]> }}
+ *   canvas size, [x, y] of the plot and [x, y] of each panel (in input order)
+ */
+export function placePanels(size, panels, margin) {
+  for (const { position } of panels) {
+    if (!SIDES.includes(position)) throw new Error(`Unknown panel position: "${position}"`);
+  }
+  const on = side => panels.filter(p => p.position === side);
+  const depth = (list, key) => list.reduce((sum, p) => sum + p[key] + margin, 0);
+
+  const left = depth(on('left'), 'width');
+  const right = depth(on('right'), 'width');
+  const top = depth(on('top'), 'height');
+  const bottom = depth(on('bottom'), 'height');
+
+  // Middle band: the plot, or taller/wider side panels
+  const bandH = Math.max(size, ...[...on('left'), ...on('right')].map(p => p.height + 2 * margin));
+  const bandW = Math.max(size, ...[...on('top'), ...on('bottom')].map(p => p.width + 2 * margin));
+  const plot = [left + (bandW - size) / 2, top + (bandH - size) / 2];
+  const across = (extent, band) => Math.max(margin, (band - extent) / 2);
+
+  // Running edge of each side, moving outwards from the plot
+  const edges = { left, right: left + bandW, top, bottom: top + bandH };
+  const placed = panels.map(p => {
+    switch (p.position) {
+      case 'right': {
+        const x = edges.right;
+        edges.right += p.width + margin;
+        return [x, top + across(p.height, bandH)];
+      }
+      case 'left':
+        edges.left -= p.width + margin;
+        return [edges.left + margin, top + across(p.height, bandH)];
+      case 'top':
+        edges.top -= p.height + margin;
+        return [left + across(p.width, bandW), edges.top + margin];
+      default: {
+        const y = edges.bottom;
+        edges.bottom += p.height + margin;
+        return [left + across(p.width, bandW), y];
+      }
+    }
+  });
+
+  return { width: left + bandW + right, height: top + bandH + bottom, plot, panels: placed };
+}
@@ -0,0 +1,157 @@
+/**
+ * @module scales — Data-driven style values.
+ *
+ * Any style value may be
+ *   - a function `(attributes, item) => value`, evaluated per item;
+ *   - a scale spec reading `attributes[field]`:
+ *       { field, colormap, domain? }       numbers → colormap colour over the
+ *                                          domain; other values → one colour
+ *                                          per category, in order of appearance
+ *       { field, range: [a, b], domain? }  number mapped linearly onto the range
+ *                                          (e.g. symbol radius)
+ *       { field, map: { value: result } }  lookup table
+ *     plus optional `label` (legend title) and `default` (missing values).
+ * Domains default to the extent of the field over all plotted data.
+ */
+
+import { getColormap } from './colormap.js';
+
+/**
+ * True if a style value is a scale spec.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isScale(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.field === 'string';
+}
+
+/** True if a style object has function or scale values. */
+export function isDynamic(style) {
+  return !!style && typeof style === 'object'
+    && Object.values(style).some(v => typeof v === 'function' || isScale(v));
+}
+
+/** True if the values are all finite numbers (and there is at least one). */
+function numeric(values) {
+  return values.length > 0 && values.every(v => typeof v === 'number' && Number.isFinite(v));
+}
+
+// Per-array summaries, so evaluating a scale for every item of a large
+// dataset scans the field's values once
+const summaries = new WeakMap();
+
+/** Present values of a field, whether they are numeric, and the categories. */
+function summarize(values) {
+  let info = summaries.get(values);
+  if (!info) {
+    const present = values.filter(v => v !== undefined && v !== null);
+    info = { present, numeric: numeric(present), categories: categories(present), extent: null };
+    summaries.set(values, info);
+  }
+  return info;
+}
+
+/**
+ * Distinct values in order of first appearance.
+ * @param {Array} values
+ * @returns {Array}
+ */
+export function categories(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Domain of a numeric scale: spec.domain, or the extent of the values.
+ * @param {Object} spec
+ * @param {number[]} values
+ * @returns {number[]} [min, max]
+ */
+export function scaleDomain(spec, values) {
+  if (spec.domain) return spec.domain;
+  const info = summarize(values);
+  if (info.extent) return info.extent;
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (typeof v !== 'number' || !Number.isFinite(v)) continue;
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  info.extent = lo <= hi ? [lo, hi] : [0, 1];
+  return info.extent;
+}
+
+/**
+ * Evaluate a scale for one value.
+ * @param {Object} spec - scale spec (see module docs)
+ * @param {*} value - the item's attribute value
+ * @param {Array} values - all values of the field (for default domains / categories)
+ * @returns {*} style value, or spec.default when the value is missing or unknown
+ */
+export function evaluateScale(spec, value, values) {
+  if (value === undefined || value === null) return spec.default;
+  if (spec.map) return value in spec.map ? spec.map[value] : spec.default;
+
+  const info = summarize(values);
+  if (spec.colormap !== undefined && !info.numeric) {
+    const cats = info.categories;
+    const i = cats.indexOf(value);
+    if (i < 0) return spec.default;
+    return getColormap(spec.colormap).at(cats.length > 1 ? i / (cats.length - 1) : 0.5);
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) return spec.default;
+  const [lo, hi] = scaleDomain(spec, values);
+  const t = hi === lo ? 0.5 : Math.min(1, Math.max(0, (value - lo) / (hi - lo)));
+  if (spec.colormap !== undefined) return getColormap(spec.colormap).at(t);
+  if (spec.range) return spec.range[0] + t * (spec.range[1] - spec.range[0]);
+  throw new Error(`Scale for "${spec.field}" needs a colormap, range or map`);
+}
+
+/**
+ * Evaluate the function and scale values of a resolved style for one item.
+ *
+ * @param {Object} style - resolved style (not mutated)
+ * @param {Object} attributes - the item's attributes
+ * @param {Object} item - passed to style functions
+ * @param {function(string): Array} valuesOf - all plotted values of a field
+ * @param {Object} [fallback] - values for keys whose scale yields undefined
+ * @returns {Object}
+ */
+export function evaluateStyle(style, attributes, item, valuesOf, fallback = {}) {
+  if (!isDynamic(style)) return style;
+  const out = { ...style };
+  for (const [k, v] of Object.entries(style)) {
+    let result;
+    if (typeof v === 'function') result = v(attributes, item);
+    else if (isScale(v)) result = evaluateScale(v, attributes[v.field], valuesOf(v.field));
+    else continue;
+    out[k] = result === undefined ? fallback[k] : result;
+  }
+  return out;
+}
+
+/**
+ * Representative (label, value) pairs of a scale for a legend: every category
+ * or map entry, or `n` evenly spaced values across a numeric domain.
+ *
+ * @param {Object} spec
+ * @param {Array} values - all plotted values of the field
+ * @param {number} [n=5]
+ * @returns {Array<{ label: string, value: * }>} value = evaluated style value
+ */
+export function scaleEntries(spec, values, n = 5) {
+  if (spec.map) {
+    return Object.entries(spec.map).map(([key, value]) => ({ label: key, value }));
+  }
+  const info = summarize(values);
+  if (spec.colormap !== undefined && !info.numeric) {
+    return info.categories.map(c => ({ label: String(c), value: evaluateScale(spec, c, values) }));
+  }
+  const [lo, hi] = scaleDomain(spec, values);
+  const count = hi === lo ? 1 : n;
+  return Array.from({ length: count }, (_, i) => {
+    const v = count === 1 ? lo : lo + (i / (count - 1)) * (hi - lo);
+    return { label: String(Number(v.toPrecision(3))), value: evaluateScale(spec, v, values) };
+  });
+}
@@ -1,5 +1,7 @@
 /** @module style — Default style constants and merge utilities for stereonet rendering. */
 
+import { getColormap } from './colormap.js';
+
 /**
  * Deep-merge objects without mutation. undefined values are skipped,
  * arrays are replaced wholesale, nested plain objects are merged recursively.
@@ -64,6 +66,25 @@ export function resolveStyle(category, instanceStyle, itemStyle) {
   return base;
 }
 
+/**
+ * Evaluate colormap lookups in a resolved style. Any value of the form
+ * `{ colormap, value, domain = [0, 1] }` is replaced by the colormap colour
+ * at `value`, scaled from the domain to [0, 1].
+ * @param {Object} style - resolved style (not mutated)
+ * @returns {Object}
+ */
+export function evaluateColormaps(style) {
+  let out = style;
+  for (const [k, v] of Object.entries(style)) {
+    if (v && typeof v === 'object' && !Array.isArray(v) && v.colormap !== undefined && v.value !== undefined) {
+      const [lo, hi] = v.domain || [0, 1];
+      if (out === style) out = { ...style };
+      out[k] = getColormap(v.colormap).at(hi === lo ? 0.5 : (v.value - lo) / (hi - lo));
+    }
+  }
+  return out;
+}
+
 export const defaults = {
   size: 500,
   padding: 30,
@@ -89,21 +110,178 @@ export const defaults = {
     r: 3,
     fill: '#000000',
     stroke: 'none',
+    marker: 'circle',      // see render/markers.js, or a custom unit-space SVG path
+    open: false,           // true → hollow symbol stroked in the fill colour
+    angle: 0,              // marker rotation, degrees clockwise from north
+    upperFill: 'none',     // upper-hemisphere points ('both' / 'full' views) are open
+    upperStroke: null,     // null → use stroke, or fill when stroke is 'none'
   },
   line: {
     r: 4,
     fill: '#000000',
     stroke: 'none',
+    marker: 'circle',      // see render/markers.js, or a custom unit-space SVG path
+    open: false,           // true → hollow symbol stroked in the fill colour
+    angle: 0,              // marker rotation, degrees clockwise from north
+    upperFill: 'none',
+    upperStroke: null,
   },
   plane: {
     stroke: '#000000',
     strokeWidth: 1.2,
     fill: 'none',
+    upperDasharray: '5,4', // upper-hemisphere part of the great circle
   },
   cone: {
     stroke: '#000000',
     strokeWidth: 1,
     fill: 'none',
     strokeDasharray: '4,3',
+    upperDasharray: '1,3',
+  },
+  ellipse: {
+    stroke: '#000000',
+    strokeWidth: 1,
+    fill: 'none',
+    strokeDasharray: null,
+    upperDasharray: '1,3',
+  },
+  fisher: {
+    r: 6,
+    fill: '#cc0000',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    marker: 'star',        // mean direction symbol
+    open: false,
+    angle: 0,
+    upperFill: 'none',
+    upperStroke: null,
+    cones: ['alpha95'],    // any of 'alpha95', 'theta63', 'theta95'
+    coneStroke: '#cc0000',
+    coneWidth: 1.2,
+    coneDasharray: { alpha95: null, theta63: '6,3', theta95: '2,3' },
+    upperDasharray: '1,3', // upper-hemisphere parts of the cones
+  },
+  eigen: {
+    r: 5,
+    fill: '#0055aa',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    markers: ['square', 'triangle', 'circle'], // V1, V2, V3
+    open: false,
+    angle: 0,
+    upperFill: 'none',
+    upperStroke: null,
+    axes: true,
+    labels: true,          // "S1 (0.823)" beside each axis
+    girdle: true,          // great circle normal to V3
+    girdleStroke: '#0055aa',
+    girdleWidth: 1.2,
+    girdleDasharray: null,
+    smallCircle: false,    // best-fit small circle (see statistics.smallCircleFit)
+    smallCircleStroke: '#0055aa',
+    smallCircleWidth: 1,
+    smallCircleDasharray: '6,3',
+    upperDasharray: '1,3',
+    info: false,           // true or a side ('right', …) → eigenvalue / fabric box
+  },
+  bingham: {
+    r: 4,
+    fill: '#7a3db8',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    markers: ['square', 'triangle', 'circle'], // V1, V2, V3
+    open: false,
+    angle: 0,
+    upperFill: 'none',
+    upperStroke: null,
+    axes: ['V1', 'V2', 'V3'], // axes drawn with their confidence ellipses
+    confidence: 0.95,
+    ellipseStroke: '#7a3db8',
+    ellipseWidth: 1.2,
+    ellipseDasharray: null,
+    upperDasharray: '1,3',
+  },
+  kent: {
+    r: 6,
+    fill: '#d46a00',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    marker: 'diamond',     // mean direction symbol
+    open: false,
+    angle: 0,
+    upperFill: 'none',
+    upperStroke: null,
+    method: 'mle',         // or 'moments' (see statistics.kentFit)
+    confidence: 0.95,
+    ellipseStroke: '#d46a00',
+    ellipseWidth: 1.2,
+    ellipseDasharray: null,
+    upperDasharray: '1,3',
+  },
+  watson: {
+    r: 6,
+    fill: '#2a8c4a',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    marker: 'square',      // principal axis symbol
+    open: false,
+    angle: 0,
+    upperFill: 'none',
+    upperStroke: null,
+    model: 'auto',         // 'bipolar', 'girdle' or 'auto' (see statistics.watsonFit)
+    confidence: 0.95,
+    coneStroke: '#2a8c4a',
+    coneWidth: 1.2,
+    coneDasharray: null,
+    girdle: true,          // girdle model: draw the great circle normal to the axis
+    girdleStroke: '#2a8c4a',
+    girdleWidth: 1.2,
+    girdleDasharray: '6,3',
+    upperDasharray: '1,3',
+  },
+  label: {
+    fontSize: 11,
+    fontFamily: 'sans-serif',
+    fill: '#000000',
+    offset: 4,             // gap between the anchor (or curve) and the label
+    leaderStroke: '#666666',
+    leaderWidth: 0.5,
+  },
+  legend: {
+    fontSize: 11,
+    fontFamily: 'sans-serif',
+    fill: '#000000',
+    footerFill: '#444444',
+    background: '#ffffff',
+    stroke: '#999999',
+    strokeWidth: 0.5,
+    padding: 8,            // inside the legend box
+    margin: 10,            // between the legend box and the canvas edge
+    swatchWidth: 20,
+  },
+  colorbar: {
+    fontSize: 10,
+    fontFamily: 'sans-serif',
+    fill: '#000000',
+    stroke: '#000000',
+    strokeWidth: 0.5,
+    padding: 6,
+    margin: 10,
+    thickness: 14,
+    tickLength: 4,
+    length: 0.6,           // fraction of the net diameter
+  },
+  petal: {
+    fill: '#999999',
+    colormap: null,        // colormap name/object → petals coloured by count
+    stroke: '#000000',
+    strokeWidth: 0.75,
+  },
+  ringLabel: {
+    fontSize: 9,
+    fontFamily: 'sans-serif',
+    fill: '#666666',
+    azimuth: 80,
   },
 };
@@ -39,6 +39,12 @@ export class SvgBuilder {
     return this;
   }
 
+  /** Generic self-closing element, e.g. from an element description { tag, attrs }. */
+  element(tag, attrs = {}) {
+    this.elements.push(`<${tag} ${attr(attrs)}/>`);
+    return this;
+  }
+
   text(x, y, content, style = {}) {
     const { 'text-anchor': anchor, ...rest } = style;
     const anchorAttr = anchor ? ` text-anchor="${anchor}"` : '';
@@ -62,6 +68,13 @@ export class SvgBuilder {
     return this;
   }
 
+  /** Open a <g> with the given attributes (e.g. a transform); close with closeGroup(). */
+  openGroup(attrs = {}) {
+    const a = attr(attrs);
+    this.elements.push(a ? `<g ${a}>` : '<g>');
+    return this;
+  }
+
   openClipGroup(clipId) {
     this.elements.push(`<g clip-path="url(#${clipId})">`);
     return this;
@@ -0,0 +1,463 @@
+/**
+ * @module rose — Azimuth rose diagrams for strikes, dip directions and trends.
+ */
+
+import { SvgBuilder } from './render/svg.js';
+import { SVG_NS, setAttrs, createSvgElement, clearChildren } from './render/dom.js';
+import { resolveStyle, defaults } from './render/style.js';
+import { getColormap } from './render/colormap.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Bin azimuths into equal-width sectors.
+ *
+ * Bin k covers [start + k·binWidth, start + (k+1)·binWidth).  With
+ * `bidirectional`, every azimuth is also counted at azimuth + 180 so that
+ * axial data (strikes, fracture traces) produce a symmetric rose.
+ *
+ * @param {number[]} azimuths - azimuths in degrees (any range)
+ * @param {Object} [options]
+ * @param {number}  [options.binWidth=10] - sector width in degrees (must divide 360)
+ * @param {number}  [options.start=0] - azimuth of the first bin edge in degrees
+ * @param {boolean} [options.bidirectional=false] - count each azimuth and its opposite
+ * @returns {{ binWidth: number, start: number, counts: number[], max: number, n: number }}
+ *   counts — one entry per bin, clockwise from `start`
+ *   max    — largest bin count
+ *   n      — number of input azimuths
+ */
+export function binAzimuths(azimuths, options = {}) {
+  const { binWidth = 10, start = 0, bidirectional = false } = options;
+  const nBins = 360 / binWidth;
+  if (!Number.isInteger(nBins) || nBins < 1) {
+    throw new Error(`Bin width must divide 360: ${binWidth}`);
+  }
+
+  const counts = new Array(nBins).fill(0);
+  const add = az => {
+    const rel = (((az - start) % 360) + 360) % 360;
+    counts[Math.min(nBins - 1, Math.floor(rel / binWidth))]++;
+  };
+
+  for (const az of azimuths) {
+    add(az);
+    if (bidirectional) add(az + 180);
+  }
+
+  return { binWidth, start, counts, max: Math.max(0, ...counts), n: azimuths.length };
+}
+
+/**
+ * Pick a "nice" ring interval (1, 2 or 5 × 10ᵏ) giving about `target` rings up to max.
+ */
+function niceStep(max, target = 4) {
+  if (max <= 0) return 1;
+  const raw = max / target;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const nice = norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10;
+  return Math.max(1, nice * mag);
+}
+
+let nextRoseId = 0;
+
+export class RoseDiagram {
+  /**
+   * @param {Object} [options]
+   * @param {number}  [options.size=500]
+   * @param {number}  [options.padding=30]
+   * @param {number}  [options.binWidth=10] - sector width in degrees
+   * @param {number}  [options.start=0] - azimuth of the first bin edge
+   * @param {boolean} [options.bidirectional=false] - axial data (each azimuth also counted at +180)
+   * @param {'area'|'linear'} [options.scale='area'] - petal radius ∝ √count (equal-area) or count
+   * @param {Object}  [options.style] - instance style overrides (see styleDefaults)
+   * @param {string|null} [options.classPrefix='bearing']
+   */
+  constructor(options = {}) {
+    this.size = options.size || defaults.size;
+    this.padding = options.padding ?? defaults.padding;
+    this.binWidth = options.binWidth || 10;
+    this.start = options.start || 0;
+    this.bidirectional = !!options.bidirectional;
+    this.scale = options.scale || 'area';
+    this._instanceStyle = options.style || null;
+    this._classPrefix = options.classPrefix !== undefined ? options.classPrefix : 'bearing';
+    this._azimuths = [];
+    this._clipId = `bearing-rose-clip-${nextRoseId++}`;
+
+    // DOM references (created by element(), updated by render())
+    this._el = null;
+    this._bgEl = null;
+    this._gridPath = null;
+    this._petalGroup = null;
+    this._ringLabelGroup = null;
+    this._primEl = null;
+  }
+
+  get _radius() {
+    return (this.size - 2 * this.padding) / 2;
+  }
+
+  get _center() {
+    return this.size / 2;
+  }
+
+  _resolveCategory(category, itemStyle) {
+    return resolveStyle(category, this._instanceStyle, itemStyle);
+  }
+
+  _classFor(suffix) {
+    if (this._classPrefix === null) return undefined;
+    return `${this._classPrefix}-${suffix}`;
+  }
+
+  /**
+   * Update the instance-level style at runtime. Call render() to apply.
+   * @param {Object} style
+   * @returns {this}
+   */
+  setStyle(style) {
+    this._instanceStyle = style;
+    return this;
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Data methods — return `this` for chaining
+  // ---------------------------------------------------------------------------
+
+  /** Read-only access to the plotted azimuths (degrees). */
+  get azimuths() {
+    return this._azimuths;
+  }
+
+  /**
+   * Add raw azimuths in degrees.
+   * @param {number[]} values
+   * @returns {this}
+   */
+  add(values) {
+    for (const v of values) this._azimuths.push(v);
+    return this;
+  }
+
+  /**
+   * Add plane attitudes as [dipDirection, dip] pairs.
+   * @param {Array<number[]>} attitudes
+   * @param {Object} [options]
+   * @param {'strike'|'dipDirection'} [options.use='strike'] - which azimuth to bin
+   *   (strike follows the right-hand rule: dd − 90)
+   * @returns {this}
+   */
+  planes(attitudes, options = {}) {
+    const use = options.use || 'strike';
+    for (const [dd] of attitudes) {
+      this._azimuths.push(use === 'strike' ? (dd + 270) % 360 : dd);
+    }
+    return this;
+  }
+
+  /**
+   * Add line trends from [trend, plunge] pairs.
+   * @param {Array<number[]>} lines
+   * @returns {this}
+   */
+  lines(lines) {
+    for (const [trend] of lines) this._azimuths.push(trend);
+    return this;
+  }
+
+  /** Remove all data. Returns `this`. */
+  clear() {
+    this._azimuths.length = 0;
+    return this;
+  }
+
+  /** Current bin counts (see binAzimuths). */
+  get bins() {
+    return binAzimuths(this._azimuths, {
+      binWidth: this.binWidth,
+      start: this.start,
+      bidirectional: this.bidirectional,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Geometry
+  // ---------------------------------------------------------------------------
+
+  /** Petal radius in SVG units for a given count. */
+  _petalRadius(count, max) {
+    if (max <= 0) return 0;
+    const f = count / max;
+    return this._radius * (this.scale === 'linear' ? f : Math.sqrt(f));
+  }
+
+  /** SVG point at azimuth (degrees) and distance r from the center. */
+  _point(az, r) {
+    const c = this._center;
+    return [c + r * Math.sin(az * DEG), c - r * Math.cos(az * DEG)];
+  }
+
+  /** Path d string and count of every non-empty petal. */
+  _petalPaths(bins) {
+    const c = this._center;
+    const paths = [];
+    for (let k = 0; k < bins.counts.length; k++) {
+      const count = bins.counts[k];
+      if (count === 0) continue;
+      const r = this._petalRadius(count, bins.max);
+      const a0 = bins.start + k * bins.binWidth;
+      const a1 = a0 + bins.binWidth;
+      const [x0, y0] = this._point(a0, r);
+      const [x1, y1] = this._point(a1, r);
+      const large = bins.binWidth > 180 ? 1 : 0;
+      const d = bins.binWidth >= 360
+        ? `M${c - r},${c}A${r},${r} 0 1 1 ${c + r},${c}A${r},${r} 0 1 1 ${c - r},${c}Z`
+        : `M${c},${c}L${x0},${y0}A${r},${r} 0 ${large} 1 ${x1},${y1}Z`;
+      paths.push({ d, count });
+    }
+    return paths;
+  }
+
+  /** Petal fill: the style fill, or the colormap colour at count / max. */
+  _petalFill(petalStyle, count, max) {
+    if (!petalStyle.colormap) return petalStyle.fill;
+    return getColormap(petalStyle.colormap).at(max > 0 ? count / max : 0);
+  }
+
+  /** Ring counts and their radii (scaled like the petals). */
+  _rings(bins) {
+    const rings = [];
+    if (bins.max <= 0) return rings;
+    const step = niceStep(bins.max);
+    for (let v = step; v <= bins.max; v += step) {
+      rings.push({ value: v, r: this._petalRadius(v, bins.max) });
+    }
+    return rings;
+  }
+
+  /** Grid path: count rings plus radial spokes every 30°. */
+  _gridPathD(rings) {
+    const c = this._center;
+    const R = this._radius;
+    const parts = [];
+    for (const { r } of rings) {
+      parts.push(`M${c - r},${c}A${r},${r} 0 1 1 ${c + r},${c}A${r},${r} 0 1 1 ${c - r},${c}`);
+    }
+    for (let az = 0; az < 180; az += 30) {
+      const [x0, y0] = this._point(az, R);
+      const [x1, y1] = this._point(az + 180, R);
+      parts.push(`M${x0},${y0}L${x1},${y1}`);
+    }
+    return parts.join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Static SVG string output (works in Node, no DOM)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build and return the SVG as a string.
+   */
+  svg() {
+    const svg = new SvgBuilder(this.size, this.size);
+    const c = this._center;
+    const r = this._radius;
+    const bins = this.bins;
+    const rings = this._rings(bins);
+
+    svg.circle(c, c, r, {
+      fill: this._resolveCategory('background'),
+      stroke: 'none',
+      class: this._classFor('background'),
+    });
+    svg.clipCircle(this._clipId, c, c, r);
+    svg.openClipGroup(this._clipId);
+
+    const gridStyle = this._resolveCategory('grid');
+    svg.path(this._gridPathD(rings), {
+      stroke: gridStyle.stroke,
+      'stroke-width': gridStyle.strokeWidth,
+      fill: 'none',
+      class: this._classFor('grid'),
+    });
+
+    const petalStyle = this._resolveCategory('petal');
+    for (const { d, count } of this._petalPaths(bins)) {
+      svg.path(d, {
+        fill: this._petalFill(petalStyle, count, bins.max),
+        stroke: petalStyle.stroke,
+        'stroke-width': petalStyle.strokeWidth,
+        class: this._classFor('petal'),
+      });
+    }
+
+    svg.closeGroup();
+
+    const primStyle = this._resolveCategory('primitive');
+    svg.circle(c, c, r, {
+      fill: 'none',
+      stroke: primStyle.stroke,
+      'stroke-width': primStyle.strokeWidth,
+      class: this._classFor('primitive'),
+    });
+
+    const ringStyle = this._resolveCategory('ringLabel');
+    for (const { value, r: rr } of rings) {
+      const [x, y] = this._point(ringStyle.azimuth, rr);
+      svg.text(x + 2, y, value, {
+        'font-size': ringStyle.fontSize,
+        'font-family': ringStyle.fontFamily,
+        fill: ringStyle.fill,
+        'dominant-baseline': 'central',
+        class: this._classFor('ring-label'),
+      });
+    }
+
+    const cardStyle = this._resolveCategory('cardinals');
+    const textStyle = {
+      'font-size': cardStyle.fontSize,
+      'font-family': cardStyle.fontFamily,
+      fill: cardStyle.fill,
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central',
+      class: this._classFor('cardinal'),
+    };
+    for (const [label, az] of [['N', 0], ['E', 90], ['S', 180], ['W', 270]]) {
+      const [x, y] = this._point(az, r + cardStyle.offset);
+      svg.text(x, y, label, textStyle);
+    }
+
+    return svg.toString();
+  }
+
+  /**
+   * Return the SVG as a data: URI suitable for an <img> src or download.
+   * @returns {string}
+   */
+  svgDataURL() {
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.svg());
+  }
+
+  // ---------------------------------------------------------------------------
+  //  DOM rendering — persistent SVG element
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Return the persistent SVG DOM element (browser only).
+   * Creates and renders on first call; call render() after changing data.
+   */
+  element() {
+    if (!this._el) {
+      this._buildDOM();
+      this.render();
+    }
+    return this._el;
+  }
+
+  _buildDOM() {
+    const s = this.size;
+    const c = this._center;
+    const r = this._radius;
+
+    const svg = createSvgElement('svg', {
+      xmlns: SVG_NS, width: s, height: s, viewBox: `0 0 ${s} ${s}`,
+    });
+
+    this._bgEl = createSvgElement('circle', {
+      cx: c, cy: c, r, stroke: 'none', class: this._classFor('background'),
+    });
+    svg.appendChild(this._bgEl);
+
+    const defs = createSvgElement('defs');
+    const clipPath = createSvgElement('clipPath', { id: this._clipId });
+    clipPath.appendChild(createSvgElement('circle', { cx: c, cy: c, r }));
+    defs.appendChild(clipPath);
+    svg.appendChild(defs);
+
+    const clipGroup = createSvgElement('g', { 'clip-path': `url(#${this._clipId})` });
+    this._gridPath = createSvgElement('path', { fill: 'none', class: this._classFor('grid') });
+    clipGroup.appendChild(this._gridPath);
+    this._petalGroup = createSvgElement('g');
+    clipGroup.appendChild(this._petalGroup);
+    svg.appendChild(clipGroup);
+
+    this._primEl = createSvgElement('circle', {
+      cx: c, cy: c, r, fill: 'none', class: this._classFor('primitive'),
+    });
+    svg.appendChild(this._primEl);
+
+    this._ringLabelGroup = createSvgElement('g');
+    svg.appendChild(this._ringLabelGroup);
+
+    const cardStyle = this._resolveCategory('cardinals');
+    for (const [label, az] of [['N', 0], ['E', 90], ['S', 180], ['W', 270]]) {
+      const [x, y] = this._point(az, r + cardStyle.offset);
+      const text = createSvgElement('text', {
+        x, y,
+        'font-size': cardStyle.fontSize,
+        'font-family': cardStyle.fontFamily,
+        fill: cardStyle.fill,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central',
+        class: this._classFor('cardinal'),
+      });
+      text.textContent = label;
+      svg.appendChild(text);
+    }
+
+    this._el = svg;
+  }
+
+  /**
+   * Update the persistent DOM element in place.
+   * No-op if element() hasn't been called yet.
+   * Returns `this`.
+   */
+  render() {
+    if (!this._el) return this;
+
+    const bins = this.bins;
+    const rings = this._rings(bins);
+    const gridStyle = this._resolveCategory('grid');
+    const primStyle = this._resolveCategory('primitive');
+    const petalStyle = this._resolveCategory('petal');
+    const ringStyle = this._resolveCategory('ringLabel');
+
+    this._bgEl.setAttribute('fill', this._resolveCategory('background'));
+    setAttrs(this._gridPath, {
+      d: this._gridPathD(rings),
+      stroke: gridStyle.stroke,
+      'stroke-width': gridStyle.strokeWidth,
+    });
+    setAttrs(this._primEl, { stroke: primStyle.stroke, 'stroke-width': primStyle.strokeWidth });
+
+    clearChildren(this._petalGroup);
+    for (const { d, count } of this._petalPaths(bins)) {
+      this._petalGroup.appendChild(createSvgElement('path', {
+        d,
+        fill: this._petalFill(petalStyle, count, bins.max),
+        stroke: petalStyle.stroke,
+        'stroke-width': petalStyle.strokeWidth,
+        class: this._classFor('petal'),
+      }));
+    }
+
+    clearChildren(this._ringLabelGroup);
+    for (const { value, r } of rings) {
+      const [x, y] = this._point(ringStyle.azimuth, r);
+      const text = createSvgElement('text', {
+        x: x + 2, y,
+        'font-size': ringStyle.fontSize,
+        'font-family': ringStyle.fontFamily,
+        fill: ringStyle.fill,
+        'dominant-baseline': 'central',
+        class: this._classFor('ring-label'),
+      });
+      text.textContent = value;
+      this._ringLabelGroup.appendChild(text);
+    }
+
+    return this;
+  }
+}
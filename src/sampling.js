@@ -0,0 +1,187 @@
+/**
+ * @module sampling — Random orientations from standard distributions.
+ *
+ * Synthetic data for tests, demos and teaching. Each sampler takes the
+ * number of draws, the distribution parameters — named as the fitting
+ * functions in statistics.js return them, so `fisherSample(50, fisherStats(d))`
+ * draws from the fitted model — and options:
+ *   seed   — PRNG seed for reproducible draws
+ *   random — a generator from core/random.js, to share one stream between calls
+ *   lower  — fold the directions into the lower hemisphere (z ≤ 0), for axes
+ * Results are arrays of direction cosines.
+ */
+
+import * as vec3 from './core/vec3.js';
+import { seededRandom, gaussian } from './core/random.js';
+
+/** Generator for a call's options. */
+function generator(options) {
+  return options.random ?? seededRandom(options.seed);
+}
+
+/** Apply the `lower` option. */
+function finish(dcos, options) {
+  return options.lower ? dcos.map(d => (d[2] > 0 ? vec3.negate(d) : d)) : dcos;
+}
+
+/** Two unit vectors completing v to a right-handed orthonormal frame. */
+function frame(v) {
+  const ref = Math.abs(v[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+  const u = vec3.normalize(vec3.cross(v, ref));
+  return [u, vec3.cross(v, u)];
+}
+
+/** Σ cᵢ eᵢ for coefficients c and vectors e. */
+function combine(c, e) {
+  return [0, 1, 2].map(k => c[0] * e[0][k] + c[1] * e[1][k] + c[2] * e[2][k]);
+}
+
+/** Direction at colatitude cos θ = w and longitude φ about `center`. */
+function aboutCenter(center, u, v, w, phi) {
+  const s = Math.sqrt(Math.max(0, 1 - w * w));
+  return combine([w, s * Math.cos(phi), s * Math.sin(phi)], [center, u, v]);
+}
+
+/**
+ * Directions uniformly distributed on the sphere.
+ * @param {number} n
+ * @param {Object} [options] - seed, random, lower
+ * @returns {Array<number[]>}
+ */
+export function uniformSample(n, options = {}) {
+  const random = generator(options);
+  const out = Array.from({ length: n }, () => {
+    const z = 2 * random() - 1;
+    const phi = 2 * Math.PI * random();
+    const s = Math.sqrt(1 - z * z);
+    return [s * Math.cos(phi), s * Math.sin(phi), z];
+  });
+  return finish(out, options);
+}
+
+/**
+ * Fisher distribution f(x) ∝ exp(κ μ·x), by inversion of the distribution
+ * of μ·x.
+ *
+ * @param {number} n
+ * @param {{ mean: number[], kappa: number }} params - κ ≥ 0 (0 = uniform)
+ * @param {Object} [options] - seed, random, lower
+ * @returns {Array<number[]>}
+ */
+export function fisherSample(n, params, options = {}) {
+  const { kappa } = params;
+  if (!(kappa >= 0)) throw new Error('Fisher κ must be non-negative');
+  const random = generator(options);
+  const mean = vec3.normalize(params.mean);
+  const [u, v] = frame(mean);
+  const out = Array.from({ length: n }, () => {
+    const r = random();
+    let w;
+    if (kappa === 0) w = 2 * r - 1;
+    else if (!Number.isFinite(kappa)) w = 1;
+    else w = 1 + Math.log(r + (1 - r) * Math.exp(-2 * kappa)) / kappa;
+    return aboutCenter(mean, u, v, Math.min(1, w), 2 * Math.PI * random());
+  });
+  return finish(out, options);
+}
+
+/**
+ * Bingham distribution f(±x) ∝ exp(Σ κᵢ (vᵢ·x)²), by rejection from an
+ * angular central Gaussian envelope (Kent, Ganeiber & Mardia, 2013).
+ *
+ * @param {number} n
+ * @param {{ eigenvectors: number[][], kappa: number[] }} params - orthonormal
+ *   axes v₁–v₃ and their concentrations, as returned by binghamFit (only the
+ *   differences between the κᵢ matter)
+ * @param {Object} [options] - seed, random, lower
+ * @returns {Array<number[]>}
+ */
+export function binghamSample(n, params, options = {}) {
+  const { eigenvectors: axes, kappa } = params;
+  if (!kappa.every(Number.isFinite)) throw new Error('Bingham κ must be finite');
+  const random = generator(options);
+
+  // exp(−xᵀAx) with A = Σ λᵢ vᵢvᵢᵀ, λᵢ = max κ − κᵢ ≥ 0
+  const top = Math.max(...kappa);
+  const lambda = kappa.map(k => top - k);
+  // Envelope parameter b: Σ 1/(b + 2λᵢ) = 1, with b in (0, 3]
+  let lo = 1e-12;
+  let hi = 3;
+  for (let i = 0; i < 200 && hi - lo > 1e-14; i++) {
+    const b = (lo + hi) / 2;
+    if (lambda.reduce((s, l) => s + 1 / (b + 2 * l), 0) > 1) lo = b;
+    else hi = b;
+  }
+  const b = (lo + hi) / 2;
+  const omega = lambda.map(l => 1 + 2 * l / b);
+  const logM = -(3 - b) / 2 + 1.5 * Math.log(3 / b);
+
+  const out = [];
+  while (out.length < n) {
+    const y = omega.map(w => gaussian(random) / Math.sqrt(w));
+    const len = Math.hypot(y[0], y[1], y[2]);
+    const x = y.map(c => c / len);
+    let quad = 0;
+    let shape = 0;
+    for (let i = 0; i < 3; i++) {
+      quad += lambda[i] * x[i] * x[i];
+      shape += omega[i] * x[i] * x[i];
+    }
+    if (Math.log(random()) < -quad + 1.5 * Math.log(shape) - logM) out.push(combine(x, axes));
+  }
+  return finish(out, options);
+}
+
+/**
+ * Watson distribution f(±x) ∝ exp(κ (μ·x)²): bipolar about μ for κ > 0,
+ * a girdle normal to μ for κ < 0. Drawn as a Bingham distribution.
+ *
+ * @param {number} n
+ * @param {{ axis: number[], kappa: number }} params
+ * @param {Object} [options] - seed, random, lower
+ * @returns {Array<number[]>}
+ */
+export function watsonSample(n, params, options = {}) {
+  const axis = vec3.normalize(params.axis);
+  return binghamSample(n, { eigenvectors: [axis, ...frame(axis)], kappa: [params.kappa, 0, 0] }, options);
+}
+
+/**
+ * Kent (FB5) distribution f(x) ∝ exp(κ γ₁·x + β ((γ₂·x)² − (γ₃·x)²)).
+ *
+ * In Lambert coordinates z about γ₁ (area-preserving, |z| ≤ 2) the density
+ * is exp(−½(κ − 2β) z₁² − ½(κ + 2β) z₂² − β/4 (z₁⁴ − z₂⁴)); candidates are
+ * drawn from independent normals with variances 1/(κ − 2β) and 1/κ, which
+ * bound it (Kent, Ganeiber & Mardia, 2013). Efficient for concentrated
+ * distributions; slow as 2β approaches κ.
+ *
+ * @param {number} n
+ * @param {{ mean: number[], major: number[], kappa: number, beta: number }} params -
+ *   γ₁, γ₂ (made perpendicular to γ₁), κ > 0 and 0 ≤ 2β < κ, as returned by kentFit
+ * @param {Object} [options] - seed, random, lower
+ * @returns {Array<number[]>}
+ */
+export function kentSample(n, params, options = {}) {
+  const { kappa, beta } = params;
+  if (!(kappa > 0 && Number.isFinite(kappa))) throw new Error('Kent κ must be positive and finite');
+  if (!(beta >= 0 && 2 * beta < kappa)) throw new Error('Kent β must satisfy 0 ≤ 2β < κ');
+  const random = generator(options);
+  const g1 = vec3.normalize(params.mean);
+  const g2 = vec3.normalize(vec3.sub(params.major, vec3.scale(g1, vec3.dot(params.major, g1))));
+  const g3 = vec3.cross(g1, g2);
+  const s1 = 1 / Math.sqrt(kappa - 2 * beta);
+  const s2 = 1 / Math.sqrt(kappa);
+
+  const out = [];
+  while (out.length < n) {
+    const z1 = s1 * gaussian(random);
+    const z2 = s2 * gaussian(random);
+    const r2 = z1 * z1 + z2 * z2;
+    if (r2 > 4) continue;
+    // Target / envelope = exp(−β/4 z₁⁴ − β/4 z₂² (4 − z₂²)) ≤ 1 inside the disc
+    if (Math.log(random()) >= -beta / 4 * (z1 ** 4 + z2 * z2 * (4 - z2 * z2))) continue;
+    const s = Math.sqrt(1 - r2 / 4);
+    out.push(combine([1 - r2 / 2, z1 * s, z2 * s], [g1, g2, g3]));
+  }
+  return finish(out, options);
+}
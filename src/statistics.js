@@ -3,34 +3,47 @@
  *
  * All functions take arrays of direction cosines [x, y, z] (unit vectors,
  * lower hemisphere).  Use conversions.planeToDcos / lineToDcos to convert
- * from degree-based representations first.
+ * from degree-based representations first.  resultant, meanVector,
+ * fisherStats, orientationTensor and principalAxes also take weighted data
+ * (see core/weights.js).
  */
 
 import * as vec3 from './core/vec3.js';
 import { symmetricEigen3 } from './core/eigen.js';
+import { logBinghamConstant, logKentConstant, chiSquareSf, fSf } from './core/special.js';
+import { seededRandom, shuffle } from './core/random.js';
+import { unpackWeighted, effectiveSize } from './core/weights.js';
 
 // ---------------------------------------------------------------------------
 //  Basic descriptive statistics
 // ---------------------------------------------------------------------------
 
 /**
- * Resultant vector — sum of unit vectors (not normalised).
- * @param {Array<number[]>} dcos
+ * Resultant vector — sum of unit vectors (not normalised), or Σ wᵢdᵢ for
+ * weighted data.
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos
+ * @param {number[]} [weights] - one per direction
  * @returns {number[]} [x, y, z]
  */
-export function resultant(dcos) {
+export function resultant(dcos, weights) {
+  const data = unpackWeighted(dcos, weights);
   const s = [0, 0, 0];
-  for (const d of dcos) { s[0] += d[0]; s[1] += d[1]; s[2] += d[2]; }
+  const w = data.weights;
+  data.dcos.forEach((d, i) => {
+    const k = w ? w[i] : 1;
+    s[0] += k * d[0]; s[1] += k * d[1]; s[2] += k * d[2];
+  });
   return s;
 }
 
 /**
  * Mean direction — normalised resultant.
- * @param {Array<number[]>} dcos
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos
+ * @param {number[]} [weights] - one per direction
  * @returns {number[]} unit vector [x, y, z]
  */
-export function meanVector(dcos) {
-  return vec3.normalize(resultant(dcos));
+export function meanVector(dcos, weights) {
+  return vec3.normalize(resultant(dcos, weights));
 }
 
 // ---------------------------------------------------------------------------
@@ -40,19 +53,36 @@ export function meanVector(dcos) {
 /**
  * Fisher statistics for a set of direction cosines.
  *
- * @param {Array<number[]>} dcos - array of unit vectors (lower hemisphere)
- * @returns {{ n: number, R: number, Rbar: number, mean: number[],
- *             kappa: number, alpha95: number }}
+ * Weighted data are scaled so the weights sum to the effective sample size
+ * nEff = (Σw)²/Σw², which then stands in for n in κ and α95: unequal weights
+ * carry less information than as many equal ones.
+ *
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos -
+ *   array of unit vectors (lower hemisphere), or weighted records
+ * @param {number[]} [weights] - one per direction
+ * @returns {{ n: number, nEff: number, R: number, Rbar: number, mean: number[],
+ *             kappa: number, alpha95: number, theta63: number, theta95: number }}
  *   n       — sample size
- *   R       — resultant length |Σ dᵢ|
- *   Rbar    — mean resultant length R/n  (0 = uniform, 1 = perfect cluster)
+ *   nEff    — effective sample size (n for unweighted data)
+ *   R       — resultant length |Σ dᵢ| (weighted: |Σ wᵢdᵢ| with Σw = nEff)
+ *   Rbar    — mean resultant length R/nEff
+ *             (0 = uniform, 1 = perfect cluster)
  *   mean    — mean direction (unit vector)
  *   kappa   — Fisher concentration parameter (ML estimate)
  *   alpha95 — 95 % confidence cone half-angle in degrees
+ *   theta63 — angular standard deviation 81/√κ in degrees (cone holding ~63 %
+ *             of the population)
+ *   theta95 — 140/√κ in degrees (cone holding ~95 % of the population)
  */
-export function fisherStats(dcos) {
-  const n = dcos.length;
-  const res = resultant(dcos);
+export function fisherStats(dcos, weights) {
+  const data = unpackWeighted(dcos, weights);
+  const count = data.dcos.length;
+  const n = effectiveSize(data.weights, count);
+  let res = resultant(data.dcos, data.weights);
+  if (data.weights) {
+    const total = data.weights.reduce((a, b) => a + b, 0);
+    res = vec3.scale(res, total > 0 ? n / total : 0);
+  }
   const R = vec3.length(res);
   const Rbar = R / n;
   const mean = R > 1e-10 ? vec3.scale(res, 1 / R) : [0, 0, -1];
@@ -70,7 +100,11 @@ export function fisherStats(dcos) {
     alpha95 = Math.acos(Math.max(-1, Math.min(1, cosA))) * (180 / Math.PI);
   }
 
-  return { n, R, Rbar, mean, kappa, alpha95 };
+  // Dispersion cones (Fisher's large-κ approximations, capped at 90°)
+  const theta63 = Math.min(90, 81 / Math.sqrt(kappa));
+  const theta95 = Math.min(90, 140 / Math.sqrt(kappa));
+
+  return { n: count, nEff: n, R, Rbar, mean, kappa, alpha95, theta63, theta95 };
 }
 
 // ---------------------------------------------------------------------------
@@ -78,22 +112,28 @@ export function fisherStats(dcos) {
 // ---------------------------------------------------------------------------
 
 /**
- * Normalised orientation tensor  T = (1/n) Σ (dᵢ ⊗ dᵢ).
+ * Normalised orientation tensor  T = (1/n) Σ (dᵢ ⊗ dᵢ), or
+ * Σ wᵢ (dᵢ ⊗ dᵢ) / Σ wᵢ for weighted data.
  * Returns a 3×3 symmetric matrix as a flat 9-element row-major array.
  * Eigenvalues of T sum to 1.
  *
- * @param {Array<number[]>} dcos
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos
+ * @param {number[]} [weights] - one per direction
  * @returns {number[]} flat 3×3 matrix
  */
-export function orientationTensor(dcos) {
-  const n = dcos.length;
+export function orientationTensor(dcos, weights) {
+  const data = unpackWeighted(dcos, weights);
+  const w = data.weights;
   const T = [0, 0, 0, 0, 0, 0, 0, 0, 0];
-  for (const d of dcos) {
-    T[0] += d[0] * d[0]; T[1] += d[0] * d[1]; T[2] += d[0] * d[2];
-    T[3] += d[1] * d[0]; T[4] += d[1] * d[1]; T[5] += d[1] * d[2];
-    T[6] += d[2] * d[0]; T[7] += d[2] * d[1]; T[8] += d[2] * d[2];
-  }
-  for (let k = 0; k < 9; k++) T[k] /= n;
+  let total = 0;
+  data.dcos.forEach((d, i) => {
+    const k = w ? w[i] : 1;
+    total += k;
+    T[0] += k * d[0] * d[0]; T[1] += k * d[0] * d[1]; T[2] += k * d[0] * d[2];
+    T[3] += k * d[1] * d[0]; T[4] += k * d[1] * d[1]; T[5] += k * d[1] * d[2];
+    T[6] += k * d[2] * d[0]; T[7] += k * d[2] * d[1]; T[8] += k * d[2] * d[2];
+  });
+  for (let k = 0; k < 9; k++) T[k] /= total;
   return T;
 }
 
@@ -103,7 +143,8 @@ export function orientationTensor(dcos) {
  * Computes the normalised orientation tensor, then its eigendecomposition.
  * Eigenvectors are flipped to the lower hemisphere (z ≤ 0).
  *
- * @param {Array<number[]>} dcos
+ * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos
+ * @param {number[]} [weights] - one per direction
  * @returns {{ eigenvalues: number[], eigenvectors: number[][],
  *             K: number, C: number, P: number, G: number, R: number,
  *             kappa1: number, kappa2: number }}
@@ -118,9 +159,11 @@ export function orientationTensor(dcos) {
  *   R — Vollmer random index  3·S3,      1 = uniform
  *   kappa1 — Bingham concentration parameter along V2 (≈ n·(S2 - S1))
  *   kappa2 — Bingham concentration parameter along V3 (≈ n·(S3 - S1))
+ *            (rough approximations; see binghamFit for the ML estimates)
  */
-export function principalAxes(dcos) {
-  const T = orientationTensor(dcos);
+export function principalAxes(dcos, weights) {
+  const data = unpackWeighted(dcos, weights);
+  const T = orientationTensor(data.dcos, data.weights);
   const { values, vectors } = symmetricEigen3(T);
 
   // Flip eigenvectors to lower hemisphere
@@ -144,9 +187,592 @@ export function principalAxes(dcos) {
   const R = 3 * s3;
 
   // Bingham concentration parameters (approximate from eigenvalues)
-  const n = dcos.length;
+  const n = effectiveSize(data.weights, data.dcos.length);
   const kappa1 = n * (s2 - s1);
   const kappa2 = n * (s3 - s1);
 
   return { eigenvalues: values, eigenvectors: vectors, K, C, P, G, R, kappa1, kappa2 };
 }
+
+// ---------------------------------------------------------------------------
+//  Best-fit small circle
+// ---------------------------------------------------------------------------
+
+/**
+ * Best-fit small circle (cone) through a set of directions, e.g. bedding poles
+ * around a conical fold.
+ *
+ * Least-squares fit of the axis a and half-angle θ minimising Σ (dᵢ·a − cos θ)²:
+ * a is the eigenvector of the smallest eigenvalue of the covariance matrix of
+ * the dᵢ, and cos θ the mean of dᵢ·a. Exact when the directions lie on a small
+ * circle; a great circle (girdle) comes out with θ = 90°.
+ *
+ * @param {Array<number[]>} dcos - at least three unit vectors
+ * @returns {{ axis: number[], halfAngle: number, rms: number }}
+ *   axis      — cone axis (unit vector), oriented so that halfAngle ≤ 90°
+ *   halfAngle — cone half-angle in degrees
+ *   rms       — root-mean-square angular distance of the data from the circle, degrees
+ */
+export function smallCircleFit(dcos) {
+  const n = dcos.length;
+  const c = vec3.scale(resultant(dcos), 1 / n);
+  const S = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  for (const d of dcos) {
+    const e = vec3.sub(d, c);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) S[3 * i + j] += e[i] * e[j] / n;
+    }
+  }
+  let axis = symmetricEigen3(S).vectors[2];
+  let cosT = dcos.reduce((sum, d) => sum + vec3.dot(d, axis), 0) / n;
+  if (cosT < 0) {
+    axis = vec3.negate(axis);
+    cosT = -cosT;
+  }
+  const theta = Math.acos(Math.min(1, cosT));
+
+  let sq = 0;
+  for (const d of dcos) sq += (vec3.angle(d, axis) - theta) ** 2;
+  return { axis, halfAngle: theta * (180 / Math.PI), rms: Math.sqrt(sq / n) * (180 / Math.PI) };
+}
+
+// ---------------------------------------------------------------------------
+//  Bingham distribution
+// ---------------------------------------------------------------------------
+
+/**
+ * Maximise a smooth, (near-)concave function of two variables by Newton's
+ * method with finite-difference derivatives and backtracking. f may return
+ * -Infinity outside its domain.
+ * @param {function(number[]): number} f
+ * @param {number[]} start - a point inside the domain
+ * @returns {number[]}
+ */
+function maximize2(f, start) {
+  let k = start.slice();
+  let fk = f(k);
+  for (let iter = 0; iter < 100; iter++) {
+    const h = k.map(v => 1e-4 * Math.max(1, Math.abs(v)));
+    const at = (d0, d1) => f([k[0] + d0 * h[0], k[1] + d1 * h[1]]);
+    const g = [(at(1, 0) - at(-1, 0)) / (2 * h[0]), (at(0, 1) - at(0, -1)) / (2 * h[1])];
+    const H00 = (at(1, 0) - 2 * fk + at(-1, 0)) / (h[0] * h[0]);
+    const H11 = (at(0, 1) - 2 * fk + at(0, -1)) / (h[1] * h[1]);
+    const H01 = (at(1, 1) - at(1, -1) - at(-1, 1) + at(-1, -1)) / (4 * h[0] * h[1]);
+    if (![g[0], g[1], H00, H11, H01].every(Number.isFinite)) break;
+    const det = H00 * H11 - H01 * H01;
+    // Newton step, or gradient ascent where the Hessian is not negative definite
+    const dir = H00 < 0 && det > 0
+      ? [-(H11 * g[0] - H01 * g[1]) / det, -(H00 * g[1] - H01 * g[0]) / det]
+      : [g[0], g[1]];
+    let t = 1;
+    let next;
+    let fnext;
+    for (;;) {
+      next = [k[0] + t * dir[0], k[1] + t * dir[1]];
+      fnext = f(next);
+      if (fnext >= fk || t < 1e-10) break;
+      t /= 2;
+    }
+    if (!(fnext >= fk)) break;
+    const step = [next[0] - k[0], next[1] - k[1]];
+    k = next;
+    fk = fnext;
+    if (Math.abs(step[0]) < 1e-9 * (1 + Math.abs(k[0])) && Math.abs(step[1]) < 1e-9 * (1 + Math.abs(k[1]))) break;
+  }
+  return k;
+}
+
+/**
+ * Maximum-likelihood fit of the Bingham distribution
+ *   f(x) = exp(Σ κᵢ (x·Vᵢ)²) / c(κ)
+ * with confidence ellipses around the principal axes.
+ *
+ * The axes Vᵢ are the eigenvectors of the orientation tensor; κ₁ = 0 for the
+ * mode V1 and κ₂, κ₃ ≤ 0 solve ∂ log c / ∂κᵢ = Sᵢ (Newton's method on the
+ * concave log-likelihood, c from special.logBinghamConstant). Confidence
+ * ellipses use the asymptotic variance of the rotation of Vᵢ towards Vⱼ,
+ * 1 / (2n (κᵢ − κⱼ)(Sᵢ − Sⱼ)), scaled to the χ²₂ quantile (Onstott, 1980).
+ *
+ * @param {Array<number[]>} dcos - axial data (unit vectors)
+ * @param {Object} [options]
+ * @param {number} [options.confidence=0.95]
+ * @returns {{ n: number, eigenvalues: number[], eigenvectors: number[][],
+ *             kappa: number[], logC: number,
+ *             ellipses: Array<{ center: number[], major: number[], a: number, b: number }> }}
+ *   kappa    — [0, κ₂, κ₃] along V1, V2, V3 (more negative = more concentrated)
+ *   logC     — log of the normalising constant at kappa
+ *   ellipses — confidence ellipse of each axis V1–V3: centre, direction of the
+ *              major semi-axis, and semi-axes a ≥ b in degrees (capped at 90°)
+ */
+export function binghamFit(dcos, options = {}) {
+  const confidence = options.confidence ?? 0.95;
+  const n = dcos.length;
+  const { eigenvalues: S, eigenvectors: V } = principalAxes(dcos);
+
+  // Log-likelihood per observation, up to a constant
+  const f = k => k[0] * S[1] + k[1] * S[2] - logBinghamConstant([0, k[0], k[1]]);
+
+  // Start from the large-concentration approximation κᵢ ≈ 1/(2S₁) − 1/(2Sᵢ)
+  const floor = v => Math.max(v, 1e-9);
+  const k = maximize2(f, [
+    1 / (2 * floor(S[0])) - 1 / (2 * floor(S[1])),
+    1 / (2 * floor(S[0])) - 1 / (2 * floor(S[2])),
+  ]);
+  const kappa = [0, Math.min(0, k[0]), Math.min(0, k[1])];
+
+  const q = -2 * Math.log(1 - confidence);
+  const semi = (i, j) => {
+    const d = 2 * n * (kappa[i] - kappa[j]) * (S[i] - S[j]);
+    return d > 0 ? Math.min(90, Math.sqrt(q / d) * (180 / Math.PI)) : 90;
+  };
+  const ellipses = [0, 1, 2].map(i => {
+    const [j, l] = [0, 1, 2].filter(m => m !== i);
+    const toJ = semi(i, j);
+    const toL = semi(i, l);
+    return toJ >= toL
+      ? { center: V[i], major: V[j], a: toJ, b: toL }
+      : { center: V[i], major: V[l], a: toL, b: toJ };
+  });
+
+  return {
+    n,
+    eigenvalues: S,
+    eigenvectors: V,
+    kappa,
+    logC: logBinghamConstant(kappa),
+    ellipses,
+  };
+}
+
+// ---------------------------------------------------------------------------
+//  Kent (FB5) distribution
+// ---------------------------------------------------------------------------
+
+/**
+ * Fit the Kent (5-parameter Fisher–Bingham) distribution
+ *   f(x) = exp(κ γ₁·x + β ((γ₂·x)² − (γ₃·x)²)) / c(κ, β),
+ * an elongated analogue of the Fisher distribution for directional data
+ * (vectors, not axes).
+ *
+ * The axes come from Kent's (1982) moment estimator: γ₁ is the mean
+ * direction and γ₂, γ₃ diagonalise the scatter about it. κ and β are the
+ * moment estimates, or with `method: 'mle'` the maximum-likelihood values
+ * for those axes (c from special.logKentConstant). The confidence ellipse
+ * of the mean direction uses the scatter of the data along γ₂ and γ₃,
+ * divided by n R̄², scaled to the χ²₂ quantile (Kent, 1982).
+ *
+ * @param {Array<number[]>} dcos - unit vectors
+ * @param {Object} [options]
+ * @param {'mle'|'moments'} [options.method='mle']
+ * @param {number} [options.confidence=0.95]
+ * @returns {{ n: number, Rbar: number, mean: number[], major: number[], minor: number[],
+ *             kappa: number, beta: number,
+ *             ellipse: { center: number[], major: number[], a: number, b: number } }}
+ *   mean, major, minor — γ₁, γ₂, γ₃ (the data spread most along γ₂)
+ *   ellipse            — confidence ellipse of the mean, semi-axes a ≥ b in degrees
+ */
+export function kentFit(dcos, options = {}) {
+  const method = options.method ?? 'mle';
+  if (method !== 'mle' && method !== 'moments') throw new Error(`Unknown Kent method: "${method}"`);
+  const confidence = options.confidence ?? 0.95;
+  const n = dcos.length;
+  const res = resultant(dcos);
+  const R = vec3.length(res);
+  const Rbar = R / n;
+  const g1 = R > 1e-10 ? vec3.scale(res, 1 / R) : [0, 0, -1];
+
+  // Scatter in the plane normal to γ₁, diagonalised by a rotation ψ
+  const ref = Math.abs(g1[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+  const u = vec3.normalize(vec3.cross(g1, ref));
+  const v = vec3.cross(g1, u);
+  let suu = 0, svv = 0, suv = 0;
+  for (const d of dcos) {
+    const a = vec3.dot(d, u);
+    const b = vec3.dot(d, v);
+    suu += a * a / n; svv += b * b / n; suv += a * b / n;
+  }
+  const psi = 0.5 * Math.atan2(2 * suv, suu - svv);
+  const g2 = vec3.add(vec3.scale(u, Math.cos(psi)), vec3.scale(v, Math.sin(psi)));
+  const g3 = vec3.cross(g1, g2);
+  const r2 = Math.hypot(suu - svv, 2 * suv);
+
+  // Moment estimates (large-κ approximations)
+  const lo = 2 - 2 * Rbar - r2;
+  const hi = 2 - 2 * Rbar + r2;
+  let kappa = lo > 1e-12 ? 1 / lo + 1 / hi : Infinity;
+  let beta = lo > 1e-12 ? (1 / lo - 1 / hi) / 2 : Infinity;
+
+  if (method === 'mle' && Number.isFinite(kappa)) {
+    const f = ([k, b]) => (k > 0 && b >= 0 && 2 * b < k
+      ? k * Rbar + b * r2 - logKentConstant(k, b)
+      : -Infinity);
+    [kappa, beta] = maximize2(f, [kappa, Math.min(beta, 0.49 * kappa)]);
+  }
+
+  // Confidence ellipse of the mean: covariance of the data along γ₂, γ₃ / (n R̄²)
+  let c22 = 0, c33 = 0, c23 = 0;
+  for (const d of dcos) {
+    const a = vec3.dot(d, g2);
+    const b = vec3.dot(d, g3);
+    c22 += a * a; c33 += b * b; c23 += a * b;
+  }
+  const scale = 1 / (n * n * Rbar * Rbar);
+  const mid = (c22 + c33) / 2 * scale;
+  const rad = Math.hypot((c22 - c33) / 2, c23) * scale;
+  const theta = 0.5 * Math.atan2(2 * c23, c22 - c33);
+  const q = -2 * Math.log(1 - confidence);
+  const semi = variance => Math.min(90, Math.sqrt(q * Math.max(0, variance)) * (180 / Math.PI));
+
+  return {
+    n,
+    Rbar,
+    mean: g1,
+    major: g2,
+    minor: g3,
+    kappa,
+    beta,
+    ellipse: {
+      center: g1,
+      major: vec3.add(vec3.scale(g2, Math.cos(theta)), vec3.scale(g3, Math.sin(theta))),
+      a: semi(mid + rad),
+      b: semi(mid - rad),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+//  Watson distribution
+// ---------------------------------------------------------------------------
+
+/** d/dκ log c(κ) of the Watson distribution, = E[(μ·x)²]. */
+function watsonMeanSquare(kappa) {
+  const h = 1e-4 * Math.max(1, Math.abs(kappa));
+  return (logBinghamConstant([kappa + h, 0, 0]) - logBinghamConstant([kappa - h, 0, 0])) / (2 * h);
+}
+
+/**
+ * Solve E[(μ·x)²] = target for κ by bisection (the mean square increases with κ).
+ * Bipolar targets (> 1/3) give κ > 0, girdle targets (< 1/3) κ < 0.
+ */
+function watsonKappa(target) {
+  if (Math.abs(target - 1 / 3) < 1e-12) return 0;
+  if (target >= 1 - 1e-12) return Infinity;
+  if (target <= 1e-12) return -Infinity;
+  const sign = target > 1 / 3 ? 1 : -1;
+  let near = 0;
+  let far = sign;
+  while (sign * (watsonMeanSquare(far) - target) < 0) {
+    near = far;
+    far *= 2;
+  }
+  for (let i = 0; i < 100 && Math.abs(far - near) > 1e-10 * Math.max(1, Math.abs(far)); i++) {
+    const mid = (near + far) / 2;
+    if (sign * (watsonMeanSquare(mid) - target) < 0) near = mid;
+    else far = mid;
+  }
+  return (near + far) / 2;
+}
+
+/**
+ * Watson model suggested by the shape of the orientation tensor: 'bipolar'
+ * (a cluster of axes) when Woodcock's K = ln(S1/S2) / ln(S2/S3) exceeds 1,
+ * otherwise 'girdle'.
+ * @param {Array<number[]>} dcos
+ * @returns {'bipolar'|'girdle'}
+ */
+export function watsonModel(dcos) {
+  return principalAxes(dcos).K > 1 ? 'bipolar' : 'girdle';
+}
+
+/**
+ * Maximum-likelihood fit of the Watson distribution for axial data,
+ *   f(±x) = exp(κ (μ·x)²) / c(κ).
+ *
+ * Bipolar (κ > 0): μ is V1 of the orientation tensor and κ solves
+ * E[(μ·x)²] = S1. Girdle (κ < 0): μ is V3, the pole to the girdle, and κ
+ * solves E[(μ·x)²] = S3. The confidence cone about μ is the Bingham
+ * asymptotic result (see binghamFit) for a rotationally symmetric model:
+ * semi-angle √(q / (2n|κ| |S̄ − Sμ|)), S̄ the mean of the other two
+ * eigenvalues and q the χ²₂ quantile.
+ *
+ * @param {Array<number[]>} dcos - axial data (unit vectors)
+ * @param {Object} [options]
+ * @param {'auto'|'bipolar'|'girdle'} [options.model='auto'] - 'auto' picks
+ *   the model with watsonModel()
+ * @param {number} [options.confidence=0.95]
+ * @returns {{ n: number, model: string, axis: number[], kappa: number,
+ *             cone: number, logLikelihood: number }}
+ *   axis          — μ (lower hemisphere)
+ *   cone          — confidence cone semi-angle about μ, degrees (capped at 90°)
+ *   logLikelihood — of the fitted model, for comparing the two models
+ */
+export function watsonFit(dcos, options = {}) {
+  let model = options.model ?? 'auto';
+  if (model === 'auto') model = watsonModel(dcos);
+  if (model !== 'bipolar' && model !== 'girdle') throw new Error(`Unknown Watson model: "${model}"`);
+  const confidence = options.confidence ?? 0.95;
+  const n = dcos.length;
+  const { eigenvalues: S, eigenvectors: V } = principalAxes(dcos);
+
+  const i = model === 'bipolar' ? 0 : 2;
+  const kappa = watsonKappa(S[i]);
+  const others = (S[0] + S[1] + S[2] - S[i]) / 2;
+  const q = -2 * Math.log(1 - confidence);
+  const d = 2 * n * Math.abs(kappa) * Math.abs(others - S[i]);
+  const cone = d > 0 ? Math.min(90, Math.sqrt(q / d) * (180 / Math.PI)) : 90;
+  const logLikelihood = Number.isFinite(kappa)
+    ? n * (kappa * S[i] - logBinghamConstant([kappa, 0, 0]))
+    : Infinity;
+
+  return { n, model, axis: V[i], kappa, cone, logLikelihood };
+}
+
+// ---------------------------------------------------------------------------
+//  Tests of uniformity
+// ---------------------------------------------------------------------------
+//
+// Each test returns { statistic, pValue, alpha, reject }: `reject` is true
+// when uniformity is rejected at significance level alpha (default 0.05).
+
+/** Assemble a test result. */
+function testResult(statistic, pValue, alpha = 0.05) {
+  const p = Math.min(1, Math.max(0, pValue));
+  return { statistic, pValue: p, alpha, reject: p < alpha };
+}
+
+/**
+ * Rayleigh test of uniformity for vectors (unit directions) against a
+ * unimodal alternative. S = 3nR̄² is asymptotically χ²₃; the statistic is
+ * the modified S* = (1 − 1/(2n)) S + S² / (10n), whose χ²₃ tail is accurate
+ * to O(n^-3/2) (Mardia & Jupp, 2000, §10.4.1).
+ *
+ * @param {Array<number[]>} dcos
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean }}
+ */
+export function rayleighTest(dcos, options = {}) {
+  const n = dcos.length;
+  const S = 3 * vec3.length(resultant(dcos)) ** 2 / n;
+  const statistic = (1 - 1 / (2 * n)) * S + S * S / (10 * n);
+  return testResult(statistic, chiSquareSf(statistic, 3), options.alpha);
+}
+
+/**
+ * Bingham test of uniformity for axial data against any departure of the
+ * orientation tensor from isotropy: B = (15n/2) Σ (Sᵢ − 1/3)², asymptotically
+ * χ²₅ (Mardia & Jupp, 2000, §10.7.1).
+ *
+ * @param {Array<number[]>} dcos
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean }}
+ */
+export function binghamTest(dcos, options = {}) {
+  const n = dcos.length;
+  const T = orientationTensor(dcos);
+  // Σ (Sᵢ − 1/3)² = tr(T²) − 1/3, without the eigendecomposition
+  let trT2 = 0;
+  for (let k = 0; k < 9; k++) trT2 += T[k] * T[k];
+  const statistic = (15 * n / 2) * (trT2 - 1 / 3);
+  return testResult(statistic, chiSquareSf(statistic, 5), options.alpha);
+}
+
+/** Sorted positions u ∈ [0, 1) of azimuths (degrees) on the circle; axial data doubled. */
+function circularPositions(azimuths, axial) {
+  const k = axial ? 2 : 1;
+  return azimuths
+    .map(a => ((((k * a) % 360) + 360) % 360) / 360)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Kuiper's test of uniformity for azimuths (e.g. trends or strikes), against
+ * any alternative. V = D⁺ + D⁻ with Stephens' modification
+ * V* = V (√n + 0.155 + 0.24/√n) and its asymptotic tail probability.
+ *
+ * @param {number[]} azimuths - degrees
+ * @param {Object} [options]
+ * @param {boolean} [options.axial=false] - azimuths are axes (θ ≡ θ + 180°); angles are doubled
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean }}
+ *   statistic — V*
+ */
+export function kuiperTest(azimuths, options = {}) {
+  const u = circularPositions(azimuths, options.axial);
+  const n = u.length;
+  let dPlus = 0;
+  let dMinus = 0;
+  u.forEach((x, i) => {
+    dPlus = Math.max(dPlus, (i + 1) / n - x);
+    dMinus = Math.max(dMinus, x - i / n);
+  });
+  const sq = Math.sqrt(n);
+  const statistic = (dPlus + dMinus) * (sq + 0.155 + 0.24 / sq);
+  let p = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (4 * k * k * statistic * statistic - 1) * Math.exp(-2 * k * k * statistic * statistic);
+    p += term;
+    if (Math.abs(term) < 1e-12) break;
+  }
+  // The series is only valid in the tail; small V* means no evidence against uniformity
+  return testResult(statistic, statistic < 0.5 ? 1 : p, options.alpha);
+}
+
+/**
+ * Watson's U² test of uniformity for azimuths, against any alternative.
+ * U² = Σ (uᵢ − (2i − 1)/(2n))² − n (ū − ½)² + 1/(12n), modified to
+ * U*² = (U² − 0.1/n + 0.1/n²)(1 + 0.8/n), with the asymptotic tail
+ * 2 Σ (−1)^(k−1) exp(−2k²π²U*²).
+ *
+ * @param {number[]} azimuths - degrees
+ * @param {Object} [options]
+ * @param {boolean} [options.axial=false] - azimuths are axes; angles are doubled
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean }}
+ *   statistic — U*²
+ */
+export function watsonU2Test(azimuths, options = {}) {
+  const u = circularPositions(azimuths, options.axial);
+  const n = u.length;
+  let sum = 0;
+  let mean = 0;
+  u.forEach((x, i) => {
+    sum += (x - (2 * i + 1) / (2 * n)) ** 2;
+    mean += x / n;
+  });
+  const U2 = sum - n * (mean - 0.5) ** 2 + 1 / (12 * n);
+  const statistic = (U2 - 0.1 / n + 0.1 / (n * n)) * (1 + 0.8 / n);
+  let p = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * Math.PI * Math.PI * statistic);
+    p += term;
+    if (Math.abs(term) < 1e-12) break;
+  }
+  return testResult(statistic, statistic <= 0 ? 1 : p, options.alpha);
+}
+
+// ---------------------------------------------------------------------------
+//  Comparison of samples
+// ---------------------------------------------------------------------------
+//
+// Each test takes two or more samples (arrays of direction cosines) and
+// returns the test result plus `pooled`, the estimate for all samples
+// combined; `reject` is true when a common mean (or fabric) is rejected.
+
+/** Check that there are at least two non-empty samples. */
+function checkSamples(samples) {
+  if (!Array.isArray(samples) || samples.length < 2) {
+    throw new Error('Comparison tests need at least two samples');
+  }
+  if (samples.some(s => s.length === 0)) throw new Error('Comparison tests need non-empty samples');
+}
+
+/**
+ * Watson's large-sample test for a common mean direction of Fisher samples
+ * that may differ in dispersion (Watson, 1983). Each sample's resultant is
+ * weighted by its concentration κᵢ; V_w = 2 (Σ κᵢRᵢ − |Σ κᵢ𝐑ᵢ|) is
+ * asymptotically χ² with 2(r − 1) degrees of freedom.
+ *
+ * @param {Array<Array<number[]>>} samples
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean,
+ *             pooled: { n: number, mean: number[] } }}
+ *   pooled.mean — κ-weighted mean direction
+ */
+export function watsonCommonMeanTest(samples, options = {}) {
+  checkSamples(samples);
+  let sum = 0;
+  const weighted = [0, 0, 0];
+  let n = 0;
+  for (const sample of samples) {
+    const res = resultant(sample);
+    const R = vec3.length(res);
+    // Unbiased concentration (n − 1)/(n − R), as in Watson's weights
+    const kappa = (sample.length - 1) / Math.max(sample.length - R, 1e-12);
+    sum += kappa * R;
+    for (let k = 0; k < 3; k++) weighted[k] += kappa * res[k];
+    n += sample.length;
+  }
+  const statistic = 2 * (sum - vec3.length(weighted));
+  const result = testResult(statistic, chiSquareSf(statistic, 2 * (samples.length - 1)), options.alpha);
+  return { ...result, pooled: { n, mean: vec3.normalize(weighted) } };
+}
+
+/**
+ * Watson–Williams test for a common mean direction of Fisher samples with a
+ * common (large) concentration: F = (N − r)(Σ Rᵢ − R) / ((r − 1)(N − Σ Rᵢ)),
+ * with 2(r − 1) and 2(N − r) degrees of freedom (Mardia & Jupp, 2000, §10.6.1).
+ *
+ * @param {Array<Array<number[]>>} samples
+ * @param {Object} [options]
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean,
+ *             pooled: Object }}
+ *   pooled — fisherStats of all samples combined
+ */
+export function watsonWilliamsTest(samples, options = {}) {
+  checkSamples(samples);
+  const r = samples.length;
+  const all = samples.flat();
+  const N = all.length;
+  if (N <= r) throw new Error('Watson–Williams test needs more directions than samples');
+  const sumR = samples.reduce((s, sample) => s + vec3.length(resultant(sample)), 0);
+  const pooled = fisherStats(all);
+  const statistic = (N - r) * Math.max(0, sumR - pooled.R) / ((r - 1) * Math.max(N - sumR, 1e-12));
+  const result = testResult(statistic, fSf(statistic, 2 * (r - 1), 2 * (N - r)), options.alpha);
+  return { ...result, pooled };
+}
+
+/** Σ nᵢ ‖Tᵢ − T‖² over groups of indices into `all`, T the pooled tensor. */
+function tensorSpread(all, groups, pooledT) {
+  let total = 0;
+  for (const group of groups) {
+    const T = orientationTensor(group.map(i => all[i]));
+    let d = 0;
+    for (let k = 0; k < 9; k++) d += (T[k] - pooledT[k]) ** 2;
+    total += group.length * d;
+  }
+  return total;
+}
+
+/**
+ * Permutation test for a common fabric: do the samples share one orientation
+ * tensor? The statistic is Σ nᵢ ‖Tᵢ − T‖² (Frobenius norm, T the pooled
+ * tensor); its null distribution comes from randomly reassigning directions
+ * to samples. Works for axial and vector data alike and assumes no
+ * distribution.
+ *
+ * @param {Array<Array<number[]>>} samples
+ * @param {Object} [options]
+ * @param {number} [options.permutations=999]
+ * @param {number} [options.seed] - seed for reproducible p-values
+ * @param {number} [options.alpha=0.05]
+ * @returns {{ statistic: number, pValue: number, alpha: number, reject: boolean,
+ *             pooled: Object }}
+ *   pValue — (1 + #permuted statistics ≥ observed) / (permutations + 1)
+ *   pooled — principalAxes of all samples combined
+ */
+export function tensorPermutationTest(samples, options = {}) {
+  checkSamples(samples);
+  const { permutations = 999, seed } = options;
+  const all = samples.flat();
+  const pooledT = orientationTensor(all);
+  const sizes = samples.map(s => s.length);
+  const split = indices => {
+    let start = 0;
+    return sizes.map(size => indices.slice(start, (start += size)));
+  };
+
+  const indices = all.map((_, i) => i);
+  const statistic = tensorSpread(all, split(indices), pooledT);
+  const random = seededRandom(seed);
+  let exceed = 0;
+  for (let p = 0; p < permutations; p++) {
+    // Tolerance so ties with the observed value (e.g. identity permutations) count
+    if (tensorSpread(all, split(shuffle(indices, random)), pooledT) >= statistic * (1 - 1e-12)) exceed++;
+  }
+  const result = testResult(statistic, (1 + exceed) / (permutations + 1), options.alpha);
+  return { ...result, pooled: principalAxes(all) };
+}
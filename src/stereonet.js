@@ -6,61 +6,50 @@ import { planeToDcos, lineToDcos } from './core/conversions.js';
 import * as curves from './core/curves.js';
 import * as vec3 from './core/vec3.js';
 import * as mat3 from './core/mat3.js';
-import { project as equalAreaProject } from './projections/equal-area.js';
-import { project as equalAngleProject } from './projections/equal-angle.js';
+import { getProjection, netRadius, projectCurve } from './projections/index.js';
+import { HEMISPHERES } from './projections/hemisphere.js';
 import { generateNet } from './render/net.js';
 import { SvgBuilder } from './render/svg.js';
-import { defaults, resolveStyle } from './render/style.js';
-import { computeContours } from './contouring.js';
+import { markerElement, markerPath, markerPaint } from './render/markers.js';
+import { placeLabels } from './render/labels.js';
+import { layoutLegend } from './render/legend.js';
+import { layoutColorbar } from './render/colorbar.js';
+import { placePanels } from './render/panels.js';
+import { defaults, resolveStyle, deepMerge, evaluateColormaps } from './render/style.js';
+import { getColormap, colorsFrom } from './render/colormap.js';
+import { isScale, isDynamic, evaluateStyle, scaleEntries } from './render/scales.js';
+import { SVG_NS, setAttrs, createSvgElement, clearChildren } from './render/dom.js';
+import { computeContours, computeContoursAsync, DENSITY_UNITS } from './contouring.js';
+import {
+  fisherStats, principalAxes, smallCircleFit, binghamFit, kentFit, watsonFit,
+} from './statistics.js';
 
 const DEG = Math.PI / 180;
-const SVG_NS = 'http://www.w3.org/2000/svg';
 
-let nextClipId = 0;
+const HEMISPHERE_NAMES = {
+  lower: 'lower hemisphere',
+  upper: 'upper hemisphere',
+  both: 'both hemispheres',
+  full: 'full sphere',
+};
 
-/**
- * Linearly interpolate to find equator crossing between two 3D points.
- * Returns a point normalized to the unit sphere with z = 0.
- */
-function equatorCrossing(a, b) {
-  const t = a[2] / (a[2] - b[2]);
-  const x = a[0] + t * (b[0] - a[0]);
-  const y = a[1] + t * (b[1] - a[1]);
-  const len = Math.sqrt(x * x + y * y);
-  return len > 1e-10 ? [x / len, y / len, 0] : [x, y, 0];
-}
+const PANEL_POSITIONS = ['right', 'left', 'top', 'bottom'];
 
-/**
- * Clip a 3D polyline to the lower hemisphere (z <= 0).
- * Returns array of segments, each a contiguous run of lower-hemisphere points.
- * Interpolates exact equator crossings at segment boundaries.
- */
-function clipToLowerHemisphere(points) {
-  const segments = [];
-  let current = [];
-
-  for (let i = 0; i < points.length; i++) {
-    const p = points[i];
-    if (p[2] <= 0) {
-      if (current.length === 0 && i > 0 && points[i - 1][2] > 0) {
-        current.push(equatorCrossing(points[i - 1], p));
-      }
-      current.push(p);
-    } else {
-      if (current.length > 0) {
-        current.push(equatorCrossing(points[i - 1], p));
-        segments.push(current);
-        current = [];
-      }
-    }
-  }
+/** Default colour ramp for filled contour bands (lowest → highest). */
+const DEFAULT_RAMP = ['#eeeeee', '#555555'];
 
-  if (current.length > 0) {
-    segments.push(current);
-  }
+/** Dataset `as` modes and the item categories they draw. */
+const DATASET_MODES = {
+  poles: ['pole'],
+  planes: ['plane'],
+  both: ['plane', 'pole'],
+  lines: ['line'],
+};
 
-  return segments;
-}
+/** Tolerance on |v| for a three-value dataset row to count as a unit vector. */
+const UNIT_TOLERANCE = 1e-6;
+
+let nextClipId = 0;
 
 /**
  * Convert an array of SVG segment arrays to a path d attribute string.
@@ -81,6 +70,14 @@ export class Stereonet {
     this.padding = options.padding ?? defaults.padding;
     this.projection = options.projection || 'equal-area';
     this.net = options.net || 'equatorial';
+    this.hemisphere = options.hemisphere || 'lower';
+    if (!HEMISPHERES.includes(this.hemisphere)) {
+      throw new Error(`Unknown hemisphere: "${this.hemisphere}"`);
+    }
+    const proj = getProjection(this.projection);
+    if (this.hemisphere === 'full' && !proj.fullRadius) {
+      throw new Error(`The ${proj.name || 'given'} projection has no full-sphere view`);
+    }
     this.rotation = options.rotation ?? (options.center
       ? Stereonet.rotationFromCenter(options.center[0], options.center[1])
       : options.northPole
@@ -89,22 +86,35 @@ export class Stereonet {
     this._instanceStyle = options.style || null;
     this._classPrefix = options.classPrefix !== undefined ? options.classPrefix : 'bearing';
     this._items = [];
+    this._datasets = new Map();
+    this._fieldCache = null; // field → plotted attribute values, per render
+    this._fitCache = null; // statistics item → fitted statistics, per render
+    this._legend = null;
+    if (options.legend) this.legend(options.legend === true ? {} : options.legend);
+    this._colorbar = null;
+    if (options.colorbar) this.colorbar(options.colorbar === true ? {} : options.colorbar);
     this._clipId = `bearing-clip-${nextClipId++}`;
 
     // Contour state
     this._contourDcos = null;
     this._contourOptions = null;
     this._contourPaths = null; // cached result of computeContours
+    this._contourJob = 0; // generation of the latest contour(Async) call
+    this._contourAbort = null; // AbortController of the contourAsync job in flight
 
     // DOM references (created by element(), updated by render())
     this._el = null;
+    this._plotGroup = null;
+    this._panelGroup = null;
     this._bgEl = null;
     this._gcPath = null;
     this._scPath = null;
     this._contourGroup = null;
+    this._datasetGroup = null;
     this._dataGroup = null;
     this._primEl = null;
     this._cardinalEls = null;
+    this._labelGroup = null;
   }
 
   /**
@@ -160,8 +170,16 @@ export class Stereonet {
     return mat3.multiply(Rtilt, Rspin);
   }
 
+  /** Projection object for the current projection (registry name or object). */
+  get _projection() {
+    return getProjection(this.projection);
+  }
+
+  /** Project a (view-frame) unit vector for the current hemisphere mode. */
   get _projectFn() {
-    return this.projection === 'equal-angle' ? equalAngleProject : equalAreaProject;
+    const { project } = this._projection;
+    const hemisphere = this.hemisphere;
+    return d => project(d, hemisphere);
   }
 
   /** Primitive circle radius in SVG coordinates. */
@@ -174,12 +192,11 @@ export class Stereonet {
   }
 
   /**
-   * Scale factor: maps projection output (radius √2 for equal-area, 1 for equal-angle)
-   * to SVG pixel coordinates.
+   * Scale factor: maps projection output (radius √2 for equal-area, 1 for equal-angle,
+   * 2 for the full-sphere equal-area view, …) to SVG pixel coordinates.
    */
   get _scale() {
-    const projRadius = this.projection === 'equal-angle' ? 1 : Math.SQRT2;
-    return this._radius / projRadius;
+    return this._radius / netRadius(this._projection, this.hemisphere);
   }
 
   /** Convert projected [px, py] to SVG [x, y]. */
@@ -189,9 +206,50 @@ export class Stereonet {
     return [c + px * s, c - py * s];
   }
 
-  /** Resolve style for a category using the three-level cascade. */
-  _resolveCategory(category, itemStyle) {
-    return resolveStyle(category, this._instanceStyle, itemStyle);
+  /**
+   * Resolve style for a category using the three-level cascade, then evaluate
+   * it for an item (see _evaluateStyle).
+   */
+  _resolveCategory(category, itemStyle, item) {
+    const style = resolveStyle(category, this._instanceStyle, itemStyle);
+    return style && typeof style === 'object' ? this._evaluateStyle(category, style, item) : style;
+  }
+
+  /**
+   * Evaluate a resolved style for an item: style functions and attribute
+   * scales (see scales.js; without an item they fall back to the defaults),
+   * the `color` shorthand (fill of poles and lines, stroke of curves), and
+   * colormap lookups ({ colormap, value, domain }, see evaluateColormaps).
+   */
+  _evaluateStyle(category, style, item) {
+    let s = evaluateStyle(style, item?.attributes ?? {}, item,
+      field => this._fieldValues(field), defaults[category]);
+    if (s.color !== undefined && s.color !== null) {
+      const key = category === 'pole' || category === 'line' ? 'fill' : 'stroke';
+      s = { ...s, [key]: s.color };
+    }
+    return evaluateColormaps(s);
+  }
+
+  /**
+   * All plotted values of an attribute field — items and visible datasets —
+   * giving scales their default domain and categories. Cached per render.
+   */
+  _fieldValues(field) {
+    if (!this._fieldCache) this._fieldCache = new Map();
+    let values = this._fieldCache.get(field);
+    if (!values) {
+      values = [];
+      for (const item of this._items) {
+        if (item.attributes && field in item.attributes) values.push(item.attributes[field]);
+      }
+      for (const ds of this._datasets.values()) {
+        if (!ds.visible || !ds.attributes) continue;
+        for (const a of ds.attributes) if (a && field in a) values.push(a[field]);
+      }
+      this._fieldCache.set(field, values);
+    }
+    return values;
   }
 
   /** Build CSS class string for an SVG element. Returns undefined if classes disabled. */
@@ -216,21 +274,92 @@ export class Stereonet {
     return this.rotation ? mat3.transformVec3(this.rotation, p) : p;
   }
 
+  /** True if upper-hemisphere directions are drawn as such (open / dashed). */
+  get _showsUpper() {
+    return this.hemisphere === 'both' || this.hemisphere === 'full';
+  }
+
   /**
-   * Process a 3D curve: rotate, clip to lower hemisphere, project to SVG.
+   * Process a 3D curve: rotate, clip to the viewed hemisphere, project to SVG.
    * Returns array of SVG polyline coordinate arrays (one per visible segment).
+   * In 'both' mode the reference grid uses the lower hemisphere only.
+   */
+  _projectCurve(points3d, clip) {
+    const segments = projectCurve(points3d, this._projection, {
+      hemisphere: this.hemisphere,
+      rotation: this.rotation,
+      clip,
+    });
+    return segments.map(seg => seg.map(([px, py]) => this._toSvg(px, py)));
+  }
+
+  /**
+   * Split a data curve into lower- and upper-hemisphere parts.
+   * Returns [{ segments, upper }]; `upper` parts are drawn dashed.
+   */
+  _curveParts(points3d) {
+    if (!this._showsUpper) {
+      return [{ segments: this._projectCurve(points3d), upper: false }];
+    }
+    return [
+      { segments: this._projectCurve(points3d, 'lower'), upper: false },
+      { segments: this._projectCurve(points3d, 'upper'), upper: true },
+    ];
+  }
+
+  /**
+   * Project a direction to SVG coordinates.
+   * Returns [x, y, upper], `upper` being true when the direction lies in the
+   * upper hemisphere of a 'both' or full-sphere view (drawn as an open symbol).
+   */
+  _projectPoint(dcos) {
+    const d = this._rotate(dcos);
+    const [px, py] = this._projectFn(d);
+    const [sx, sy] = this._toSvg(px, py);
+    return [sx, sy, this._showsUpper && d[2] > 0];
+  }
+
+  /**
+   * Fill/stroke for a point symbol. Open symbols (style.open) and upper-hemisphere
+   * points (upperFill/upperStroke) are stroked in the symbol colour.
    */
-  _projectCurve(points3d) {
-    const rotated = this.rotation
-      ? points3d.map(p => mat3.transformVec3(this.rotation, p))
-      : points3d;
-    const segments = clipToLowerHemisphere(rotated);
-    return segments.map(seg =>
-      seg.map(p => {
-        const [px, py] = this._projectFn(p);
-        return this._toSvg(px, py);
-      })
-    );
+  _pointPaint(s, upper) {
+    const colour = s.stroke && s.stroke !== 'none' ? s.stroke : s.fill;
+    if (upper) return { fill: s.upperFill, stroke: s.upperStroke ?? colour, strokeWidth: s.strokeWidth };
+    if (s.open) return { fill: 'none', stroke: colour, strokeWidth: s.strokeWidth };
+    return { fill: s.fill, stroke: s.stroke, strokeWidth: s.strokeWidth };
+  }
+
+  /** Element description ({ tag, attrs }) for a pole/line marker. */
+  _marker(s, x, y, upper) {
+    return markerElement(s.marker, x, y, s.r, { ...this._pointPaint(s, upper), angle: s.angle });
+  }
+
+  /** Direction cosines of a pole, line, annotation or statistics item. */
+  _itemDcos(item) {
+    switch (item.type) {
+      case 'pole': return planeToDcos(item.dd, item.dip);
+      case 'fisher':
+      case 'kent': return this._itemFit(item).fit.mean;
+      case 'watson': return this._itemFit(item).fit.axis;
+      case 'eigen':
+      case 'bingham': return this._itemFit(item).fit.eigenvectors[0];
+      default: return lineToDcos(item.trend, item.plunge);
+    }
+  }
+
+  /** Direction cosines of a statistics source: an array, or a dataset name. */
+  _sourceDcos(source) {
+    return typeof source === 'string' ? this.getDataset(source).dcos : source;
+  }
+
+  /** 3D points of a plane (great circle), cone (small circle) or ellipse item. */
+  _itemCurve(item) {
+    switch (item.type) {
+      case 'plane': return curves.greatCircle(planeToDcos(item.dd, item.dip), 180);
+      case 'ellipse': return curves.sphericalEllipse(item.center, item.major, item.a * DEG, item.b * DEG, 180);
+      default: return curves.smallCircle(lineToDcos(item.trend, item.plunge), item.halfAngle * DEG, 180);
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -244,69 +373,457 @@ export class Stereonet {
 
   /**
    * Plot pole to a plane. dd = dip direction, dip = dip angle (degrees).
+   * `attributes` (e.g. { depth: 120, set: 'J1' }) feed data-driven style
+   * values — functions `(attributes, item) => value` and scale specs such as
+   * `color: { field: 'depth', colormap: 'viridis' }` (see render/scales.js).
    */
-  pole(dd, dip, style = {}) {
-    this._items.push({ type: 'pole', dd, dip, style, _el: null });
+  pole(dd, dip, style = {}, attributes = {}) {
+    this._items.push({ type: 'pole', dd, dip, style, attributes, _el: null });
     return this;
   }
 
   /**
    * Plot a line (trend/plunge). trend and plunge in degrees.
+   * `attributes` as for pole().
    */
-  line(trend, plunge, style = {}) {
-    this._items.push({ type: 'line', trend, plunge, style, _el: null });
+  line(trend, plunge, style = {}, attributes = {}) {
+    this._items.push({ type: 'line', trend, plunge, style, attributes, _el: null });
     return this;
   }
 
   /**
    * Plot a great circle for a plane. dd = dip direction, dip = dip angle.
+   * `attributes` as for pole().
    */
-  plane(dd, dip, style = {}) {
-    this._items.push({ type: 'plane', dd, dip, style, _el: null });
+  plane(dd, dip, style = {}, attributes = {}) {
+    this._items.push({ type: 'plane', dd, dip, style, attributes, _el: null, _upperEl: null });
     return this;
   }
 
   /**
    * Plot a small circle (cone). trend/plunge in degrees, halfAngle in degrees.
+   * `attributes` as for pole().
+   */
+  cone(trend, plunge, halfAngle, style = {}, attributes = {}) {
+    this._items.push({ type: 'cone', trend, plunge, halfAngle, style, attributes, _el: null, _upperEl: null });
+    return this;
+  }
+
+  /**
+   * Plot a spherical ellipse, e.g. a confidence region from
+   * statistics.binghamFit or kentFit. `attributes` as for pole().
+   * @param {{ center: number[], major: number[], a: number, b: number }} ellipse -
+   *   centre and major-axis direction as direction cosines, semi-axes in degrees
+   * @param {Object} [style] - overrides for the 'ellipse' style category
+   * @param {Object} [attributes]
+   * @returns {this}
+   */
+  ellipse({ center, major, a, b }, style = {}, attributes = {}) {
+    this._items.push({ type: 'ellipse', center, major, a, b, style, attributes, _el: null, _upperEl: null });
+    return this;
+  }
+
+  /**
+   * Outline the Terzaghi blind zone of a scanline or borehole (see
+   * terzaghi.js): poles within `angle` degrees of perpendicular to the line,
+   * i.e. planes sub-parallel to it. The zone is bounded by the small circles
+   * at 90° ∓ angle about the line and its opposite end, added as two cone
+   * items (the legend name goes on the first).
+   * @param {number} trend - sampling line, degrees
+   * @param {number} plunge
+   * @param {number} [angle=15] - blind-zone width in degrees
+   * @param {Object} [style] - overrides for the 'cone' style category
+   * @param {Object} [attributes]
+   * @returns {this}
+   */
+  blindZone(trend, plunge, angle = 15, style = {}, attributes = {}) {
+    const { name, ...rest } = style;
+    this.cone(trend, plunge, 90 - angle, style, attributes);
+    return this.cone((trend + 180) % 360, -plunge, 90 - angle, rest, attributes);
+  }
+
+  /**
+   * Add a text annotation at a direction (trend/plunge in degrees).
+   * The text is placed beside the point like item labels (see `label` style),
+   * with a leader line when it has to move away from other labels.
+   * @param {number} trend
+   * @param {number} plunge
+   * @param {string} text
+   * @param {Object} [style] - `labelStyle` overrides the 'label' style category
+   * @returns {this}
+   */
+  annotate(trend, plunge, text, style = {}) {
+    this._items.push({ type: 'annotation', trend, plunge, text, style, _el: null });
+    return this;
+  }
+
+  /**
+   * Plot the Fisher mean of a set of directions with its alpha95 confidence
+   * cone, and optionally the θ63 / θ95 dispersion cones (`cones` style key).
+   * The statistics are recomputed on every render, so the item follows
+   * changes to the data — pass a dataset name to track a dataset.
+   * @param {Array<number[]>|string} source - direction cosines or dataset name
+   * @param {Object} [style] - overrides for the 'fisher' style category
+   * @returns {this}
+   */
+  fisher(source, style = {}) {
+    this._items.push({ type: 'fisher', source, style, _el: null });
+    return this;
+  }
+
+  /**
+   * Plot the principal axes of a set of directions (eigenvectors of the
+   * orientation tensor): V1–V3 with distinct symbols labelled with their
+   * eigenvalues, the best-fit girdle (the great circle normal to V3) and
+   * optionally the best-fit small circle. With the `info` style key the
+   * eigenvalues and the Woodcock (K, C) and Vollmer (P, G, R) parameters are
+   * listed in a box beside the net. Recomputed on every render, like fisher().
+   * @param {Array<number[]>|string} source - direction cosines or dataset name
+   * @param {Object} [style] - overrides for the 'eigen' style category
+   * @returns {this}
+   */
+  eigen(source, style = {}) {
+    this._items.push({ type: 'eigen', source, style, _el: null });
+    return this;
+  }
+
+  /**
+   * Plot the maximum-likelihood Bingham fit of a set of axes: the principal
+   * axes with their confidence ellipses (see statistics.binghamFit).
+   * Recomputed on every render, like fisher().
+   * @param {Array<number[]>|string} source - direction cosines or dataset name
+   * @param {Object} [style] - overrides for the 'bingham' style category
+   *   (`axes` picks the axes drawn, `confidence` the ellipse level)
+   * @returns {this}
+   */
+  bingham(source, style = {}) {
+    this._items.push({ type: 'bingham', source, style, _el: null });
+    return this;
+  }
+
+  /**
+   * Plot a Kent (FB5) fit of a set of directions: the mean direction and its
+   * elliptical confidence region (see statistics.kentFit). Recomputed on
+   * every render, like fisher().
+   * @param {Array<number[]>|string} source - direction cosines or dataset name
+   * @param {Object} [style] - overrides for the 'kent' style category
+   * @returns {this}
+   */
+  kent(source, style = {}) {
+    this._items.push({ type: 'kent', source, style, _el: null });
+    return this;
+  }
+
+  /**
+   * Plot a Watson fit of a set of axes: the principal axis with its
+   * confidence cone and, for the girdle model, the great circle normal to it
+   * (see statistics.watsonFit; `model: 'auto'` picks bipolar or girdle from
+   * the eigenvalues). Recomputed on every render, like fisher().
+   * @param {Array<number[]>|string} source - direction cosines or dataset name
+   * @param {Object} [style] - overrides for the 'watson' style category
+   * @returns {this}
    */
-  cone(trend, plunge, halfAngle, style = {}) {
-    this._items.push({ type: 'cone', trend, plunge, halfAngle, style, _el: null });
+  watson(source, style = {}) {
+    this._items.push({ type: 'watson', source, style, _el: null });
     return this;
   }
 
+  /**
+   * Element descriptions ({ tag, attrs }) of a statistics item (fisher, eigen,
+   * bingham, kent, watson), drawn as a group.
+   */
+  _groupElements(item) {
+    const { dcos, s, fit } = this._itemFit(item);
+    if (!fit) return [];
+    switch (item.type) {
+      case 'fisher': return this._fisherElements(s, fit);
+      case 'eigen': return this._eigenElements(s, fit, dcos);
+      case 'kent': return this._kentElements(s, fit);
+      case 'watson': return this._watsonElements(s, fit);
+      default: return this._binghamElements(s, fit);
+    }
+  }
+
+  /**
+   * Fitted statistics of a fisher, eigen, bingham, kent or watson item, with
+   * the fitting options (method, model, confidence) of its resolved style.
+   * Cached per render: labels, the info box and the drawn elements share one
+   * fit, which for Kent and Bingham is costly.
+   * @returns {{ dcos: Array<number[]>, s: Object, fit: Object|null }} source
+   *   directions, resolved style, and the fit (null for an empty source)
+   */
+  _itemFit(item) {
+    if (!this._fitCache) this._fitCache = new Map();
+    let entry = this._fitCache.get(item);
+    if (!entry) {
+      const dcos = this._sourceDcos(item.source);
+      const s = this._resolveCategory(item.type, item.style, item);
+      entry = { dcos, s, fit: dcos.length === 0 ? null : fitStatistics(item.type, dcos, s) };
+      this._fitCache.set(item, entry);
+    }
+    return entry;
+  }
+
+  /** Curve paths (lower part solid or `dasharray`, upper part `s.upperDasharray`). */
+  _statCurve(points3d, s, stroke, width, dasharray, cls) {
+    const out = [];
+    for (const { segments, upper } of this._curveParts(points3d)) {
+      const d = segmentsToPathD(segments);
+      if (!d) continue;
+      out.push({
+        tag: 'path',
+        attrs: {
+          d,
+          stroke,
+          'stroke-width': width,
+          fill: 'none',
+          'stroke-dasharray': upper ? s.upperDasharray : dasharray,
+          class: cls,
+        },
+      });
+    }
+    return out;
+  }
+
+  /** Fisher item: confidence cones first, then the mean symbol. */
+  _fisherElements(s, stats) {
+    const out = [];
+    for (const name of s.cones) {
+      const half = stats[name];
+      if (!(half > 0)) continue;
+      out.push(...this._statCurve(curves.smallCircle(stats.mean, half * DEG, 180), s,
+        s.coneStroke, s.coneWidth, s.coneDasharray?.[name], this._classFor('fisher-cone', name)));
+    }
+    const [x, y, upper] = this._projectPoint(stats.mean);
+    const { tag, attrs } = this._marker(s, x, y, upper);
+    out.push({ tag, attrs: { ...attrs, class: this._classFor('fisher-mean') } });
+    return out;
+  }
+
+  /** Eigen item: girdle and small circle, then the V1–V3 symbols. */
+  _eigenElements(s, { eigenvectors }, dcos) {
+    const out = [];
+    if (s.girdle) {
+      out.push(...this._statCurve(curves.greatCircle(eigenvectors[2], 180), s,
+        s.girdleStroke, s.girdleWidth, s.girdleDasharray, this._classFor('eigen-girdle')));
+    }
+    if (s.smallCircle && dcos.length >= 3) {
+      const { axis, halfAngle } = smallCircleFit(dcos);
+      out.push(...this._statCurve(curves.smallCircle(axis, halfAngle * DEG, 180), s,
+        s.smallCircleStroke, s.smallCircleWidth, s.smallCircleDasharray, this._classFor('eigen-small-circle')));
+    }
+    if (s.axes) {
+      eigenvectors.forEach((v, i) => {
+        const [x, y, upper] = this._projectPoint(v);
+        const { tag, attrs } = this._marker({ ...s, marker: s.markers[i] }, x, y, upper);
+        out.push({ tag, attrs: { ...attrs, class: this._classFor('eigen-axis', `v${i + 1}`) } });
+      });
+    }
+    return out;
+  }
+
+  /** Bingham item: confidence ellipses, then the axis symbols. */
+  _binghamElements(s, { ellipses }) {
+    const axes = s.axes.map(name => {
+      const i = ['V1', 'V2', 'V3'].indexOf(name);
+      if (i < 0) throw new Error(`Unknown Bingham axis: "${name}"`);
+      return i;
+    });
+    const out = [];
+    for (const i of axes) {
+      const { center, major, a, b } = ellipses[i];
+      out.push(...this._statCurve(curves.sphericalEllipse(center, major, a * DEG, b * DEG, 180), s,
+        s.ellipseStroke, s.ellipseWidth, s.ellipseDasharray, this._classFor('bingham-ellipse', `v${i + 1}`)));
+    }
+    for (const i of axes) {
+      const [x, y, upper] = this._projectPoint(ellipses[i].center);
+      const { tag, attrs } = this._marker({ ...s, marker: s.markers[i] }, x, y, upper);
+      out.push({ tag, attrs: { ...attrs, class: this._classFor('bingham-axis', `v${i + 1}`) } });
+    }
+    return out;
+  }
+
+  /** Kent item: confidence ellipse, then the mean symbol. */
+  _kentElements(s, { ellipse }) {
+    const { center, major, a, b } = ellipse;
+    const out = this._statCurve(curves.sphericalEllipse(center, major, a * DEG, b * DEG, 180), s,
+      s.ellipseStroke, s.ellipseWidth, s.ellipseDasharray, this._classFor('kent-ellipse'));
+    const [x, y, upper] = this._projectPoint(center);
+    const { tag, attrs } = this._marker(s, x, y, upper);
+    out.push({ tag, attrs: { ...attrs, class: this._classFor('kent-mean') } });
+    return out;
+  }
+
+  /** Watson item: girdle and confidence cone, then the axis symbol. */
+  _watsonElements(s, { model, axis, cone }) {
+    const out = [];
+    if (model === 'girdle' && s.girdle) {
+      out.push(...this._statCurve(curves.greatCircle(axis, 180), s,
+        s.girdleStroke, s.girdleWidth, s.girdleDasharray, this._classFor('watson-girdle')));
+    }
+    if (cone > 0) {
+      out.push(...this._statCurve(curves.smallCircle(axis, cone * DEG, 180), s,
+        s.coneStroke, s.coneWidth, s.coneDasharray, this._classFor('watson-cone')));
+    }
+    const [x, y, upper] = this._projectPoint(axis);
+    const { tag, attrs } = this._marker(s, x, y, upper);
+    out.push({ tag, attrs: { ...attrs, class: this._classFor('watson-axis', model) } });
+    return out;
+  }
+
+  /** Labels of an eigen item's axes: [{ text, dcos }]. */
+  _eigenLabels(item) {
+    const { s, fit } = this._itemFit(item);
+    if (!fit || !s.axes || !s.labels) return [];
+    const { eigenvalues, eigenvectors } = fit;
+    return eigenvectors.map((v, i) => ({ text: `S${i + 1} (${eigenvalues[i].toFixed(3)})`, dcos: v, r: s.r }));
+  }
+
+  /** Lines of an eigen item's info box. */
+  _eigenInfo(item) {
+    const { dcos, fit } = this._itemFit(item);
+    if (!fit) return [];
+    const { eigenvalues, K, C, P, G, R } = fit;
+    const f = (v, digits) => (Number.isFinite(v) ? v.toFixed(digits) : '∞');
+    return [
+      `n = ${dcos.length}`,
+      eigenvalues.map((v, i) => `S${i + 1} = ${f(v, 3)}`).join(', '),
+      `K = ${f(K, 2)}, C = ${f(C, 2)}`,
+      `P = ${f(P, 2)}, G = ${f(G, 2)}, R = ${f(R, 2)}`,
+    ];
+  }
+
   /**
    * Add density contour lines for a set of direction cosines.
-   * @param {Array<number[]>} dcos - unit vectors (lower hemisphere)
+   * @param {Array<number[]>|Array<{ dcos: number[], weight?: number }>} dcos - unit
+   *   vectors (lower hemisphere), or weighted records
    * @param {Object} [options]
-   * @param {number[]} [options.levels=[2,4,6,8]] - MUD levels
-   * @param {number}  [options.sigma] - kernel half-width degrees (auto if omitted)
+   * @param {number[]} [options.weights] - one weight per direction (see computeContours)
+   * @param {number[]} [options.levels=[2,4,6,8]] - density levels (ascending), in `units`
+   * @param {'mud'|'sigma'|'sigma-excess'|'percent'} [options.units='mud'] - MUD, σ,
+   *   σ above the uniform expectation, or % per 1% area
+   * @param {'exponential'|'kamb'|'linear-kamb'|'square-kamb'|'schmidt'} [options.method='exponential'] -
+   *   density method (see computeContours)
+   * @param {number}  [options.sigma] - kernel half-width or Kamb cone half-angle,
+   *   degrees (auto if omitted)
+   * @param {boolean} [options.axial=true] - count axial data at both antipodes,
+   *   so densities continue across the primitive; false for vector data,
+   *   whose MUD is relative to the whole sphere. In the 'both' view, vector
+   *   densities of the upper hemisphere are drawn as dashed lines
+   * @param {string}  [options.upperDasharray='5,4'] - dash pattern of those lines
    * @param {number}  [options.gridSize=40] - grid resolution
    * @param {string}  [options.stroke='#333'] - line colour
    * @param {number}  [options.strokeWidth=0.8]
-   * @param {string[]} [options.colors] - per-level stroke colours (overrides stroke)
+   * @param {string[]|string|Object} [options.colors] - per-level stroke colours
+   *   (overrides stroke), or a colormap sampled once per level
+   * @param {boolean} [options.filled=false] - fill the bands between consecutive levels
+   * @param {string[]|string|Object} [options.fills] - per-band fill colours
+   *   (band k = levels[k] to levels[k+1]), or a colormap sampled once per band
+   * @param {string[]|string|Object} [options.ramp=['#eeeeee','#555555']] - colormap
+   *   (name, colour stops or object, see getColormap) for the bands when `fills`
+   *   is not given
+   * @param {boolean} [options.outline=true] - draw the contour lines over filled bands
    * @returns {this}
    */
   contour(dcos, options = {}) {
+    this._nextContourJob();
     this._contourDcos = dcos;
     this._contourOptions = options;
     this._computeContours();
     return this;
   }
 
+  /**
+   * Start a new contour generation: abort the contourAsync job in flight, if
+   * any, so it can no longer write its results. Returns the new generation.
+   */
+  _nextContourJob() {
+    if (this._contourAbort) this._contourAbort.abort();
+    this._contourAbort = null;
+    return ++this._contourJob;
+  }
+
+  /**
+   * Like contour(), for large datasets: the density grid is computed in
+   * slices (see computeContoursAsync) so the page stays responsive. While it
+   * runs, the contours drawn by svg() or render() are the lines of the part
+   * of the grid done so far; an aborted job restores the previous contours.
+   * A later contour(), contourAsync(), updateContours() or clearContours()
+   * supersedes the job: it is aborted and its promise rejects with an
+   * AbortError, leaving the newer contours in place. Other changes (e.g. to
+   * the rotation) do not: the job finishes with the view it started with.
+   * @param {Array<number[]>} dcos
+   * @param {Object} [options] - as for contour(), plus:
+   * @param {AbortSignal} [options.signal] - cancels the job (the promise rejects)
+   * @param {function(number, Stereonet)} [options.onProgress] - called with the
+   *   fraction done after each slice, e.g. to call render()
+   * @param {number} [options.sliceTime=16] - milliseconds of work per slice
+   * @returns {Promise<this>}
+   */
+  async contourAsync(dcos, options = {}) {
+    const { signal, onProgress, sliceTime, ...contourOptions } = options;
+    const job = this._nextContourJob();
+    const current = () => this._contourJob === job;
+    // Data, options and paths change together, so a render never pairs
+    // this job's options with older paths
+    const show = paths => {
+      this._contourDcos = dcos;
+      this._contourOptions = contourOptions;
+      this._contourPaths = paths;
+    };
+    if (!dcos || dcos.length === 0) {
+      show(null);
+      return this;
+    }
+
+    const previous = [this._contourDcos, this._contourOptions, this._contourPaths];
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    if (signal?.aborted) forward();
+    else signal?.addEventListener('abort', forward);
+    this._contourAbort = controller;
+    try {
+      const paths = await computeContoursAsync(dcos, {
+        projection: this.projection,
+        hemisphere: this.hemisphere,
+        rotation: this.rotation,
+        ...contourOptions,
+        signal: controller.signal,
+        sliceTime,
+        onProgress: (fraction, partial) => {
+          if (!current()) return;
+          // Partial results carry lines only; filled bands come at the end
+          show(contourOptions.filled
+            ? partial.map(entry => ({ rings: [], band: [], ...entry }))
+            : partial);
+          if (onProgress) onProgress(fraction, this);
+        },
+      });
+      if (current()) show(paths);
+    } catch (err) {
+      if (current()) [this._contourDcos, this._contourOptions, this._contourPaths] = previous;
+      throw err;
+    } finally {
+      signal?.removeEventListener('abort', forward);
+      if (current()) this._contourAbort = null;
+    }
+    return this;
+  }
+
   /** Recompute contours (call after rotation changes if contours are active). */
   updateContours() {
+    this._nextContourJob();
     this._computeContours();
     return this;
   }
 
   /** Remove contour data. Returns `this`. */
   clearContours() {
+    this._nextContourJob();
     this._contourDcos = null;
     this._contourOptions = null;
     this._contourPaths = null;
-    if (this._contourGroup) {
-      while (this._contourGroup.firstChild) this._contourGroup.firstChild.remove();
-    }
+    if (this._contourGroup) clearChildren(this._contourGroup);
     return this;
   }
 
@@ -317,17 +834,17 @@ export class Stereonet {
     }
     this._contourPaths = computeContours(this._contourDcos, {
       projection: this.projection,
+      hemisphere: this.hemisphere,
       rotation: this.rotation,
       ...this._contourOptions,
     });
   }
 
-  /** Remove all data items. Returns `this`. */
+  /** Remove all data items and datasets. Returns `this`. */
   clear() {
-    for (const item of this._items) {
-      if (item._el) item._el.remove();
-    }
+    for (const item of this._items) removeItemEls(item);
     this._items.length = 0;
+    for (const name of [...this._datasets.keys()]) this.removeDataset(name);
     return this;
   }
 
@@ -335,12 +852,188 @@ export class Stereonet {
   remove(item) {
     const idx = this._items.indexOf(item);
     if (idx >= 0) {
-      if (item._el) item._el.remove();
+      removeItemEls(item);
       this._items.splice(idx, 1);
     }
     return this;
   }
 
+  // ---------------------------------------------------------------------------
+  //  Datasets — named layers of many measurements drawn with one style
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add (or replace) a named dataset. Each measurement is an attitude pair —
+   * dip direction/dip for planes and poles, trend/plunge for lines — or a
+   * unit vector [x, y, z] (the pole for planes). A dataset is drawn in its
+   * own <g>, with all symbols (and all great circles) merged into as few
+   * paths as possible, and appears in the legend under its name.
+   *
+   * Without a `format`, rows of two values are attitudes and rows of three
+   * must be unit vectors; any other row throws rather than being guessed at.
+   *
+   * @param {string} name
+   * @param {Array<number[]>} data - [dd, dip] / [trend, plunge] pairs or [x, y, z] vectors
+   * @param {Object} [options]
+   * @param {'poles'|'planes'|'both'|'lines'} [options.as='poles']
+   * @param {'attitude'|'dcos'} [options.format] - how to read the rows:
+   *   'attitude' uses the first two values of each row (extra fields are
+   *   ignored), 'dcos' takes each row as a vector and normalises it
+   * @param {Object} [options.style] - style for every category drawn; nested
+   *   `pole`, `plane` and `line` objects override it per category. Style
+   *   functions and scales are evaluated per measurement, and measurements
+   *   drawn alike still share a path.
+   * @param {Array<Object>} [options.attributes] - one attribute object per
+   *   measurement, for data-driven styles (see pole())
+   * @param {boolean} [options.visible=true]
+   * @returns {this}
+   */
+  dataset(name, data, options = {}) {
+    const as = options.as ?? 'poles';
+    if (!DATASET_MODES[as]) throw new Error(`Unknown dataset mode: "${as}"`);
+    const dcos = datasetDcos(data, as, options.format);
+    const old = this._datasets.get(name);
+    this._datasets.set(name, {
+      name,
+      as,
+      data,
+      dcos,
+      attributes: options.attributes || null,
+      style: options.style || {},
+      visible: options.visible ?? true,
+      _el: old ? old._el : null,
+    });
+    return this;
+  }
+
+  /** Names of all datasets, in drawing order. */
+  get datasets() {
+    return [...this._datasets.keys()];
+  }
+
+  /**
+   * Look up a dataset by name.
+   * @param {string} name
+   * @returns {{ name: string, as: string, data: Array, dcos: Array<number[]>,
+   *             attributes: Array<Object>|null, style: Object, visible: boolean }}
+   */
+  getDataset(name) {
+    const ds = this._datasets.get(name);
+    if (!ds) throw new Error(`Unknown dataset: "${name}"`);
+    return ds;
+  }
+
+  /** Show a hidden dataset. Call render() to apply. Returns `this`. */
+  showDataset(name) {
+    this.getDataset(name).visible = true;
+    return this;
+  }
+
+  /** Hide a dataset without removing it. Call render() to apply. Returns `this`. */
+  hideDataset(name) {
+    this.getDataset(name).visible = false;
+    return this;
+  }
+
+  /**
+   * Merge style overrides into a dataset's style. Call render() to apply.
+   * @param {string} name
+   * @param {Object} style - same shape as the `style` option of dataset()
+   * @returns {this}
+   */
+  styleDataset(name, style) {
+    const ds = this.getDataset(name);
+    ds.style = deepMerge(ds.style, style);
+    return this;
+  }
+
+  /** Remove a dataset and its DOM group. Returns `this`. */
+  removeDataset(name) {
+    const ds = this.getDataset(name);
+    if (ds._el) ds._el.remove();
+    this._datasets.delete(name);
+    return this;
+  }
+
+  /** Unresolved item style of a dataset for one category ('pole', 'plane' or 'line'). */
+  _datasetItemStyle(ds, category) {
+    const { pole, plane, line, ...common } = ds.style;
+    return { ...common, ...ds.style[category] };
+  }
+
+  /**
+   * Per-measurement style of a dataset for one category: a function of the
+   * measurement index. Static styles are resolved once and shared.
+   */
+  _datasetStyles(ds, category) {
+    const style = resolveStyle(category, this._instanceStyle, this._datasetItemStyle(ds, category));
+    if (!isDynamic(style)) {
+      const s = this._evaluateStyle(category, style);
+      return () => s;
+    }
+    return i => this._evaluateStyle(category, style, {
+      type: category,
+      dataset: ds.name,
+      index: i,
+      attributes: ds.attributes?.[i] ?? {},
+    });
+  }
+
+  /**
+   * Element descriptions ({ tag, attrs }) drawing a dataset: one path per
+   * category, hemisphere part and distinct paint, or one element per symbol
+   * for custom markers.
+   */
+  _datasetElements(ds) {
+    const out = [];
+    for (const category of DATASET_MODES[ds.as]) {
+      const styleAt = this._datasetStyles(ds, category);
+      const cls = this._classFor(category, ds.style[category]?.class);
+      // Paths keyed by their paint, lower hemisphere first
+      const groups = { lower: new Map(), upper: new Map() };
+      const add = (part, attrs, d) => {
+        const key = JSON.stringify(attrs);
+        const group = groups[part].get(key);
+        if (group) group.d.push(d);
+        else groups[part].set(key, { attrs, d: [d] });
+      };
+
+      ds.dcos.forEach((dcos, i) => {
+        const s = styleAt(i);
+        if (category === 'plane') {
+          const attrs = { stroke: s.stroke, 'stroke-width': s.strokeWidth, fill: 'none' };
+          for (const part of this._curveParts(curves.greatCircle(dcos, 180))) {
+            const segs = part.segments.filter(seg => seg.length > 1);
+            if (!segs.length) continue;
+            if (part.upper) add('upper', { ...attrs, 'stroke-dasharray': s.upperDasharray }, segmentsToPathD(segs));
+            else add('lower', attrs, segmentsToPathD(segs));
+          }
+          return;
+        }
+        const [x, y, upper] = this._projectPoint(dcos);
+        const path = markerPath(s.marker, x, y, s.r, s.angle);
+        if (path === null) {
+          const { tag, attrs } = this._marker(s, x, y, upper);
+          out.push({ tag, attrs: { ...attrs, class: cls } });
+        } else {
+          add(upper ? 'upper' : 'lower', markerPaint(s.marker, this._pointPaint(s, upper)), path);
+        }
+      });
+
+      for (const part of ['lower', 'upper']) {
+        for (const { attrs, d } of groups[part].values()) {
+          out.push({ tag: 'path', attrs: { d: d.join(''), ...attrs, class: cls } });
+        }
+      }
+    }
+    return out;
+  }
+
+  /** Attributes of a dataset's <g>. */
+  _datasetGroupAttrs(ds) {
+    return { class: this._classFor('dataset', ds.style.class), 'data-name': ds.name };
+  }
+
   // ---------------------------------------------------------------------------
   //  View control
   // ---------------------------------------------------------------------------
@@ -363,6 +1056,316 @@ export class Stereonet {
     return this;
   }
 
+  // ---------------------------------------------------------------------------
+  //  Legend
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show a legend beside the net: one entry per item name (`style.name`),
+   * the contour levels and a footer with the projection, hemisphere and N.
+   * The canvas grows to make room for it. Call render() to apply.
+   *
+   * Visible datasets are listed under their name, and every attribute scale
+   * in use (see pole()) gets a section of sample values. N is the number of
+   * contoured directions when contours are shown, otherwise the number of
+   * plotted poles, lines and planes (including visible datasets).
+   *
+   * @param {Object|false} [options] - `false` removes the legend
+   * @param {'right'|'left'|'top'|'bottom'} [options.position='right']
+   * @param {string}  [options.title]
+   * @param {boolean} [options.counts=true] - append the item count to each name
+   * @param {boolean} [options.scales=true] - list the attribute scales
+   * @param {boolean} [options.contours=true] - list the contour levels
+   * @param {boolean} [options.footer=true] - projection/hemisphere and N lines
+   * @param {Object}  [options.style] - overrides for the 'legend' style category
+   * @returns {this}
+   */
+  legend(options = {}) {
+    if (options === false) {
+      this._legend = null;
+      return this;
+    }
+    const position = options.position ?? 'right';
+    if (!PANEL_POSITIONS.includes(position)) {
+      throw new Error(`Unknown legend position: "${position}"`);
+    }
+    this._legend = { counts: true, scales: true, contours: true, footer: true, ...options, position };
+    return this;
+  }
+
+  /**
+   * Swatch description for an item category and (unresolved) item style.
+   * Data-driven values fall back to the category defaults.
+   */
+  _legendSwatch(type, style) {
+    const s = this._resolveCategory(type, style);
+    switch (type) {
+      case 'pole':
+      case 'line':
+      case 'fisher':
+      case 'eigen':
+      case 'bingham':
+      case 'kent':
+      case 'watson':
+        return {
+          type: 'marker',
+          marker: s.marker ?? s.markers[0],
+          size: s.r,
+          paint: { ...this._pointPaint(s, false), angle: s.angle },
+        };
+      case 'plane':
+      case 'cone':
+      case 'ellipse':
+        return {
+          type: 'line',
+          stroke: s.stroke,
+          strokeWidth: s.strokeWidth,
+          dasharray: type === 'plane' ? undefined : s.strokeDasharray,
+        };
+      default:
+        return null;
+    }
+  }
+
+  /** Legend content: named item entries, contour levels and footer lines. */
+  _legendSpec() {
+    const opts = this._legend;
+
+    const named = new Map();
+    for (const ds of this._datasets.values()) {
+      if (!ds.visible) continue;
+      const category = DATASET_MODES[ds.as][ds.as === 'both' ? 1 : 0];
+      const swatch = this._legendSwatch(category, this._datasetItemStyle(ds, category));
+      named.set(ds.name, { swatch, count: ds.dcos.length });
+    }
+    for (const item of this._items) {
+      const name = item.style.name;
+      if (name === undefined || name === null || name === '') continue;
+      const entry = named.get(name);
+      if (entry) {
+        entry.count++;
+      } else {
+        const swatch = this._legendSwatch(item.type, item.style);
+        if (swatch) named.set(name, { swatch, count: 1 });
+      }
+    }
+    const sections = [{
+      entries: [...named].map(([name, { swatch, count }]) => ({
+        label: opts.counts ? `${name} (${count})` : String(name),
+        swatch,
+      })),
+    }];
+    if (opts.scales) sections.push(...this._legendScaleSections());
+
+    if (opts.contours && this._contourPaths) {
+      const copts = this._contourOptions || {};
+      const fills = copts.filled ? this._bandFills() : null;
+      const strokes = this._lineColors();
+      sections.push({
+        title: this._densityTitle(),
+        entries: this._contourPaths.map(({ level }, k) => {
+          const stroke = strokes[k];
+          const strokeWidth = copts.strokeWidth || 0.8;
+          if (!fills) return { label: String(level), swatch: { type: 'line', stroke, strokeWidth } };
+          const next = this._contourPaths[k + 1];
+          return {
+            label: next ? `${level}–${next.level}` : `≥ ${level}`,
+            swatch: {
+              type: 'band',
+              fill: fills[k],
+              stroke: copts.outline === false ? 'none' : stroke,
+              strokeWidth,
+            },
+          };
+        }),
+      });
+    }
+
+    const footer = [];
+    if (opts.footer) {
+      const name = this._projection.name || 'custom';
+      footer.push(`${name[0].toUpperCase()}${name.slice(1)}, ${HEMISPHERE_NAMES[this.hemisphere]}`);
+      footer.push(`N = ${this._legendN()}`);
+    }
+    return { title: opts.title, sections, footer };
+  }
+
+  /**
+   * One legend section per distinct attribute scale used by an item or visible
+   * dataset, titled by the scale's label (or field), with swatches drawn in
+   * the style of the first item using it.
+   */
+  _legendScaleSections() {
+    const found = new Map();
+    const collect = (type, style) => {
+      const resolved = resolveStyle(type, this._instanceStyle, style);
+      for (const [key, spec] of Object.entries(resolved)) {
+        if (!isScale(spec)) continue;
+        const id = `${key}:${JSON.stringify(spec)}`;
+        if (!found.has(id)) found.set(id, { type, style, key, spec });
+      }
+    };
+    for (const ds of this._datasets.values()) {
+      if (!ds.visible) continue;
+      for (const category of DATASET_MODES[ds.as]) collect(category, this._datasetItemStyle(ds, category));
+    }
+    for (const item of this._items) {
+      if (item.type !== 'annotation') collect(item.type, item.style);
+    }
+
+    return [...found.values()].map(({ type, style, key, spec }) => ({
+      title: spec.label ?? spec.field,
+      entries: scaleEntries(spec, this._fieldValues(spec.field)).map(({ label, value }) => ({
+        label,
+        swatch: this._legendSwatch(type, { ...style, [key]: value }),
+      })),
+    }));
+  }
+
+  /** N shown in the legend footer (see legend()). */
+  _legendN() {
+    if (this._contourPaths) return this._contourDcos.length;
+    let n = this._items.filter(it => it.type === 'pole' || it.type === 'line' || it.type === 'plane').length;
+    for (const ds of this._datasets.values()) {
+      if (ds.visible) n += ds.dcos.length;
+    }
+    return n;
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Colour bar
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show a colour bar for the contour levels beside the net (only drawn while
+   * contours are shown). Colours come from the contour() options: band fills
+   * for filled contours, otherwise the line colours. Call render() to apply.
+   *
+   * @param {Object|false} [options] - `false` removes the colour bar
+   * @param {'right'|'left'|'top'|'bottom'} [options.position='right'] - left/right
+   *   bars are vertical, top/bottom bars horizontal
+   * @param {'discrete'|'continuous'} [options.mode='discrete'] - one block per band,
+   *   or a continuous ramp from the first to the last level
+   * @param {string} [options.title] - defaults to "Density (<units>)"
+   * @param {number} [options.length] - bar length (default: a fraction of the net
+   *   diameter, see the 'colorbar' style)
+   * @param {Object} [options.style] - overrides for the 'colorbar' style category
+   * @returns {this}
+   */
+  colorbar(options = {}) {
+    if (options === false) {
+      this._colorbar = null;
+      return this;
+    }
+    const position = options.position ?? 'right';
+    if (!PANEL_POSITIONS.includes(position)) {
+      throw new Error(`Unknown colour bar position: "${position}"`);
+    }
+    const mode = options.mode ?? 'discrete';
+    if (mode !== 'discrete' && mode !== 'continuous') {
+      throw new Error(`Unknown colour bar mode: "${mode}"`);
+    }
+    this._colorbar = { ...options, position, mode };
+    return this;
+  }
+
+  /** "Density (<units>)" for the current contour units. */
+  _densityTitle() {
+    const units = this._contourOptions?.units ?? 'mud';
+    return `Density (${DENSITY_UNITS[units]})`;
+  }
+
+  /** Colour bar layout for the current contours. */
+  _colorbarLayout() {
+    const opts = this._colorbar;
+    const copts = this._contourOptions || {};
+    const style = this._resolveCategory('colorbar', opts.style);
+    const levels = this._contourPaths.map(({ level }) => level);
+    const spec = {
+      levels,
+      mode: opts.mode,
+      title: opts.title ?? this._densityTitle(),
+      orientation: opts.position === 'left' || opts.position === 'right' ? 'vertical' : 'horizontal',
+      length: opts.length ?? style.length * 2 * this._radius,
+    };
+    if (opts.mode === 'discrete') {
+      spec.colors = copts.filled ? this._bandFills() : this._lineColors();
+    } else {
+      const source = copts.filled ? copts.fills || copts.ramp || DEFAULT_RAMP : copts.colors;
+      const stops = source || [copts.stroke || '#333'];
+      // A single colour gives a flat bar
+      const map = getColormap(stops.length === 1 ? [stops[0], stops[0]] : stops);
+      spec.colorAt = t => map.at(t);
+    }
+    return { ...layoutColorbar(spec, style), margin: style.margin };
+  }
+
+  // ---------------------------------------------------------------------------
+  //  Canvas layout — net plus side panels
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Canvas layout: { width, height, plot: [x, y], panels } where each panel is
+   * { kind: 'legend'|'colorbar', at: [x, y], elements }.
+   */
+  _frame() {
+    const panels = [];
+    if (this._legend) {
+      const style = this._resolveCategory('legend', this._legend.style);
+      panels.push({
+        kind: 'legend',
+        position: this._legend.position,
+        margin: style.margin,
+        ...layoutLegend(this._legendSpec(), style),
+      });
+    }
+    if (this._colorbar && this._contourPaths && this._contourPaths.length > 0) {
+      panels.push({ kind: 'colorbar', position: this._colorbar.position, ...this._colorbarLayout() });
+    }
+    for (const item of this._items) {
+      if (item.type !== 'eigen' || !this._itemFit(item).fit) continue;
+      const { info } = this._itemFit(item).s;
+      if (!info) continue;
+      const position = info === true ? 'right' : info;
+      if (!PANEL_POSITIONS.includes(position)) throw new Error(`Unknown info box position: "${position}"`);
+      const style = this._resolveCategory('legend', item.style.infoStyle);
+      panels.push({
+        kind: 'info',
+        position,
+        margin: style.margin,
+        ...layoutLegend({ title: item.style.infoTitle ?? 'Eigen analysis', footer: this._eigenInfo(item) },
+          { ...style, footerFill: style.fill }),
+      });
+    }
+    if (panels.length === 0) {
+      return { width: this.size, height: this.size, plot: [0, 0], panels: [] };
+    }
+
+    const margin = Math.max(...panels.map(p => p.margin));
+    const placed = placePanels(this.size, panels, margin);
+    return {
+      width: placed.width,
+      height: placed.height,
+      plot: placed.plot,
+      panels: panels.map((p, i) => ({ kind: p.kind, at: placed.panels[i], elements: p.elements })),
+    };
+  }
+
+  _renderPanelsString(svg, frame) {
+    for (const { kind, at, elements } of frame.panels) {
+      svg.openGroup({ transform: `translate(${at[0]},${at[1]})`, class: this._classFor(kind) });
+      for (const { tag, attrs, text } of elements) {
+        if (text !== undefined) {
+          const { x, y, ...rest } = attrs;
+          svg.text(x, y, text, rest);
+        } else {
+          svg.element(tag, attrs);
+        }
+      }
+      svg.closeGroup();
+    }
+  }
+
   // ---------------------------------------------------------------------------
   //  Static SVG string output (works in Node, no DOM)
   // ---------------------------------------------------------------------------
@@ -371,10 +1374,17 @@ export class Stereonet {
    * Build and return the SVG as a string.
    */
   svg() {
-    const svg = new SvgBuilder(this.size, this.size);
+    this._fieldCache = null;
+    this._fitCache = null;
+    const frame = this._frame();
+    const svg = new SvgBuilder(frame.width, frame.height);
     const c = this._center;
     const r = this._radius;
 
+    const [ox, oy] = frame.plot;
+    const shifted = ox !== 0 || oy !== 0;
+    if (shifted) svg.openGroup({ transform: `translate(${ox},${oy})` });
+
     svg.circle(c, c, r, {
       fill: this._resolveCategory('background'),
       stroke: 'none',
@@ -414,7 +1424,13 @@ export class Stereonet {
       this._renderContoursString(svg);
     }
 
-    // Data
+    // Datasets, then individual items
+    for (const ds of this._datasets.values()) {
+      if (!ds.visible) continue;
+      svg.openGroup(this._datasetGroupAttrs(ds));
+      for (const { tag, attrs } of this._datasetElements(ds)) svg.element(tag, attrs);
+      svg.closeGroup();
+    }
     for (const item of this._items) {
       this._renderItemString(svg, item);
     }
@@ -433,6 +1449,14 @@ export class Stereonet {
     // Cardinals
     this._renderCardinalsString(svg, c, r);
 
+    // Labels (unclipped, above everything)
+    this._renderLabelsString(svg);
+
+    if (shifted) svg.closeGroup();
+
+    // Legend and colour bar (outside the net)
+    this._renderPanelsString(svg, frame);
+
     return svg.toString();
   }
 
@@ -468,92 +1492,229 @@ export class Stereonet {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  //  Labels
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Collect label requests from items (style.label, annotations) and place them.
+   * Returns placed labels in SVG coordinates with their resolved 'label' style.
+   */
+  _labelLayout() {
+    const obstacles = [];
+    for (const item of this._items) {
+      if (item.type !== 'pole' && item.type !== 'line') continue;
+      const [x, y] = this._projectPoint(this._itemDcos(item));
+      const { r } = this._resolveCategory(item.type, item.style, item);
+      obstacles.push({ x0: x - r, y0: y - r, x1: x + r, y1: y + r });
+    }
+
+    const requests = [];
+    const labelled = [];
+    for (const item of this._items) {
+      const text = item.type === 'annotation' ? item.text : item.style.label;
+      if (text === undefined || text === null || text === '') continue;
+      if (item.source !== undefined && !this._itemFit(item).fit) continue;
+      const ls = this._resolveCategory('label', item.style.labelStyle);
+      const req = { text: String(text), fontSize: ls.fontSize, offset: ls.offset };
+
+      if (item.type === 'plane' || item.type === 'cone' || item.type === 'ellipse') {
+        // Longest visible (solid) run of the curve
+        const parts = this._curveParts(this._itemCurve(item));
+        const solid = parts.filter(p => !p.upper).flatMap(p => p.segments);
+        const segs = solid.length ? solid : parts.flatMap(p => p.segments);
+        let path = null;
+        for (const seg of segs) {
+          if (!path || seg.length > path.length) path = seg;
+        }
+        if (!path || path.length < 2) continue;
+        req.path = path;
+        req.at = item.style.labelAt ?? 0.5;
+      } else {
+        const [x, y] = this._projectPoint(this._itemDcos(item));
+        req.x = x;
+        req.y = y;
+        req.pad = item.type === 'annotation' ? 0 : this._resolveCategory(item.type, item.style, item).r;
+      }
+      requests.push(req);
+      labelled.push({ item, style: ls });
+    }
+
+    // Principal axes of eigen items
+    for (const item of this._items) {
+      if (item.type !== 'eigen') continue;
+      const ls = this._resolveCategory('label', item.style.labelStyle);
+      for (const { text, dcos, r } of this._eigenLabels(item)) {
+        const [x, y] = this._projectPoint(dcos);
+        requests.push({ text, fontSize: ls.fontSize, offset: ls.offset, x, y, pad: r });
+        labelled.push({ item, style: ls });
+      }
+    }
+
+    const placed = placeLabels(requests, {
+      obstacles,
+      bounds: { x0: 0, y0: 0, x1: this.size, y1: this.size },
+    });
+    return placed.map((p, i) => ({ ...p, ...labelled[i] }));
+  }
+
+  /** Text attributes for a placed label. */
+  _labelAttrs(label) {
+    const s = label.style;
+    return {
+      'font-size': s.fontSize,
+      'font-family': s.fontFamily,
+      fill: s.fill,
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central',
+      transform: label.rotate ? `rotate(${label.rotate} ${label.x} ${label.y})` : undefined,
+      class: this._classFor('label', label.item.style.class),
+    };
+  }
+
+  _renderLabelsString(svg) {
+    for (const label of this._labelLayout()) {
+      if (label.leader) {
+        const [x1, y1, x2, y2] = label.leader;
+        svg.line(x1, y1, x2, y2, {
+          stroke: label.style.leaderStroke,
+          'stroke-width': label.style.leaderWidth,
+          class: this._classFor('leader'),
+        });
+      }
+      svg.text(label.x, label.y, label.text, this._labelAttrs(label));
+    }
+  }
+
+  /** Fill colour of each contour band (see contour()). */
+  _bandFills() {
+    const opts = this._contourOptions || {};
+    const n = this._contourPaths.length;
+    const ramp = getColormap(opts.ramp || DEFAULT_RAMP).sample(n);
+    const fills = opts.fills ? colorsFrom(opts.fills, n) : [];
+    return ramp.map((colour, k) => fills[k] ?? colour);
+  }
+
+  /** Stroke colour of each contour level (see contour()). */
+  _lineColors() {
+    const opts = this._contourOptions || {};
+    const n = this._contourPaths.length;
+    const colors = opts.colors ? colorsFrom(opts.colors, n) : [];
+    return this._contourPaths.map((_, k) => colors[k] || opts.stroke || '#333');
+  }
+
+  /**
+   * Contour lines in SVG coordinates, as [{ points, stroke, dasharray }].
+   * Upper-hemisphere lines (vector data in the 'both' view) are dashed.
+   */
+  _contourLines() {
+    const opts = this._contourOptions || {};
+    const strokes = this._lineColors();
+    const out = [];
+    this._contourPaths.forEach(({ paths, upper = [] }, k) => {
+      for (const [list, dasharray] of [[paths, undefined], [upper, opts.upperDasharray ?? '5,4']]) {
+        for (const path of list) {
+          const points = path.map(([px, py]) => this._toSvg(px, py));
+          if (points.length > 1) out.push({ points, stroke: strokes[k], dasharray });
+        }
+      }
+    });
+    return out;
+  }
+
+  /** Element descriptions ({ tag, attrs }) of filled contour bands, lowest first. */
+  _bandElements() {
+    if (!this._contourOptions?.filled) return [];
+    const fills = this._bandFills();
+    const out = [];
+    for (let k = 0; k < this._contourPaths.length; k++) {
+      const { band } = this._contourPaths[k];
+      if (!band || band.length === 0) continue;
+      const d = band
+        .map(ring => 'M' + ring.map(([px, py]) => this._toSvg(px, py).join(',')).join('L') + 'Z')
+        .join('');
+      out.push({
+        tag: 'path',
+        attrs: { d, fill: fills[k], stroke: 'none', 'fill-rule': 'evenodd', class: this._classFor('contour-band') },
+      });
+    }
+    return out;
+  }
+
   _renderContoursString(svg) {
+    for (const { tag, attrs } of this._bandElements()) svg.element(tag, attrs);
+
     const opts = this._contourOptions || {};
-    const defaultStroke = opts.stroke || '#333';
+    if (opts.filled && opts.outline === false) return;
     const defaultWidth = opts.strokeWidth || 0.8;
-    const colors = opts.colors;
     const cls = this._classFor('contour');
 
-    for (let k = 0; k < this._contourPaths.length; k++) {
-      const { paths } = this._contourPaths[k];
-      const stroke = colors && colors[k] ? colors[k] : defaultStroke;
-      for (const path of paths) {
-        const svgPts = path.map(([px, py]) => this._toSvg(px, py));
-        if (svgPts.length > 1) {
-          svg.polyline(svgPts, {
-            stroke,
-            'stroke-width': defaultWidth,
-            fill: 'none',
-            class: cls,
-          });
-        }
-      }
+    for (const { points, stroke, dasharray } of this._contourLines()) {
+      svg.polyline(points, {
+        stroke,
+        'stroke-width': defaultWidth,
+        fill: 'none',
+        'stroke-dasharray': dasharray,
+        class: cls,
+      });
     }
   }
 
   _renderItemString(svg, item) {
     switch (item.type) {
-      case 'pole': {
-        const dcos = planeToDcos(item.dd, item.dip);
-        const d = this._rotate(dcos);
-        const [px, py] = this._projectFn(d);
-        const [sx, sy] = this._toSvg(px, py);
-        const s = this._resolveCategory('pole', item.style);
-        svg.circle(sx, sy, s.r, {
-          fill: s.fill,
-          stroke: s.stroke,
-          class: this._classFor('pole', item.style.class),
-        });
-        break;
-      }
+      case 'pole':
       case 'line': {
-        const dcos = lineToDcos(item.trend, item.plunge);
-        const d = this._rotate(dcos);
-        const [px, py] = this._projectFn(d);
-        const [sx, sy] = this._toSvg(px, py);
-        const s = this._resolveCategory('line', item.style);
-        svg.circle(sx, sy, s.r, {
-          fill: s.fill,
-          stroke: s.stroke,
-          class: this._classFor('line', item.style.class),
-        });
+        const [sx, sy, upper] = this._projectPoint(this._itemDcos(item));
+        const s = this._resolveCategory(item.type, item.style, item);
+        const { tag, attrs } = this._marker(s, sx, sy, upper);
+        svg.element(tag, { ...attrs, class: this._classFor(item.type, item.style.class) });
         break;
       }
       case 'plane': {
-        const pole = planeToDcos(item.dd, item.dip);
-        const pts3d = curves.greatCircle(pole, 180);
-        const s = this._resolveCategory('plane', item.style);
-        for (const seg of this._projectCurve(pts3d)) {
-          if (seg.length > 1) {
-            svg.polyline(seg, {
-              stroke: s.stroke,
-              'stroke-width': s.strokeWidth,
-              fill: 'none',
-              class: this._classFor('plane', item.style.class),
-            });
+        const s = this._resolveCategory('plane', item.style, item);
+        for (const { segments, upper } of this._curveParts(this._itemCurve(item))) {
+          for (const seg of segments) {
+            if (seg.length > 1) {
+              svg.polyline(seg, {
+                stroke: s.stroke,
+                'stroke-width': s.strokeWidth,
+                fill: 'none',
+                'stroke-dasharray': upper ? s.upperDasharray : undefined,
+                class: this._classFor('plane', item.style.class),
+              });
+            }
           }
         }
         break;
       }
-      case 'cone': {
-        const axis = lineToDcos(item.trend, item.plunge);
-        const halfAngle = item.halfAngle * DEG;
-        const pts3d = curves.smallCircle(axis, halfAngle, 180);
-        const s = this._resolveCategory('cone', item.style);
-        for (const seg of this._projectCurve(pts3d)) {
-          if (seg.length > 1) {
-            svg.polyline(seg, {
-              stroke: s.stroke,
-              'stroke-width': s.strokeWidth,
-              fill: 'none',
-              'stroke-dasharray': s.strokeDasharray,
-              class: this._classFor('cone', item.style.class),
-            });
+      case 'cone':
+      case 'ellipse': {
+        const s = this._resolveCategory(item.type, item.style, item);
+        for (const { segments, upper } of this._curveParts(this._itemCurve(item))) {
+          for (const seg of segments) {
+            if (seg.length > 1) {
+              svg.polyline(seg, {
+                stroke: s.stroke,
+                'stroke-width': s.strokeWidth,
+                fill: 'none',
+                'stroke-dasharray': upper ? s.upperDasharray : s.strokeDasharray,
+                class: this._classFor(item.type, item.style.class),
+              });
+            }
           }
         }
         break;
       }
+      case 'fisher':
+      case 'eigen':
+      case 'bingham':
+      case 'kent':
+      case 'watson': {
+        svg.openGroup({ class: this._classFor(item.type, item.style.class) });
+        for (const { tag, attrs } of this._groupElements(item)) svg.element(tag, attrs);
+        svg.closeGroup();
+        break;
+      }
     }
   }
 
@@ -586,6 +1747,11 @@ export class Stereonet {
     svg.setAttribute('height', s);
     svg.setAttribute('viewBox', `0 0 ${s} ${s}`);
 
+    // Net content, shifted when a legend sits left of or above it
+    const plot = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(plot);
+    this._plotGroup = plot;
+
     // Background
     this._bgEl = document.createElementNS(SVG_NS, 'circle');
     setAttrs(this._bgEl, {
@@ -594,7 +1760,7 @@ export class Stereonet {
       stroke: 'none',
       class: this._classFor('background'),
     });
-    svg.appendChild(this._bgEl);
+    plot.appendChild(this._bgEl);
 
     // Clip definition
     const defs = document.createElementNS(SVG_NS, 'defs');
@@ -604,7 +1770,7 @@ export class Stereonet {
     setAttrs(clipCircle, { cx: c, cy: c, r });
     clipPath.appendChild(clipCircle);
     defs.appendChild(clipPath);
-    svg.appendChild(defs);
+    plot.appendChild(defs);
 
     // Clipped group: grid + data
     const clipGroup = document.createElementNS(SVG_NS, 'g');
@@ -634,11 +1800,15 @@ export class Stereonet {
     this._contourGroup = document.createElementNS(SVG_NS, 'g');
     clipGroup.appendChild(this._contourGroup);
 
+    // Dataset groups (one <g> per dataset), below individual items
+    this._datasetGroup = document.createElementNS(SVG_NS, 'g');
+    clipGroup.appendChild(this._datasetGroup);
+
     // Data group
     this._dataGroup = document.createElementNS(SVG_NS, 'g');
     clipGroup.appendChild(this._dataGroup);
 
-    svg.appendChild(clipGroup);
+    plot.appendChild(clipGroup);
 
     // Primitive circle
     const primStyle = this._resolveCategory('primitive');
@@ -650,7 +1820,10 @@ export class Stereonet {
       'stroke-width': primStyle.strokeWidth,
       class: this._classFor('primitive'),
     });
-    svg.appendChild(this._primEl);
+    plot.appendChild(this._primEl);
+
+    // Labels (rebuilt on each render)
+    this._labelGroup = document.createElementNS(SVG_NS, 'g');
 
     // Cardinal labels — 4 pre-created <text> elements
     const cardStyle = this._resolveCategory('cardinals');
@@ -666,10 +1839,16 @@ export class Stereonet {
         class: this._classFor('cardinal'),
       });
       text.textContent = label;
-      svg.appendChild(text);
+      plot.appendChild(text);
       this._cardinalEls.push(text);
     }
 
+    plot.appendChild(this._labelGroup);
+
+    // Legend and colour bar (rebuilt on each render)
+    this._panelGroup = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(this._panelGroup);
+
     this._el = svg;
   }
 
@@ -680,6 +1859,8 @@ export class Stereonet {
    */
   render() {
     if (!this._el) return this;
+    this._fieldCache = null;
+    this._fitCache = null;
 
     // Update structural styles (supports setStyle() at runtime)
     const gridStyle = this._resolveCategory('grid');
@@ -697,6 +1878,9 @@ export class Stereonet {
     // Contours
     this._renderContoursDOM();
 
+    // Datasets
+    this._renderDatasetsDOM();
+
     // Data items — create/update DOM elements in place
     for (const item of this._items) {
       this._renderItemDOM(item);
@@ -705,6 +1889,12 @@ export class Stereonet {
     // Cardinals — update positions
     this._renderCardinalsDOM();
 
+    // Labels
+    this._renderLabelsDOM();
+
+    // Legend, colour bar and canvas size
+    this._renderPanelsDOM();
+
     return this;
   }
 
@@ -724,111 +1914,175 @@ export class Stereonet {
   /** Create or update the DOM element for a data item. */
   _renderItemDOM(item) {
     switch (item.type) {
-      case 'pole': {
-        const dcos = planeToDcos(item.dd, item.dip);
-        const d = this._rotate(dcos);
-        const [px, py] = this._projectFn(d);
-        const [sx, sy] = this._toSvg(px, py);
-        const s = this._resolveCategory('pole', item.style);
-        if (!item._el) {
-          item._el = document.createElementNS(SVG_NS, 'circle');
-          setAttrs(item._el, { class: this._classFor('pole', item.style.class) });
-          this._dataGroup.appendChild(item._el);
+      case 'pole':
+      case 'line': {
+        const [sx, sy, upper] = this._projectPoint(this._itemDcos(item));
+        const s = this._resolveCategory(item.type, item.style, item);
+        const { tag, attrs } = this._marker(s, sx, sy, upper);
+        // Marker shape may change between renders (circle <-> path)
+        if (!item._el || item._el.tagName !== tag) {
+          const el = document.createElementNS(SVG_NS, tag);
+          setAttrs(el, { class: this._classFor(item.type, item.style.class) });
+          if (item._el) item._el.replaceWith(el);
+          else this._dataGroup.appendChild(el);
+          item._el = el;
         }
-        setAttrs(item._el, {
-          cx: sx, cy: sy,
-          r: s.r,
-          fill: s.fill,
-          stroke: s.stroke,
-        });
+        if (attrs.transform === undefined) item._el.removeAttribute('transform');
+        setAttrs(item._el, attrs);
         break;
       }
-      case 'line': {
-        const dcos = lineToDcos(item.trend, item.plunge);
-        const d = this._rotate(dcos);
-        const [px, py] = this._projectFn(d);
-        const [sx, sy] = this._toSvg(px, py);
-        const s = this._resolveCategory('line', item.style);
-        if (!item._el) {
-          item._el = document.createElementNS(SVG_NS, 'circle');
-          setAttrs(item._el, { class: this._classFor('line', item.style.class) });
-          this._dataGroup.appendChild(item._el);
-        }
-        setAttrs(item._el, {
-          cx: sx, cy: sy,
-          r: s.r,
-          fill: s.fill,
+      case 'plane': {
+        const s = this._resolveCategory('plane', item.style, item);
+        this._renderCurveDOM(item, 'plane', this._curveParts(this._itemCurve(item)), {
           stroke: s.stroke,
-        });
+          'stroke-width': s.strokeWidth,
+          fill: 'none',
+        }, undefined, s.upperDasharray);
         break;
       }
-      case 'plane': {
-        const pole = planeToDcos(item.dd, item.dip);
-        const pts3d = curves.greatCircle(pole, 180);
-        const d = segmentsToPathD(this._projectCurve(pts3d));
-        const s = this._resolveCategory('plane', item.style);
-        if (!item._el) {
-          item._el = document.createElementNS(SVG_NS, 'path');
-          setAttrs(item._el, { class: this._classFor('plane', item.style.class) });
-          this._dataGroup.appendChild(item._el);
-        }
-        setAttrs(item._el, {
-          d,
+      case 'cone':
+      case 'ellipse': {
+        const s = this._resolveCategory(item.type, item.style, item);
+        this._renderCurveDOM(item, item.type, this._curveParts(this._itemCurve(item)), {
           stroke: s.stroke,
           'stroke-width': s.strokeWidth,
           fill: 'none',
-        });
+        }, s.strokeDasharray, s.upperDasharray);
         break;
       }
-      case 'cone': {
-        const axis = lineToDcos(item.trend, item.plunge);
-        const halfAngle = item.halfAngle * DEG;
-        const pts3d = curves.smallCircle(axis, halfAngle, 180);
-        const d = segmentsToPathD(this._projectCurve(pts3d));
-        const s = this._resolveCategory('cone', item.style);
+      case 'fisher':
+      case 'eigen':
+      case 'bingham':
+      case 'kent':
+      case 'watson': {
         if (!item._el) {
-          item._el = document.createElementNS(SVG_NS, 'path');
-          setAttrs(item._el, { class: this._classFor('cone', item.style.class) });
+          item._el = document.createElementNS(SVG_NS, 'g');
           this._dataGroup.appendChild(item._el);
         }
-        setAttrs(item._el, {
-          d,
-          stroke: s.stroke,
-          'stroke-width': s.strokeWidth,
-          fill: 'none',
-          'stroke-dasharray': s.strokeDasharray,
-        });
+        setAttrs(item._el, { class: this._classFor(item.type, item.style.class) });
+        clearChildren(item._el);
+        for (const { tag, attrs } of this._groupElements(item)) {
+          item._el.appendChild(createSvgElement(tag, attrs));
+        }
         break;
       }
     }
   }
 
+  /**
+   * Create or update the path(s) of a curve item. The lower (or only) part
+   * lives in item._el; the dashed upper-hemisphere part in item._upperEl.
+   */
+  _renderCurveDOM(item, category, parts, attrs, dasharray, upperDasharray) {
+    for (const { segments, upper } of parts) {
+      const key = upper ? '_upperEl' : '_el';
+      if (!item[key]) {
+        item[key] = document.createElementNS(SVG_NS, 'path');
+        setAttrs(item[key], { class: this._classFor(category, item.style.class) });
+        this._dataGroup.appendChild(item[key]);
+      }
+      const dash = upper ? upperDasharray : dasharray;
+      setAttrs(item[key], { d: segmentsToPathD(segments), ...attrs, 'stroke-dasharray': dash });
+      if (dash === undefined || dash === null) item[key].removeAttribute('stroke-dasharray');
+    }
+    if (!this._showsUpper && item._upperEl) {
+      item._upperEl.remove();
+      item._upperEl = null;
+    }
+  }
+
+  /** Rebuild item labels and annotations in the DOM. */
+  _renderLabelsDOM() {
+    clearChildren(this._labelGroup);
+    for (const label of this._labelLayout()) {
+      if (label.leader) {
+        const [x1, y1, x2, y2] = label.leader;
+        const line = document.createElementNS(SVG_NS, 'line');
+        setAttrs(line, {
+          x1, y1, x2, y2,
+          stroke: label.style.leaderStroke,
+          'stroke-width': label.style.leaderWidth,
+          class: this._classFor('leader'),
+        });
+        this._labelGroup.appendChild(line);
+      }
+      const text = document.createElementNS(SVG_NS, 'text');
+      setAttrs(text, { x: label.x, y: label.y, ...this._labelAttrs(label) });
+      text.textContent = label.text;
+      this._labelGroup.appendChild(text);
+    }
+  }
+
+  /** Update dataset groups in the DOM (contents rebuilt, groups kept in order). */
+  _renderDatasetsDOM() {
+    for (const ds of this._datasets.values()) {
+      if (!ds._el) ds._el = document.createElementNS(SVG_NS, 'g');
+      // (Re)appending keeps the groups in dataset order
+      this._datasetGroup.appendChild(ds._el);
+      setAttrs(ds._el, this._datasetGroupAttrs(ds));
+      clearChildren(ds._el);
+      if (!ds.visible) {
+        ds._el.setAttribute('display', 'none');
+        continue;
+      }
+      ds._el.removeAttribute('display');
+      for (const { tag, attrs } of this._datasetElements(ds)) {
+        ds._el.appendChild(createSvgElement(tag, attrs));
+      }
+    }
+  }
+
+  /** Resize the canvas, shift the net and rebuild the side panels in the DOM. */
+  _renderPanelsDOM() {
+    const frame = this._frame();
+    setAttrs(this._el, {
+      width: frame.width,
+      height: frame.height,
+      viewBox: `0 0 ${frame.width} ${frame.height}`,
+    });
+    const [ox, oy] = frame.plot;
+    if (ox !== 0 || oy !== 0) this._plotGroup.setAttribute('transform', `translate(${ox},${oy})`);
+    else this._plotGroup.removeAttribute('transform');
+
+    clearChildren(this._panelGroup);
+    for (const { kind, at, elements } of frame.panels) {
+      const group = createSvgElement('g', {
+        transform: `translate(${at[0]},${at[1]})`,
+        class: this._classFor(kind),
+      });
+      for (const { tag, attrs, text } of elements) {
+        const el = createSvgElement(tag, attrs);
+        if (text !== undefined) el.textContent = text;
+        group.appendChild(el);
+      }
+      this._panelGroup.appendChild(group);
+    }
+  }
+
   /** Update contour paths in the DOM. */
   _renderContoursDOM() {
     if (!this._contourGroup) return;
     // Clear previous contour elements
-    while (this._contourGroup.firstChild) this._contourGroup.firstChild.remove();
+    clearChildren(this._contourGroup);
 
     if (!this._contourPaths) return;
 
+    for (const { tag, attrs } of this._bandElements()) {
+      this._contourGroup.appendChild(createSvgElement(tag, attrs));
+    }
+
     const opts = this._contourOptions || {};
-    const defaultStroke = opts.stroke || '#333';
+    if (opts.filled && opts.outline === false) return;
     const defaultWidth = opts.strokeWidth || 0.8;
-    const colors = opts.colors;
     const cls = this._classFor('contour');
 
-    for (let k = 0; k < this._contourPaths.length; k++) {
-      const { paths } = this._contourPaths[k];
-      const stroke = colors && colors[k] ? colors[k] : defaultStroke;
-      for (const path of paths) {
-        const svgPts = path.map(([px, py]) => this._toSvg(px, py));
-        if (svgPts.length > 1) {
-          const d = 'M' + svgPts.map(([x, y]) => `${x},${y}`).join('L');
-          const el = document.createElementNS(SVG_NS, 'path');
-          setAttrs(el, { d, stroke, 'stroke-width': defaultWidth, fill: 'none', class: cls });
-          this._contourGroup.appendChild(el);
-        }
-      }
+    for (const { points, stroke, dasharray } of this._contourLines()) {
+      const d = 'M' + points.map(([x, y]) => `${x},${y}`).join('L');
+      const el = document.createElementNS(SVG_NS, 'path');
+      setAttrs(el, {
+        d, stroke, 'stroke-width': defaultWidth, fill: 'none', 'stroke-dasharray': dasharray, class: cls,
+      });
+      this._contourGroup.appendChild(el);
     }
   }
 
@@ -881,9 +2135,53 @@ export class Stereonet {
   }
 }
 
-/** Batch-set attributes on an SVG element. Skips undefined/null values. */
-function setAttrs(el, attrs) {
-  for (const [k, v] of Object.entries(attrs)) {
-    if (v !== undefined && v !== null) el.setAttribute(k, v);
+/**
+ * Fit the statistics drawn by a statistics item.
+ * @param {string} type - 'fisher', 'eigen', 'bingham', 'kent' or 'watson'
+ * @param {Array<number[]>} dcos - non-empty source directions
+ * @param {Object} s - the item's resolved style
+ * @returns {Object}
+ */
+function fitStatistics(type, dcos, s) {
+  switch (type) {
+    case 'fisher': return fisherStats(dcos);
+    case 'eigen': return principalAxes(dcos);
+    case 'kent': return kentFit(dcos, { method: s.method, confidence: s.confidence });
+    case 'watson': return watsonFit(dcos, { model: s.model, confidence: s.confidence });
+    default: return binghamFit(dcos, { confidence: s.confidence });
+  }
+}
+
+/**
+ * Direction cosines of dataset rows (see Stereonet#dataset).
+ * @param {Array<number[]>} data
+ * @param {string} as - dataset mode
+ * @param {'attitude'|'dcos'} [format] - detected per row when omitted
+ * @returns {Array<number[]>}
+ */
+function datasetDcos(data, as, format) {
+  if (format !== undefined && format !== 'attitude' && format !== 'dcos') {
+    throw new Error(`Unknown dataset format: "${format}"`);
   }
+  const toDcos = as === 'lines' ? lineToDcos : planeToDcos;
+  return data.map((d, i) => {
+    if (format === 'attitude') return toDcos(d[0], d[1]);
+    const length = d.length === 3 ? Math.hypot(d[0], d[1], d[2]) : NaN;
+    if (format === 'dcos') {
+      if (!(length > 0 && Number.isFinite(length))) {
+        throw new Error(`Dataset row ${i} is not a vector [x, y, z]`);
+      }
+      return length === 1 ? d : d.map(c => c / length);
+    }
+    if (d.length === 2) return toDcos(d[0], d[1]);
+    if (d.length === 3 && Math.abs(length - 1) <= UNIT_TOLERANCE) return d;
+    throw new Error(`Dataset row ${i} is neither an attitude pair nor a unit vector `
+      + `(pass format: 'attitude' or 'dcos')`);
+  });
+}
+
+/** Remove an item's DOM elements (if rendered). */
+function removeItemEls(item) {
+  if (item._el) item._el.remove();
+  if (item._upperEl) item._upperEl.remove();
 }
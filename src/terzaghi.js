@@ -0,0 +1,82 @@
+/**
+ * @module terzaghi — Sampling-bias correction for scanline and borehole data.
+ *
+ * A line samples a plane with probability proportional to |cos δ|, δ the
+ * angle between the sampling line and the plane's pole, so planes
+ * sub-parallel to the line are under-represented (Terzaghi, 1965). Weighting
+ * each plane by 1/|cos δ| restores the proportions. Planes within the blind
+ * zone — within `blindZone` degrees of parallel to the line — are rarely
+ * sampled at all, and their weight is capped at 1/sin(blindZone) so a few
+ * of them cannot dominate.
+ *
+ * The weights feed the weighted statistics and contouring functions:
+ *   const w = terzaghiWeights(poles, { trend: 120, plunge: 10 });
+ *   fisherStats(poles, w);  computeContours(poles, { weights: w });
+ */
+
+import { lineToDcos } from './core/conversions.js';
+
+const DEG = Math.PI / 180;
+
+/** Sampling lines as { dcos, length } from one line or an array of lines. */
+function samplingLines(lines) {
+  const list = Array.isArray(lines) ? lines : [lines];
+  if (list.length === 0) throw new Error('Terzaghi correction needs a sampling line');
+  return list.map(({ trend, plunge, length = 1 }) => {
+    if (!(length > 0)) throw new Error('Sampling line lengths must be positive');
+    return { dcos: lineToDcos(trend, plunge), length };
+  });
+}
+
+/**
+ * Probability (relative) that the lines sample a plane with pole d:
+ * Σ Lⱼ |cos δⱼ| / Σ Lⱼ.
+ */
+function samplingChance(d, lines, total) {
+  let sum = 0;
+  for (const { dcos: l, length } of lines) {
+    sum += length * Math.abs(d[0] * l[0] + d[1] * l[1] + d[2] * l[2]);
+  }
+  return sum / total;
+}
+
+/**
+ * Terzaghi weights for planes measured along one or more sampling lines.
+ *
+ * With several lines (e.g. scanlines on two faces, or a deviated borehole in
+ * sections) the data are taken as pooled, and a plane's chance of being
+ * sampled is the length-weighted mean of |cos δ| over the lines
+ * (Mauldon & Mauldon, 1997).
+ *
+ * @param {Array<number[]>} dcos - poles to the measured planes
+ * @param {{ trend: number, plunge: number, length?: number }|Array<Object>} lines -
+ *   sampling line(s), degrees; `length` (default 1) weights each line
+ * @param {Object} [options]
+ * @param {number} [options.blindZone=15] - degrees; weights are capped at 1/sin(blindZone)
+ * @returns {number[]} one weight ≥ 1 per plane
+ */
+export function terzaghiWeights(dcos, lines, options = {}) {
+  const { blindZone = 15 } = options;
+  if (!(blindZone > 0 && blindZone <= 90)) throw new Error('Blind zone must be between 0 and 90 degrees');
+  const list = samplingLines(lines);
+  const total = list.reduce((s, l) => s + l.length, 0);
+  const floor = Math.sin(blindZone * DEG);
+  return dcos.map(d => 1 / Math.max(floor, samplingChance(d, list, total)));
+}
+
+/**
+ * Which planes lie in the blind zone (their weight is capped).
+ *
+ * @param {Array<number[]>} dcos - poles to planes
+ * @param {Object|Array<Object>} lines - as for terzaghiWeights
+ * @param {Object} [options]
+ * @param {number} [options.blindZone=15] - degrees
+ * @returns {boolean[]}
+ */
+export function inBlindZone(dcos, lines, options = {}) {
+  const { blindZone = 15 } = options;
+  const list = samplingLines(lines);
+  const total = list.reduce((s, l) => s + l.length, 0);
+  const floor = Math.sin(blindZone * DEG);
+  return dcos.map(d => samplingChance(d, list, total) < floor);
+}
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bootstrapReplicates, percentileInterval, bootstrapMean, bootstrapAxes,
+} from '../src/bootstrap.js';
+import { fisherStats, principalAxes } from '../src/statistics.js';
+import { fisherSample } from '../src/sampling.js';
+import { planeToDcos } from '../src/core/conversions.js';
+import * as vec3 from '../src/core/vec3.js';
+
+// Fisher sample (κ = 30) about the nadir
+const cluster = fisherSample(60, { mean: [0, 0, -1], kappa: 30 }, { seed: 4 });
+
+// Girdle along the N–S vertical plane, with some scatter about it
+const girdle = [];
+for (let dip = 10; dip <= 80; dip += 10) {
+  const scatter = ((dip * 7) % 11) - 5;
+  girdle.push(planeToDcos(90 + scatter, dip), planeToDcos(270 - scatter, dip));
+}
+
+describe('bootstrapReplicates / percentileInterval', () => {
+  it('resamples with replacement, reproducibly', () => {
+    const data = [1, 2, 3, 4, 5];
+    const sums = bootstrapReplicates(data, s => s.reduce((a, b) => a + b), { samples: 50, seed: 3 });
+    assert.strictEqual(sums.length, 50);
+    assert.ok(sums.every(v => v >= 5 && v <= 25));
+    assert.ok(new Set(sums).size > 1);
+    assert.deepStrictEqual(bootstrapReplicates(data, s => s.reduce((a, b) => a + b), { samples: 50, seed: 3 }), sums);
+    assert.throws(() => bootstrapReplicates([], s => s), /empty sample/);
+  });
+
+  it('percentile interval interpolates and ignores NaN', () => {
+    const values = Array.from({ length: 101 }, (_, i) => i);
+    const [lo, hi] = percentileInterval(values, 0.9);
+    assert.ok(Math.abs(lo - 5) < 1e-9 && Math.abs(hi - 95) < 1e-9);
+    assert.deepStrictEqual(percentileInterval([0, 10], 0.5), [2.5, 7.5]);
+    assert.deepStrictEqual(percentileInterval([NaN, 2, 1, NaN, 3], 1), [1, 3]);
+    assert.deepStrictEqual(percentileInterval([NaN]), [NaN, NaN]);
+  });
+});
+
+describe('bootstrapMean', () => {
+  const result = bootstrapMean(cluster, { seed: 1, samples: 500 });
+
+  it('returns the sample mean with a cone and ellipse', () => {
+    assert.strictEqual(result.n, 60);
+    assert.strictEqual(result.samples, 500);
+    assert.ok(result.mean[2] < -0.99);
+    assert.deepStrictEqual(result.ellipse.center, result.mean);
+    assert.ok(Math.abs(vec3.dot(result.ellipse.major, result.mean)) < 1e-12);
+    assert.ok(result.ellipse.a >= result.ellipse.b);
+  });
+
+  it('agrees with Fisher α95 for Fisher data', () => {
+    const { alpha95 } = fisherStats(cluster);
+    assert.ok(Math.abs(result.cone - alpha95) / alpha95 < 0.2, `${result.cone} vs ${alpha95}`);
+    assert.ok(Math.abs(result.ellipse.a - alpha95) / alpha95 < 0.3);
+  });
+
+  it('is reproducible and widens with confidence', () => {
+    assert.deepStrictEqual(bootstrapMean(cluster, { seed: 1, samples: 500 }), result);
+    assert.ok(bootstrapMean(cluster, { seed: 1, samples: 500, confidence: 0.99 }).cone > result.cone);
+  });
+});
+
+describe('bootstrapAxes', () => {
+  const result = bootstrapAxes(girdle, { seed: 2, samples: 300 });
+
+  it('returns the sample eigen-analysis and three axes', () => {
+    assert.deepStrictEqual(result.eigenvalues, principalAxes(girdle).eigenvalues);
+    assert.strictEqual(result.axes.length, 3);
+    result.axes.forEach((axis, i) => {
+      assert.deepStrictEqual(axis.vector, result.eigenvectors[i]);
+      assert.ok(axis.cone > 0 && axis.cone <= 90);
+      assert.ok(axis.ellipse.a >= axis.ellipse.b);
+    });
+  });
+
+  it('the girdle pole is well constrained, the in-girdle axes are not', () => {
+    const [v1, , v3] = result.axes;
+    assert.ok(Math.abs(v3.vector[1]) > 0.99, 'pole to girdle is N–S horizontal');
+    assert.ok(v3.cone < v1.cone);
+    // V1 wanders within the girdle: the ellipse is elongated along it
+    assert.ok(v1.ellipse.a > 2 * v1.ellipse.b);
+    assert.ok(Math.abs(v1.ellipse.major[1]) < 0.1, 'major axis lies in the girdle');
+  });
+
+  it('gives percentile intervals for eigenvalues and fabric parameters', () => {
+    assert.deepStrictEqual(Object.keys(result.intervals), ['S1', 'S2', 'S3', 'K', 'C', 'P', 'G', 'R']);
+    const base = principalAxes(girdle);
+    for (const key of ['K', 'C', 'P', 'G', 'R']) assert.ok(result.intervals[key][0] <= result.intervals[key][1], key);
+    const [rLo, rHi] = result.intervals.R;
+    assert.ok(rLo <= base.R && base.R <= rHi, `R: ${base.R} in [${rLo}, ${rHi}]`);
+    const [lo, hi] = result.intervals.S1;
+    assert.ok(lo > 0.4 && hi < 0.8 && lo < hi);
+    assert.ok(result.intervals.G[0] > 0.5);
+    // Resampling separates S1 from S2, so P is biased upwards for a girdle
+    assert.ok(result.intervals.P[0] > base.P);
+  });
+
+  it('is insensitive to the sign of axial data', () => {
+    const flipped = girdle.map((d, i) => (i % 3 ? d : vec3.negate(d)));
+    const other = bootstrapAxes(flipped, { seed: 2, samples: 300 });
+    assert.ok(Math.abs(other.axes[2].cone - result.axes[2].cone) < 1e-9);
+  });
+});
@@ -1,8 +1,12 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { computeContours } from '../src/contouring.js';
+import {
+  computeContours, computeContoursAsync, densityFactor, densityToUnits, countingRadius, DENSITY_METHODS,
+} from '../src/contouring.js';
 import { planeToDcos, lineToDcos } from '../src/core/conversions.js';
 import { Stereonet } from '../src/stereonet.js';
+import { getColormap } from '../src/render/colormap.js';
+import * as mat3 from '../src/core/mat3.js';
 
 // Tight cluster around nadir (high plunge → nearly straight down)
 const cluster = [];
@@ -113,6 +117,77 @@ describe('computeContours', () => {
   });
 });
 
+describe('density units', () => {
+  it('percent per 1% area equals MUD', () => {
+    assert.strictEqual(densityFactor('percent', 50, 0.2), 1);
+    assert.strictEqual(densityFactor('mud', 50, 0.2), 1);
+  });
+
+  it('sigma scales MUD by the counting statistics', () => {
+    const sigma = 15 * Math.PI / 180;
+    const area = 1 - Math.cos(sigma);
+    const n = 100;
+    // 1 MUD = expected count n·A, which is √(n·A/(1 − A)) standard deviations
+    assert.ok(Math.abs(densityFactor('sigma', n, sigma) - n * area / Math.sqrt(n * area * (1 - area))) < 1e-12);
+    assert.throws(() => densityFactor('ppm', n, sigma), /Unknown density units/);
+  });
+
+  it('levels are compared in the requested units', () => {
+    const mud = computeContours(cluster, { levels: [2], gridSize: 25, sigma: 20 });
+    const f = densityFactor('sigma', cluster.length, 20 * Math.PI / 180);
+    const sig = computeContours(cluster, { levels: [2 * f], gridSize: 25, sigma: 20, units: 'sigma' });
+    assert.strictEqual(sig[0].paths.length, mud[0].paths.length);
+    const a = sig[0].paths[0][0];
+    const b = mud[0].paths[0][0];
+    assert.ok(Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9);
+  });
+});
+
+describe('computeContours filled', () => {
+  const bimodal = [
+    ...cluster,
+    ...Array.from({ length: 12 }, (_, i) => lineToDcos(i * 30, 5)),
+  ];
+
+  it('returns closed rings inside the primitive for every level', () => {
+    const projR = Math.SQRT2;
+    const result = computeContours(bimodal, { levels: [1, 2, 4], gridSize: 30, filled: true });
+    for (const { rings } of result) {
+      assert.ok(rings.length > 0);
+      for (const ring of rings) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        assert.ok(Math.hypot(first[0] - last[0], first[1] - last[1]) < 1e-9, 'ring is closed');
+        for (const [px, py] of ring) assert.ok(Math.hypot(px, py) <= projR + 1e-9);
+      }
+    }
+  });
+
+  it('rings crossing the primitive close along it', () => {
+    const projR = Math.SQRT2;
+    const [{ rings }] = computeContours(bimodal, { levels: [0.5], gridSize: 30, filled: true });
+    const onRim = rings.flat().filter(([px, py]) => Math.abs(Math.hypot(px, py) - projR) < 1e-9);
+    assert.ok(onRim.length > 10);
+  });
+
+  it('band k holds the rings of level k and level k+1; the top band only its own', () => {
+    const result = computeContours(cluster, { levels: [2, 4], gridSize: 25, filled: true });
+    assert.strictEqual(result[0].band.length, result[0].rings.length + result[1].rings.length);
+    assert.deepStrictEqual(result[1].band, result[1].rings);
+  });
+
+  it('line paths are unchanged by filled mode', () => {
+    const lines = computeContours(cluster, { levels: [2], gridSize: 25 });
+    const filled = computeContours(cluster, { levels: [2], gridSize: 25, filled: true });
+    assert.deepStrictEqual(filled[0].paths, lines[0].paths);
+  });
+
+  it('empty input gives empty rings and bands', () => {
+    const [entry] = computeContours([], { levels: [2], filled: true });
+    assert.deepStrictEqual(entry, { level: 2, paths: [], rings: [], band: [] });
+  });
+});
+
 describe('Stereonet contour integration', () => {
   it('contour() returns this for chaining', () => {
     const sn = new Stereonet();
@@ -163,4 +238,318 @@ describe('Stereonet contour integration', () => {
     assert.ok(svg.includes('#f00') || svg.includes('#00f'),
       'SVG should include custom colors');
   });
+
+  it('filled contours draw one even-odd band path per level', () => {
+    const svg = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [2, 4], gridSize: 20, filled: true, fills: ['#ff0000', '#0000ff'] })
+      .svg();
+    const bands = svg.match(/<path [^>]*class="bearing-contour-band"\/>/g);
+    assert.strictEqual(bands.length, 2);
+    assert.ok(bands[0].includes('fill="#ff0000"') && bands[0].includes('fill-rule="evenodd"'));
+    assert.ok(bands[1].includes('fill="#0000ff"'));
+    assert.ok(svg.includes('class="bearing-contour"'));
+  });
+
+  it('bands take colours from the ramp, outlines can be turned off', () => {
+    const svg = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [1, 2, 3], gridSize: 20, filled: true, ramp: ['#000000', '#ffffff'], outline: false })
+      .svg();
+    assert.ok(svg.includes('fill="#000000"'));
+    // middle band: halfway in OKLab lightness
+    assert.ok(svg.includes(`fill="${getColormap(['#000000', '#ffffff']).at(0.5)}"`));
+    assert.ok(!svg.includes('class="bearing-contour"'));
+  });
+
+  it('legend shows band swatches with level ranges', () => {
+    const svg = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [2, 4], gridSize: 20, filled: true })
+      .legend()
+      .svg();
+    assert.ok(svg.includes('>2–4</text>'));
+    assert.ok(svg.includes('>≥ 4</text>'));
+    assert.ok(/<rect [^>]*fill="#eeeeee"/.test(svg));
+  });
+
+  it('colors, fills and ramp accept colormaps', () => {
+    const viridis = getColormap('viridis');
+    const lines = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [1, 2, 3], gridSize: 20, colors: 'viridis' })
+      .svg();
+    assert.ok(lines.includes(`stroke="${viridis.at(0)}"`));
+    assert.ok(lines.includes(`stroke="${viridis.at(1)}"`));
+
+    const filled = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [1, 2], gridSize: 20, filled: true, ramp: 'magma_r' })
+      .svg();
+    assert.ok(filled.includes(`fill="${getColormap('magma').at(1)}"`));
+
+    const fills = new Stereonet({ size: 200 })
+      .contour(cluster, { levels: [1, 2], gridSize: 20, filled: true, fills: { stops: ['#ff0000', '#0000ff'] } })
+      .svg();
+    assert.ok(fills.includes('fill="#ff0000"') && fills.includes('fill="#0000ff"'));
+  });
+});
+
+describe('weighted contours', () => {
+  // Same contours, up to rounding
+  const same = (a, b) => {
+    assert.strictEqual(a.length, b.length);
+    a.forEach((entry, k) => {
+      assert.strictEqual(entry.paths.length, b[k].paths.length);
+      entry.paths.forEach((path, i) => path.forEach(([x, y], j) => {
+        const [u, v] = b[k].paths[i][j];
+        assert.ok(Math.abs(x - u) < 1e-9 && Math.abs(y - v) < 1e-9);
+      }));
+    });
+  };
+
+  it('equal weights change nothing', () => {
+    const plain = computeContours(cluster, { levels: [2, 4], gridSize: 25 });
+    same(computeContours(cluster, { levels: [2, 4], gridSize: 25, weights: cluster.map(() => 1) }), plain);
+    same(computeContours(cluster, { levels: [2, 4], gridSize: 25, weights: cluster.map(() => 2.5) }), plain);
+  });
+
+  it('records are equivalent to a weights array', () => {
+    const weights = cluster.map((_, i) => 1 + (i % 3));
+    same(
+      computeContours(cluster.map((d, i) => ({ dcos: d, weight: weights[i] })), { levels: [2, 4], gridSize: 25 }),
+      computeContours(cluster, { levels: [2, 4], gridSize: 25, weights }),
+    );
+  });
+
+  it('zero weights remove data, including from the effective sample size', () => {
+    const data = [...cluster, ...dispersed];
+    const weights = data.map((_, i) => (i < cluster.length ? 1 : 0));
+    same(
+      computeContours(data, { levels: [2, 4], gridSize: 25, weights, units: 'sigma' }),
+      computeContours(cluster, { levels: [2, 4], gridSize: 25, units: 'sigma' }),
+    );
+  });
+
+  it('rejects mismatched or negative weights', () => {
+    assert.throws(() => computeContours(cluster, { weights: [1, 2] }), /one entry per direction/);
+    assert.throws(() => computeContours(cluster, { weights: cluster.map(() => -1) }), /non-negative/);
+  });
+});
+
+describe('counting methods', () => {
+  const grid = { levels: [2], gridSize: 25 };
+  // Fibonacci spiral: evenly spread over the lower hemisphere
+  const dots = n => Array.from({ length: n }, (_, i) => lineToDcos((i * 137.508) % 360, Math.asin((i + 0.5) / n) * 180 / Math.PI));
+
+  it('Kamb cones hold 3σ of uniform data; Schmidt cones 1% of the area', () => {
+    for (const n of [10, 100, 1000]) {
+      const area = 1 - Math.cos(countingRadius('kamb', n));
+      assert.ok(Math.abs(n * area - 3 * Math.sqrt(n * area * (1 - area))) < 1e-9, `n = ${n}`);
+    }
+    assert.ok(Math.abs(1 - Math.cos(countingRadius('schmidt', 50)) - 0.01) < 1e-12);
+    assert.deepStrictEqual(DENSITY_METHODS, ['exponential', 'kamb', 'linear-kamb', 'square-kamb', 'schmidt']);
+  });
+
+  it('every method is normalised to MUD', () => {
+    // Evenly spread data: the density is close to 1 MUD away from the rim
+    const data = dots(2000);
+    for (const method of DENSITY_METHODS) {
+      const low = computeContours(data, { levels: [0.8], gridSize: 15, method, sigma: 25 });
+      const high = computeContours(data, { levels: [1.25], gridSize: 15, method, sigma: 25 });
+      assert.ok(high[0].paths.every(p => p.every(([x, y]) => Math.hypot(x, y) > 0.9)), `${method}: nothing above 1.25`);
+      assert.ok(low[0].paths.every(p => p.every(([x, y]) => Math.hypot(x, y) > 0.9)), `${method}: nothing below 0.8`);
+    }
+  });
+
+  it('Kamb count equals the number of data in the cone', () => {
+    // A single datum at the centre: MUD = 1/(nA) inside its cone, 0 outside
+    const n = 1;
+    const half = countingRadius('kamb', n);
+    const mud = 1 / (1 - Math.cos(half));
+    const [inside] = computeContours([[0, 0, -1]], { levels: [mud * 0.999], gridSize: 41, method: 'kamb' });
+    const [above] = computeContours([[0, 0, -1]], { levels: [mud * 1.001], gridSize: 41, method: 'kamb' });
+    assert.ok(inside.paths.length > 0);
+    assert.strictEqual(above.paths.length, 0);
+  });
+
+  it('sigma units use the counting cone and the weight spread', () => {
+    const n = 50;
+    const half = countingRadius('kamb', n);
+    // 1 MUD = the uniform expectation = 3σ for the Kamb cone
+    assert.ok(Math.abs(densityFactor('sigma', n, half, 'kamb') - 3) < 1e-9);
+    assert.ok(Math.abs(densityToUnits(1, 'sigma-excess', n, half, 'kamb')) < 1e-12);
+    assert.ok(Math.abs(densityToUnits(3, 'sigma-excess', n, half, 'kamb') - 6) < 1e-9);
+    assert.ok(densityFactor('sigma', n, half, 'linear-kamb') < densityFactor('sigma', n, half, 'kamb'));
+    assert.ok(densityFactor('sigma', n, half, 'square-kamb') < densityFactor('sigma', n, half, 'linear-kamb'));
+  });
+
+  it('contours in σ above uniform', () => {
+    const mud = computeContours(cluster, { ...grid, method: 'kamb' });
+    const half = countingRadius('kamb', cluster.length);
+    const level = densityToUnits(2, 'sigma-excess', cluster.length, half, 'kamb');
+    const sig = computeContours(cluster, { levels: [level], gridSize: 25, method: 'kamb', units: 'sigma-excess' });
+    assert.strictEqual(sig[0].paths.length, mud[0].paths.length);
+    sig[0].paths.forEach((path, i) => path.forEach(([x, y], j) => {
+      const [u, v] = mud[0].paths[i][j];
+      assert.ok(Math.abs(x - u) < 1e-9 && Math.abs(y - v) < 1e-9);
+    }));
+  });
+
+  it('rejects unknown methods', () => {
+    assert.throws(() => computeContours(cluster, { method: 'gaussian' }), /Unknown density method/);
+  });
+});
+
+describe('axial and vector data', () => {
+  // Horizontal E–W axes, half of them folded into the lower hemisphere at the west
+  const axes = [];
+  for (let p = -6; p <= 6; p++) {
+    for (const t of [85, 90, 95]) axes.push(p >= 0 ? lineToDcos(t, p) : lineToDcos(t + 180, -p));
+  }
+  const opts = { levels: [30], gridSize: 40, sigma: 10 };
+  // Vectors are measured against the whole sphere: the same directions give twice the MUD
+  const vectorOpts = { ...opts, levels: [60], axial: false };
+
+  it('axial data give one density continuing across the primitive', () => {
+    const [axial] = computeContours(axes, opts);
+    const xs = axial.paths.flat().map(([x]) => x);
+    // Both halves of the cluster, symmetric east and west
+    assert.strictEqual(axial.paths.length, 2);
+    assert.ok(Math.abs(Math.min(...xs) + Math.max(...xs)) < 1e-6);
+    // As vectors the cluster is split into two half-densities below the level
+    const [vector] = computeContours(axes, vectorOpts);
+    assert.strictEqual(vector.paths.length, 0);
+  });
+
+  it('rotated views see the whole cluster', () => {
+    // Bring the E–W axis to the centre of the view
+    const rotation = mat3.rotationFromAxisAngle([0, 1, 0], Math.PI / 2);
+    const [axial] = computeContours(axes, { ...opts, rotation });
+    assert.strictEqual(axial.paths.length, 1);
+    assert.ok(axial.paths[0].every(([x, y]) => Math.hypot(x, y) < 0.2));
+    assert.strictEqual(computeContours(axes, { ...vectorOpts, rotation })[0].paths.length, 0);
+  });
+
+  it('data away from the primitive are unaffected', () => {
+    const a = computeContours(cluster, { levels: [2, 4], gridSize: 25 });
+    const v = computeContours(cluster, { levels: [4, 8], gridSize: 25, axial: false });
+    a.forEach((entry, k) => entry.paths.forEach((path, i) => path.forEach(([x, y], j) => {
+      const [u, w] = v[k].paths[i][j];
+      assert.ok(Math.abs(x - u) < 1e-6 && Math.abs(y - w) < 1e-6);
+    })));
+  });
+
+  it('vector data on the full sphere are normalised to the sphere', () => {
+    // Uniform vectors over the whole sphere (Fibonacci spiral)
+    const n = 2000;
+    const uniform = Array.from({ length: n }, (_, i) => {
+      const z = 1 - (2 * i + 1) / n;
+      const r = Math.sqrt(1 - z * z);
+      const phi = i * Math.PI * (3 - Math.sqrt(5));
+      return [r * Math.cos(phi), r * Math.sin(phi), z];
+    });
+    const full = { hemisphere: 'full', gridSize: 21, sigma: 15, axial: false };
+    // ≈ 1 MUD everywhere: no contour at 0.9 or 1.1
+    const [below, above] = computeContours(uniform, { ...full, levels: [0.9, 1.1], filled: true });
+    assert.strictEqual(above.paths.length + above.rings.length, 0);
+    assert.ok(below.rings.length > 0);
+    assert.strictEqual(below.paths.length, 0);
+
+    // A downward cluster of vectors is not mirrored onto the upper hemisphere
+    const opts = { hemisphere: 'full', levels: [2], gridSize: 30 };
+    const [peak] = computeContours(cluster, { ...opts, axial: false });
+    assert.ok(peak.paths.length > 0);
+    assert.ok(peak.paths.flat().every(([x, y]) => Math.hypot(x, y) < Math.SQRT2));
+    // Data are axial unless told otherwise
+    const [axial] = computeContours(cluster, opts);
+    assert.ok(axial.paths.flat().some(([x, y]) => Math.hypot(x, y) > Math.SQRT2));
+  });
+
+  it('vectors in the both view are contoured on both hemispheres', () => {
+    const up = cluster.map(([x, y, z]) => [-x, -y, -z]);
+    const opts = { hemisphere: 'both', levels: [2, 4], gridSize: 25, axial: false };
+    const result = computeContours(up, opts);
+    assert.ok(result.every(entry => entry.paths.length === 0));
+    assert.ok(result[0].upper.length > 0);
+    // Upper directions are plotted where their mirror images below would be
+    const mirrored = computeContours(up.map(([x, y, z]) => [x, y, -z]), opts);
+    result.forEach((entry, k) => assert.deepStrictEqual(entry.upper, mirrored[k].paths));
+    // Axial data (the default) need no upper lines
+    assert.ok(!('upper' in computeContours(up, { hemisphere: 'both', levels: [2] })[0]));
+  });
+});
+
+describe('kernel cutoff and bucketing', () => {
+  // 600 directions in two clusters, evenly spread around each
+  const data = [];
+  for (let i = 0; i < 300; i++) {
+    const r = 25 * Math.sqrt((i + 0.5) / 300);
+    data.push(lineToDcos((i * 137.508) % 360, 90 - r));
+    data.push(lineToDcos(100 + r * Math.cos(i), 20 + r * Math.sin(i) / 2));
+  }
+  const close = (a, b, tol = 1e-9) => {
+    assert.strictEqual(a.length, b.length);
+    a.forEach((entry, k) => {
+      assert.strictEqual(entry.paths.length, b[k].paths.length);
+      entry.paths.forEach((path, i) => path.forEach(([x, y], j) => {
+        const [u, v] = b[k].paths[i][j];
+        assert.ok(Math.abs(x - u) < tol && Math.abs(y - v) < tol, `${x}, ${y} ≈ ${u}, ${v}`);
+      }));
+    });
+  };
+  const opts = { levels: [1, 3, 6], gridSize: 30, sigma: 4 };
+
+  it('bucketed sums match the full sum', () => {
+    // A 29° cutoff is bucketed; the kernel there is e^-90 of its peak
+    close(computeContours(data, { ...opts, cutoff: 29 }), computeContours(data, { ...opts, cutoff: 180 }));
+    close(computeContours(data, { ...opts, cutoff: 29, axial: false }), computeContours(data, { ...opts, cutoff: 180, axial: false }));
+  });
+
+  it('the default cutoff changes densities negligibly', () => {
+    // Contour points move by far less than a grid cell (0.1)
+    close(computeContours(data, opts), computeContours(data, { ...opts, cutoff: 180 }), 1e-4);
+  });
+
+  it('a narrow cutoff truncates the kernel', () => {
+    const [wide] = computeContours(data, { levels: [0.2], gridSize: 30, sigma: 8, cutoff: 180 });
+    const [narrow] = computeContours(data, { levels: [0.2], gridSize: 30, sigma: 8, cutoff: 4 });
+    assert.notDeepStrictEqual(narrow.paths, wide.paths);
+  });
+});
+
+describe('computeContoursAsync', () => {
+  const opts = { levels: [2, 4], gridSize: 30, sigma: 15 };
+
+  it('resolves to the computeContours result', async () => {
+    assert.deepStrictEqual(await computeContoursAsync(cluster, opts), computeContours(cluster, opts));
+    const filled = { ...opts, filled: true };
+    assert.deepStrictEqual(await computeContoursAsync(cluster, filled), computeContours(cluster, filled));
+    assert.deepStrictEqual(await computeContoursAsync([], opts), computeContours([], opts));
+  });
+
+  it('reports progress with partial contour lines', async () => {
+    const calls = [];
+    const result = await computeContoursAsync(cluster, {
+      ...opts, sliceTime: 0, onProgress: (fraction, partial) => calls.push([fraction, partial]),
+    });
+    // One row per slice: a call per row, the last with the result
+    assert.strictEqual(calls.length, 30);
+    assert.ok(calls.every(([f], i) => i === 0 || f > calls[i - 1][0]));
+    assert.deepStrictEqual(calls[calls.length - 1], [1, result]);
+    const [, early] = calls[2];
+    assert.deepStrictEqual(early.map(e => e.level), [2, 4]);
+    assert.ok(early.every(e => Array.isArray(e.paths) && !e.rings));
+  });
+
+  it('can be aborted', async () => {
+    const before = new AbortController();
+    before.abort(new Error('stop'));
+    await assert.rejects(computeContoursAsync(cluster, { ...opts, signal: before.signal }), /stop/);
+
+    const during = new AbortController();
+    let calls = 0;
+    await assert.rejects(computeContoursAsync(cluster, {
+      ...opts,
+      sliceTime: 0,
+      signal: during.signal,
+      onProgress: () => { if (++calls === 3) during.abort(); },
+    }), { name: 'AbortError' });
+    assert.strictEqual(calls, 3);
+  });
 });
@@ -44,6 +44,23 @@ describe('curves', () => {
     });
   });
 
+  describe('sphericalEllipse', () => {
+    it('reaches a along the major direction and b across it', () => {
+      const center = [0, 0, -1];
+      const points = curves.sphericalEllipse(center, [1, 0, 0.3], 0.4, 0.1, 36);
+      approx(vec3.angle(points[0], center), 0.4, 'major semi-axis');
+      approx(vec3.angle(points[9], center), 0.1, 'minor semi-axis');
+      approx(points[0][1], 0, 'major axis in the x–z plane');
+      for (const p of points) approx(vec3.length(p), 1, 'not on unit sphere');
+    });
+
+    it('equal semi-axes give a small circle', () => {
+      for (const p of curves.sphericalEllipse([0, 1, 0], [1, 0, 0], 0.2, 0.2, 24)) {
+        approx(vec3.angle(p, [0, 1, 0]), 0.2, 'radius');
+      }
+    });
+  });
+
   describe('arc', () => {
     it('endpoints match inputs', () => {
       const a = [1, 0, 0];
@@ -74,4 +91,37 @@ describe('curves', () => {
       assert.strictEqual(curves.planeIntersection([1, 0, 0], [-1, 0, 0]), null);
     });
   });
+
+  describe('clipToHemisphere', () => {
+    it('lower keeps z <= 0 runs with equator crossings', () => {
+      const segs = curves.clipToHemisphere(curves.greatCircle([1, 0, 0], 36), 'lower');
+      for (const seg of segs) {
+        for (const p of seg) assert.ok(p[2] <= 1e-12, `z=${p[2]}`);
+      }
+      const ends = segs.flatMap(seg => [seg[0], seg[seg.length - 1]]);
+      assert.ok(ends.some(p => Math.abs(p[2]) < 1e-12), 'has an equator crossing');
+    });
+
+    it('upper keeps z >= 0 runs', () => {
+      const segs = curves.clipToHemisphere(curves.greatCircle([1, 0, 0], 36), 'upper');
+      assert.ok(segs.length > 0);
+      for (const seg of segs) {
+        for (const p of seg) assert.ok(p[2] >= -1e-12, `z=${p[2]}`);
+      }
+    });
+
+    it('both / full keep the whole curve', () => {
+      const pts = curves.greatCircle([1, 0, 0], 36);
+      assert.deepStrictEqual(curves.clipToHemisphere(pts, 'full'), [pts]);
+      assert.deepStrictEqual(curves.clipToHemisphere(pts, 'both'), [pts]);
+    });
+
+    it('horizontal circle in the lower hemisphere is kept whole', () => {
+      const pts = curves.smallCircle([0, 0, -1], Math.PI / 4, 36);
+      const segs = curves.clipToHemisphere(pts, 'lower');
+      assert.strictEqual(segs.length, 1);
+      assert.strictEqual(segs[0].length, pts.length);
+      assert.strictEqual(curves.clipToHemisphere(pts, 'upper').length, 0);
+    });
+  });
 });
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { seededRandom, randomInt, shuffle, gaussian } from '../../src/core/random.js';
+
+describe('seededRandom', () => {
+  it('same seed → same sequence', () => {
+    const a = seededRandom(42);
+    const b = seededRandom(42);
+    for (let i = 0; i < 10; i++) assert.strictEqual(a(), b());
+    assert.notStrictEqual(seededRandom(1)(), seededRandom(2)());
+  });
+
+  it('draws uniformly from [0, 1)', () => {
+    const random = seededRandom(3);
+    let sum = 0;
+    for (let i = 0; i < 10000; i++) {
+      const u = random();
+      assert.ok(u >= 0 && u < 1);
+      sum += u;
+    }
+    assert.ok(Math.abs(sum / 10000 - 0.5) < 0.01, `mean ${sum / 10000}`);
+  });
+});
+
+describe('randomInt / shuffle', () => {
+  it('randomInt stays in range', () => {
+    const random = seededRandom(5);
+    for (let i = 0; i < 100; i++) {
+      const k = randomInt(random, 7);
+      assert.ok(Number.isInteger(k) && k >= 0 && k < 7);
+    }
+  });
+
+  it('shuffle permutes in place', () => {
+    const array = Array.from({ length: 20 }, (_, i) => i);
+    const out = shuffle(array, seededRandom(9));
+    assert.strictEqual(out, array);
+    assert.deepStrictEqual([...array].sort((x, y) => x - y), Array.from({ length: 20 }, (_, i) => i));
+    assert.notDeepStrictEqual(array, Array.from({ length: 20 }, (_, i) => i));
+  });
+});
+
+describe('gaussian', () => {
+  it('has zero mean and unit variance', () => {
+    const random = seededRandom(13);
+    const n = 20000;
+    let sum = 0;
+    let sq = 0;
+    for (let i = 0; i < n; i++) {
+      const x = gaussian(random);
+      sum += x;
+      sq += x * x;
+    }
+    assert.ok(Math.abs(sum / n) < 0.03, `mean ${sum / n}`);
+    assert.ok(Math.abs(sq / n - 1) < 0.05, `variance ${sq / n}`);
+  });
+});
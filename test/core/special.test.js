@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  besselI0e, logBinghamConstant, logKentConstant, logGamma, gammaP, chiSquareSf,
+  betaI, fSf,
+} from '../../src/core/special.js';
+
+function assertClose(a, b, msg, tol = 1e-9) {
+  assert.ok(Math.abs(a - b) < tol, `${msg}: ${a} ≈ ${b} (diff ${Math.abs(a - b)})`);
+}
+
+/** Brute-force midpoint rule over colatitude and azimuth. */
+function numericLogC(k, N = 400) {
+  let s = 0;
+  for (let i = 0; i < N; i++) {
+    const th = (i + 0.5) * Math.PI / N;
+    const st = Math.sin(th);
+    const ct = Math.cos(th);
+    for (let j = 0; j < N; j++) {
+      const ph = (j + 0.5) * 2 * Math.PI / N;
+      const x = st * Math.cos(ph);
+      const y = st * Math.sin(ph);
+      s += Math.exp(k[0] * x * x + k[1] * y * y + k[2] * ct * ct) * st;
+    }
+  }
+  return Math.log(s * (Math.PI / N) * (2 * Math.PI / N));
+}
+
+describe('besselI0e', () => {
+  it('matches reference values of I₀', () => {
+    assertClose(besselI0e(0), 1, 'I0(0)');
+    assertClose(besselI0e(1) * Math.exp(1), 1.2660658777520082, 'I0(1)', 1e-14);
+    assertClose(besselI0e(20) * Math.exp(20) / 4.355828255955353e7, 1, 'I0(20)', 1e-13);
+    assertClose(besselI0e(-3), besselI0e(3), 'even');
+  });
+
+  it('is continuous where the series hands over to the expansion', () => {
+    assertClose(besselI0e(15 - 1e-9), besselI0e(15), 'at 15', 1e-10);
+  });
+});
+
+describe('logBinghamConstant', () => {
+  it('is log 4π for the uniform distribution', () => {
+    assertClose(logBinghamConstant([0, 0, 0]), Math.log(4 * Math.PI), 'uniform', 1e-12);
+  });
+
+  it('matches direct integration over the sphere', () => {
+    for (const k of [[0, -1, -2], [0, -5, -5], [0, -2, -20], [3, 1, -2]]) {
+      assertClose(logBinghamConstant(k), numericLogC(k), `κ = ${k}`, 1e-4);
+    }
+  });
+
+  it('shifts by the common offset and ignores order', () => {
+    assertClose(logBinghamConstant([2, -3, -8]), 2 + logBinghamConstant([0, -5, -10]), 'shift');
+    assertClose(logBinghamConstant([-8, 2, -3]), logBinghamConstant([2, -3, -8]), 'order');
+  });
+
+  it('approaches 2π / √(κ₂κ₃) for strong concentration', () => {
+    assertClose(logBinghamConstant([0, -1e4, -4e4]), Math.log(2 * Math.PI / 2e4), 'large κ', 1e-3);
+  });
+});
+
+describe('logKentConstant', () => {
+  it('reduces to the Fisher constant 4π sinh κ / κ for β = 0', () => {
+    assertClose(logKentConstant(0, 0), Math.log(4 * Math.PI), 'uniform', 1e-12);
+    assertClose(logKentConstant(10, 0), Math.log(4 * Math.PI * Math.sinh(10) / 10), 'κ = 10');
+    assertClose(logKentConstant(500, 0), 500 + Math.log(2 * Math.PI / 500), 'κ = 500');
+  });
+
+  it('matches direct integration over the sphere', () => {
+    // x₁ is the polar axis: exp(κ cos θ + β sin²θ cos 2φ)
+    const N = 400;
+    for (const [k, b] of [[5, 2], [20, 8], [3, 4]]) {
+      let s = 0;
+      for (let i = 0; i < N; i++) {
+        const th = (i + 0.5) * Math.PI / N;
+        for (let j = 0; j < N; j++) {
+          const ph = (j + 0.5) * 2 * Math.PI / N;
+          s += Math.exp(k * Math.cos(th) + b * Math.sin(th) ** 2 * Math.cos(2 * ph)) * Math.sin(th);
+        }
+      }
+      assertClose(logKentConstant(k, b), Math.log(s * (Math.PI / N) * (2 * Math.PI / N)), `κ = ${k}, β = ${b}`, 1e-4);
+    }
+  });
+});
+
+describe('logGamma / gammaP / chiSquareSf', () => {
+  it('logGamma matches factorials and Γ(½)', () => {
+    assertClose(logGamma(5), Math.log(24), 'Γ(5)', 1e-12);
+    assertClose(logGamma(0.5), 0.5 * Math.log(Math.PI), 'Γ(½)', 1e-12);
+    assertClose(logGamma(101), 363.73937555556347, 'Γ(101)', 1e-9);
+  });
+
+  it('gammaP matches closed forms', () => {
+    assertClose(gammaP(1, 2), 1 - Math.exp(-2), 'P(1, 2)', 1e-14);
+    assertClose(gammaP(2, 1), 1 - 2 * Math.exp(-1), 'P(2, 1)', 1e-14);
+    assertClose(gammaP(3, 10), 1 - Math.exp(-10) * (1 + 10 + 50), 'P(3, 10)', 1e-14);
+  });
+
+  it('chiSquareSf gives the tabulated 5 % points', () => {
+    assertClose(chiSquareSf(3.841459, 1), 0.05, 'χ²₁', 1e-7);
+    assertClose(chiSquareSf(7.814728, 3), 0.05, 'χ²₃', 1e-7);
+    assertClose(chiSquareSf(11.070498, 5), 0.05, 'χ²₅', 1e-7);
+    assert.ok(chiSquareSf(200, 3) > 0, 'far tail keeps relative precision');
+  });
+});
+
+describe('betaI / fSf', () => {
+  it('betaI matches closed forms', () => {
+    assertClose(betaI(0.3, 1, 1), 0.3, 'uniform', 1e-14);
+    assertClose(betaI(0.3, 2, 3), 1 - 0.7 ** 4 - 4 * 0.3 * 0.7 ** 3, 'I(2, 3)', 1e-13);
+    assertClose(betaI(0.8, 5, 0.5) + betaI(0.2, 0.5, 5), 1, 'symmetry', 1e-13);
+    assert.strictEqual(betaI(0, 2, 2), 0);
+    assert.strictEqual(betaI(1, 2, 2), 1);
+  });
+
+  it('fSf gives the tabulated 5 % points', () => {
+    assertClose(fSf(3.8853, 2, 12), 0.05, 'F(2, 12)', 1e-5);
+    assertClose(fSf(2.8661, 4, 20), 0.05, 'F(4, 20)', 1e-5);
+    assertClose(fSf(2.3359, 6, 40), 0.05, 'F(6, 40)', 1e-5);
+    assert.strictEqual(fSf(0, 2, 10), 1);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { unpackWeighted, effectiveSize } from '../../src/core/weights.js';
+
+const dcos = [[0, 0, -1], [1, 0, 0], [0, 1, 0]];
+
+describe('unpackWeighted', () => {
+  it('passes unweighted data through', () => {
+    const out = unpackWeighted(dcos);
+    assert.strictEqual(out.dcos, dcos);
+    assert.strictEqual(out.weights, null);
+  });
+
+  it('takes a weights array or { dcos, weight } records', () => {
+    assert.deepStrictEqual(unpackWeighted(dcos, [1, 2, 3]).weights, [1, 2, 3]);
+    const records = [{ dcos: dcos[0], weight: 2 }, { dcos: dcos[1] }];
+    assert.deepStrictEqual(unpackWeighted(records), { dcos: dcos.slice(0, 2), weights: [2, 1] });
+  });
+
+  it('validates the weights', () => {
+    assert.throws(() => unpackWeighted(dcos, [1, 2]), /one entry per direction/);
+    assert.throws(() => unpackWeighted(dcos, [1, NaN, 1]), /finite and non-negative/);
+    assert.throws(() => unpackWeighted(dcos, [1, -1, 1]), /finite and non-negative/);
+  });
+});
+
+describe('effectiveSize', () => {
+  it('is n for equal weights and smaller otherwise', () => {
+    assert.strictEqual(effectiveSize(null, 7), 7);
+    assert.strictEqual(effectiveSize([2, 2, 2, 2], 4), 4);
+    assert.strictEqual(effectiveSize([1, 1, 0, 0], 4), 2);
+    assert.ok(Math.abs(effectiveSize([3, 1], 2) - 1.6) < 1e-12);
+    assert.strictEqual(effectiveSize([0, 0], 2), 0);
+  });
+});
@@ -54,4 +54,19 @@ describe('equal-angle projection', () => {
     // Both should have same magnitude (symmetry)
     approx(Math.abs(px1), Math.abs(py2));
   });
+
+  it('upper hemisphere view round-trips upward directions', () => {
+    const d = [0.3, 0.4, Math.sqrt(0.75)];
+    const [px, py] = project(d, 'upper');
+    assert.ok(px > 0 && py > 0);
+    const back = inverse(px, py, 'upper');
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('both view keeps the azimuth of upward directions', () => {
+    const [px1, py1] = project([0.6, 0, 0.8], 'both');
+    const [px2, py2] = project([0.6, 0, -0.8], 'both');
+    approx(px1, px2);
+    approx(py1, py2);
+  });
 });
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { project, inverse } from '../../src/projections/equal-area.js';
+import { project, inverse, radius, fullRadius } from '../../src/projections/equal-area.js';
 
 const EPSILON = 1e-10;
 
@@ -55,4 +55,38 @@ describe('equal-area projection', () => {
     const [, py2] = project([0, r, z]);
     approx(Math.abs(px1), Math.abs(py2));
   });
+
+  it('exposes primitive and full-sphere radii', () => {
+    approx(radius, Math.SQRT2);
+    approx(fullRadius, 2);
+  });
+
+  it('upper hemisphere view plots upward directions at their azimuth', () => {
+    const [px, py] = project([0.6, 0, 0.8], 'upper');
+    assert.ok(px > 0);
+    approx(py, 0);
+    const back = inverse(px, py, 'upper');
+    approx(back[0], 0.6);
+    approx(back[2], 0.8);
+  });
+
+  it('full-sphere view maps the horizon to √2 and the zenith to the rim', () => {
+    const [hx, hy] = project([1, 0, 0], 'full');
+    approx(Math.hypot(hx, hy), Math.SQRT2);
+    const [ux, uy] = project([Math.sin(0.01), 0, Math.cos(0.01)], 'full');
+    assert.ok(Math.hypot(ux, uy) > 1.99);
+    assert.ok(ux > 0, 'keeps azimuth');
+  });
+
+  it('full-sphere round-trip for upper hemisphere points', () => {
+    const d = [0.3, -0.4, Math.sqrt(1 - 0.25)];
+    const [px, py] = project(d, 'full');
+    const back = inverse(px, py, 'full');
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('full-sphere inverse returns null only outside radius 2', () => {
+    assert.ok(inverse(1.9, 0, 'full'));
+    assert.strictEqual(inverse(2.1, 0, 'full'), null);
+  });
 });
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { project, inverse, radius, fullRadius } from '../../src/projections/equidistant.js';
+
+const EPSILON = 1e-10;
+const DEG = Math.PI / 180;
+
+function approx(a, b, msg) {
+  assert.ok(Math.abs(a - b) < EPSILON, msg || `${a} ≈ ${b}`);
+}
+
+describe('equidistant projection', () => {
+  it('nadir projects to origin, horizon to π/2', () => {
+    const [px, py] = project([0, 0, -1]);
+    approx(px, 0);
+    approx(py, 0);
+    const [ex, ey] = project([1, 0, 0]);
+    approx(Math.hypot(ex, ey), radius);
+  });
+
+  it('radial distance equals angle from nadir', () => {
+    const theta = 35 * DEG;
+    const [, py] = project([0, Math.sin(theta), -Math.cos(theta)]);
+    approx(py, theta);
+  });
+
+  it('round-trip for lower hemisphere', () => {
+    const d = [0.4, -0.1, -Math.sqrt(1 - 0.16 - 0.01)];
+    const back = inverse(...project(d));
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('full-sphere view round-trips upper hemisphere points', () => {
+    const d = [0.4, -0.1, Math.sqrt(1 - 0.16 - 0.01)];
+    const [px, py] = project(d, 'full');
+    assert.ok(Math.hypot(px, py) > radius);
+    const back = inverse(px, py, 'full');
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('inverse returns null outside the net', () => {
+    assert.strictEqual(inverse(2, 0), null);
+    assert.ok(inverse(2, 0, 'full'));
+    assert.strictEqual(inverse(fullRadius + 0.1, 0, 'full'), null);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { project, inverse, radius, MAX_ANGLE } from '../../src/projections/gnomonic.js';
+import { greatCircle } from '../../src/core/curves.js';
+import { planeToDcos } from '../../src/core/conversions.js';
+
+const EPSILON = 1e-9;
+const DEG = Math.PI / 180;
+
+function approx(a, b, msg) {
+  assert.ok(Math.abs(a - b) < EPSILON, msg || `${a} ≈ ${b}`);
+}
+
+describe('gnomonic projection', () => {
+  it('nadir projects to origin', () => {
+    const [px, py] = project([0, 0, -1]);
+    approx(px, 0);
+    approx(py, 0);
+  });
+
+  it('distance from center is tan of the angle from nadir', () => {
+    const theta = 40 * DEG;
+    const [px] = project([Math.sin(theta), 0, -Math.cos(theta)]);
+    approx(px, Math.tan(theta));
+  });
+
+  it('primitive radius corresponds to MAX_ANGLE', () => {
+    approx(radius, Math.tan(MAX_ANGLE * DEG));
+  });
+
+  it('great circles project to straight lines', () => {
+    const pts = greatCircle(planeToDcos(60, 40), 90)
+      .filter(p => p[2] < -0.3)
+      .map(p => project(p));
+    const [a, b] = [pts[0], pts[pts.length - 1]];
+    for (const p of pts) {
+      const cross = (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+      assert.ok(Math.abs(cross) < 1e-9, `collinear: ${cross}`);
+    }
+  });
+
+  it('horizontal directions stay finite', () => {
+    const [px, py] = project([1, 0, 0]);
+    assert.ok(Number.isFinite(px) && Number.isFinite(py));
+    assert.ok(px > radius);
+  });
+
+  it('round-trip inside the net', () => {
+    const d = [0.3, -0.2, -Math.sqrt(1 - 0.09 - 0.04)];
+    const back = inverse(...project(d));
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('inverse returns null outside the net', () => {
+    assert.strictEqual(inverse(radius + 0.1, 0), null);
+  });
+});
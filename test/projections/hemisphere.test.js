@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fold, unfold, HEMISPHERES } from '../../src/projections/hemisphere.js';
+
+describe('hemisphere', () => {
+  it('lists the supported modes', () => {
+    assert.deepStrictEqual(HEMISPHERES, ['lower', 'upper', 'both', 'full']);
+  });
+
+  it('lower: upper directions are replaced by their antipode', () => {
+    assert.deepStrictEqual(fold([0.6, 0, 0.8], 'lower'), [-0.6, -0, -0.8]);
+    assert.deepStrictEqual(fold([0.6, 0, -0.8], 'lower'), [0.6, 0, -0.8]);
+  });
+
+  it('upper: directions keep their azimuth, lower ones use the antipode', () => {
+    assert.deepStrictEqual(fold([0.6, 0, 0.8], 'upper'), [0.6, 0, -0.8]);
+    assert.deepStrictEqual(fold([0.6, 0, -0.8], 'upper'), [-0.6, -0, -0.8]);
+  });
+
+  it('both: every direction plots at its own azimuth', () => {
+    assert.deepStrictEqual(fold([0.6, 0, 0.8], 'both'), [0.6, 0, -0.8]);
+    assert.deepStrictEqual(fold([0.6, 0, -0.8], 'both'), [0.6, 0, -0.8]);
+  });
+
+  it('full: nothing is folded', () => {
+    assert.deepStrictEqual(fold([0.6, 0, 0.8], 'full'), [0.6, 0, 0.8]);
+  });
+
+  it('unfold maps the lower frame back to the upper hemisphere', () => {
+    assert.deepStrictEqual(unfold([0.6, 0, -0.8], 'upper'), [0.6, 0, 0.8]);
+    assert.deepStrictEqual(unfold([0.6, 0, -0.8], 'lower'), [0.6, 0, -0.8]);
+  });
+});
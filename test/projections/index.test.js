@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getProjection, registerProjection, projectionNames, projectCurve,
+} from '../../src/projections/index.js';
+import * as equalArea from '../../src/projections/equal-area.js';
+import * as equalAngle from '../../src/projections/equal-angle.js';
+import { greatCircle } from '../../src/core/curves.js';
+
+describe('projection registry', () => {
+  it('resolves built-in names and aliases', () => {
+    assert.strictEqual(getProjection('equal-area'), equalArea);
+    assert.strictEqual(getProjection('schmidt'), equalArea);
+    assert.strictEqual(getProjection('wulff'), equalAngle);
+    for (const name of ['orthographic', 'gnomonic', 'equidistant']) {
+      assert.strictEqual(getProjection(name).name, name);
+    }
+  });
+
+  it('passes projection objects through', () => {
+    const custom = { name: 'custom', radius: 1, project: d => [d[0], d[1]], inverse: () => null };
+    assert.strictEqual(getProjection(custom), custom);
+  });
+
+  it('rejects unknown names and incomplete objects', () => {
+    assert.throws(() => getProjection('mercator'), /Unknown projection/);
+    assert.throws(() => getProjection({ radius: 1 }), /project\(\)/);
+  });
+
+  it('registerProjection adds a named projection', () => {
+    const custom = { name: 'flat', radius: 1, project: d => [d[0], d[1]], inverse: () => null };
+    registerProjection('flat', custom);
+    assert.strictEqual(getProjection('flat'), custom);
+    assert.ok(projectionNames().includes('flat'));
+  });
+});
+
+describe('projectCurve', () => {
+  it('clips to the lower hemisphere and projects', () => {
+    const segs = projectCurve(greatCircle([1, 0, 0], 72), 'equal-area');
+    assert.ok(segs.length >= 1);
+    for (const seg of segs) {
+      for (const [px, py] of seg) assert.ok(Math.hypot(px, py) <= Math.SQRT2 + 1e-9);
+    }
+  });
+
+  it('clip option selects the upper part', () => {
+    const lower = projectCurve(greatCircle([1, 0, 0], 72), 'equal-area', { hemisphere: 'both' });
+    const upper = projectCurve(greatCircle([1, 0, 0], 72), 'equal-area', { hemisphere: 'both', clip: 'upper' });
+    assert.ok(lower.length > 0 && upper.length > 0);
+  });
+
+  it('full-sphere view splits curves crossing the zenith', () => {
+    // vertical great circle through the zenith
+    const segs = projectCurve(greatCircle([1, 0, 0], 360), 'equal-area', { hemisphere: 'full' });
+    assert.ok(segs.length >= 2);
+    for (const seg of segs) {
+      for (let i = 1; i < seg.length; i++) {
+        const d = Math.hypot(seg[i][0] - seg[i - 1][0], seg[i][1] - seg[i - 1][1]);
+        assert.ok(d <= 2, `jump of ${d}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { project, inverse, radius } from '../../src/projections/orthographic.js';
+
+const EPSILON = 1e-10;
+
+function approx(a, b, msg) {
+  assert.ok(Math.abs(a - b) < EPSILON, msg || `${a} ≈ ${b}`);
+}
+
+describe('orthographic projection', () => {
+  it('nadir projects to origin, horizon to the unit circle', () => {
+    const [px, py] = project([0, 0, -1]);
+    approx(px, 0);
+    approx(py, 0);
+    const [ex, ey] = project([0, 1, 0]);
+    approx(Math.hypot(ex, ey), radius);
+  });
+
+  it('projects by dropping z', () => {
+    const [px, py] = project([0.3, -0.4, -Math.sqrt(0.75)]);
+    approx(px, 0.3);
+    approx(py, -0.4);
+  });
+
+  it('round-trip for lower hemisphere', () => {
+    const d = [0.2, 0.5, -Math.sqrt(1 - 0.04 - 0.25)];
+    const back = inverse(...project(d));
+    for (let i = 0; i < 3; i++) approx(back[i], d[i]);
+  });
+
+  it('upper hemisphere flips to lower', () => {
+    const [px, py] = project([0.3, 0.4, Math.sqrt(0.75)]);
+    approx(px, -0.3);
+    approx(py, -0.4);
+  });
+
+  it('inverse returns null outside circle', () => {
+    assert.strictEqual(inverse(1.1, 0), null);
+  });
+});
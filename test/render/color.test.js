@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, formatColor } from '../../src/render/color.js';
+
+describe('parseColor / formatColor', () => {
+  it('parses short and long hex and rgb()', () => {
+    assert.deepStrictEqual(parseColor('#f80'), [255, 136, 0]);
+    assert.deepStrictEqual(parseColor('#FF8800'), [255, 136, 0]);
+    assert.deepStrictEqual(parseColor('rgb(1, 2, 3)'), [1, 2, 3]);
+  });
+
+  it('rejects unsupported colours', () => {
+    assert.throws(() => parseColor('tomato'), /Cannot parse colour/);
+  });
+
+  it('formats rounded, clamped hex', () => {
+    assert.strictEqual(formatColor([255, 136.4, 0]), '#ff8800');
+    assert.strictEqual(formatColor([300, -5, 15]), '#ff000f');
+  });
+});
+
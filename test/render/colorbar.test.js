@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutColorbar } from '../../src/render/colorbar.js';
+import { defaults } from '../../src/render/style.js';
+
+const style = defaults.colorbar;
+const texts = elements => elements.filter(e => e.text !== undefined).map(e => e.text);
+const fills = elements => elements.filter(e => e.tag === 'rect' && e.attrs.fill !== 'none');
+
+describe('layoutColorbar', () => {
+  it('discrete: one block per level, ticks labelled with the levels', () => {
+    const { elements } = layoutColorbar({
+      levels: [2, 4, 6], colors: ['#111111', '#222222', '#333333'], length: 90, title: 'Density (MUD)',
+    }, style);
+    assert.deepStrictEqual(fills(elements).map(e => e.attrs.fill), ['#111111', '#222222', '#333333']);
+    assert.deepStrictEqual(texts(elements), ['2', '4', '6', 'Density (MUD)']);
+    for (const block of fills(elements)) assert.ok(Math.abs(block.attrs.height - 30) < 1e-9);
+  });
+
+  it('vertical bars increase upwards', () => {
+    const { elements } = layoutColorbar({ levels: [1, 2], colors: ['#000', '#fff'], length: 100 }, style);
+    const [low, high] = fills(elements);
+    assert.ok(high.attrs.y < low.attrs.y);
+  });
+
+  it('continuous: slices from colorAt and ticks at proportional positions', () => {
+    const seen = [];
+    const { elements } = layoutColorbar({
+      levels: [0, 1, 4], mode: 'continuous', orientation: 'horizontal', length: 100,
+      colorAt: t => { seen.push(t); return '#abcdef'; },
+    }, style);
+    assert.ok(seen.length > 10 && seen.every(t => t > 0 && t < 1));
+    const ticks = elements.filter(e => e.tag === 'line').map(e => e.attrs.x1 - style.padding);
+    assert.deepStrictEqual(ticks, [0, 25, 100]);
+  });
+
+  it('size includes labels and title', () => {
+    const short = layoutColorbar({ levels: [1], colors: ['#000'], length: 50 }, style);
+    const long = layoutColorbar({ levels: [1000.5], colors: ['#000'], length: 50 }, style);
+    assert.ok(long.width > short.width);
+    const titled = layoutColorbar({ levels: [1], colors: ['#000'], length: 50, title: 'T' }, style);
+    assert.ok(titled.height > short.height);
+  });
+
+  it('tick labels are rounded', () => {
+    const { elements } = layoutColorbar({ levels: [1 / 3], colors: ['#000'], length: 50 }, style);
+    assert.deepStrictEqual(texts(elements), ['0.333']);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => layoutColorbar({ levels: [1], mode: 'log', length: 10 }, style), /Unknown colour bar mode/);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Colormap, getColormap, registerColormap, colormapNames, isColormap, colorsFrom,
+} from '../../src/render/colormap.js';
+import { parseColor, rgbToOklab, oklabToRgb } from '../../src/render/color.js';
+
+describe('OKLab conversion', () => {
+  it('round-trips sRGB colours', () => {
+    for (const c of [[0, 0, 0], [255, 255, 255], [255, 0, 0], [12, 200, 99]]) {
+      const back = oklabToRgb(rgbToOklab(c));
+      for (let k = 0; k < 3; k++) assert.ok(Math.abs(back[k] - c[k]) < 1e-3);
+    }
+  });
+
+  it('white has lightness 1 and no chroma', () => {
+    const [L, a, b] = rgbToOklab([255, 255, 255]);
+    assert.ok(Math.abs(L - 1) < 1e-4 && Math.abs(a) < 1e-4 && Math.abs(b) < 1e-4);
+  });
+});
+
+describe('Colormap', () => {
+  it('returns the end stops at 0 and 1 and clamps t', () => {
+    const map = getColormap('viridis');
+    assert.strictEqual(map.at(0), '#440154');
+    assert.strictEqual(map.at(1), '#fde725');
+    assert.strictEqual(map.at(-3), '#440154');
+    assert.strictEqual(map.at(7), '#fde725');
+  });
+
+  it('interpolates in OKLab: lightness changes evenly', () => {
+    const map = new Colormap(['#000000', '#ffffff']);
+    const L = t => rgbToOklab(parseColor(map.at(t)))[0];
+    assert.ok(Math.abs(L(0.25) - 0.25) < 0.01);
+    assert.ok(Math.abs(L(0.5) - 0.5) < 0.01);
+  });
+
+  it('sample() gives n evenly spaced colours', () => {
+    const map = getColormap('greys');
+    const colors = map.sample(5);
+    assert.strictEqual(colors.length, 5);
+    assert.strictEqual(colors[0], '#ffffff');
+    assert.strictEqual(colors[4], '#000000');
+    assert.deepStrictEqual(map.sample(1), [map.at(0.5)]);
+  });
+
+  it('reversed() and the _r suffix flip a map', () => {
+    const map = getColormap('magma');
+    const rev = getColormap('magma_r');
+    assert.strictEqual(rev.name, 'magma_r');
+    assert.strictEqual(rev.at(0.2), map.at(0.8));
+    assert.strictEqual(map.reversed().reversed().name, 'magma');
+    assert.strictEqual(getColormap({ name: 'magma', reverse: true }).at(0), map.at(1));
+  });
+
+  it('needs at least two stops', () => {
+    assert.throws(() => new Colormap(['#000']), /at least two/);
+  });
+});
+
+describe('getColormap', () => {
+  it('built-in maps include sequential and diverging ramps', () => {
+    for (const name of ['viridis', 'magma', 'cividis', 'greys', 'rdbu', 'coolwarm']) {
+      assert.ok(colormapNames().includes(name));
+      assert.ok(getColormap(name) instanceof Colormap);
+    }
+  });
+
+  it('accepts stops, objects and Colormap instances', () => {
+    const map = getColormap(['#ff0000', '#0000ff']);
+    assert.strictEqual(map.at(1), '#0000ff');
+    assert.strictEqual(getColormap(map), map);
+    assert.strictEqual(getColormap({ stops: ['#000', '#fff'], reverse: true }).at(0), '#ffffff');
+  });
+
+  it('unknown names and bad specs throw', () => {
+    assert.throws(() => getColormap('jet'), /Unknown colormap/);
+    assert.throws(() => getColormap(42), /Colormaps are given by/);
+  });
+
+  it('registerColormap() adds names', () => {
+    registerColormap('test-fire', ['#000000', '#ff0000', '#ffff00']);
+    assert.strictEqual(getColormap('test-fire').at(0.5), '#ff0000');
+    assert.strictEqual(getColormap('test-fire_r').at(0), '#ffff00');
+  });
+});
+
+describe('isColormap / colorsFrom', () => {
+  it('tells colormaps from colour lists', () => {
+    assert.ok(isColormap('viridis'));
+    assert.ok(isColormap('viridis_r'));
+    assert.ok(isColormap({ stops: ['#000', '#fff'] }));
+    assert.ok(!isColormap(['#000', '#fff']));
+    assert.ok(!isColormap('#ff0000'));
+  });
+
+  it('samples colormaps and passes colour lists through', () => {
+    assert.deepStrictEqual(colorsFrom(['#111', '#222'], 5), ['#111', '#222']);
+    assert.deepStrictEqual(colorsFrom('greys', 2), ['#ffffff', '#000000']);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { placeLabels, textBox } from '../../src/render/labels.js';
+
+function overlaps(a, b) {
+  return Math.min(a.x1, b.x1) > Math.max(a.x0, b.x0)
+    && Math.min(a.y1, b.y1) > Math.max(a.y0, b.y0);
+}
+
+describe('textBox', () => {
+  it('scales with text length and font size', () => {
+    const a = textBox('ab', 10);
+    const b = textBox('abcd', 20);
+    assert.ok(Math.abs(b.w - 4 * a.w) < 1e-10);
+    assert.ok(Math.abs(b.h - 2 * a.h) < 1e-10);
+  });
+});
+
+describe('placeLabels', () => {
+  it('places a lone point label beside its anchor without a leader', () => {
+    const [label] = placeLabels([{ text: 'S0', x: 100, y: 100, fontSize: 10, pad: 3 }]);
+    assert.ok(label.x > 100 && label.y < 100); // NE first
+    assert.strictEqual(label.leader, null);
+    assert.strictEqual(label.rotate, 0);
+  });
+
+  it('keeps labels of coincident points apart', () => {
+    const reqs = Array.from({ length: 6 }, (_, i) => ({ text: `L${i}`, x: 100, y: 100, fontSize: 10 }));
+    const placed = placeLabels(reqs, { bounds: { x0: 0, y0: 0, x1: 200, y1: 200 } });
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        assert.ok(!overlaps(placed[i].box, placed[j].box), `${i} overlaps ${j}`);
+      }
+    }
+  });
+
+  it('adds a leader line once the first ring is exhausted', () => {
+    const reqs = Array.from({ length: 9 }, () => ({ text: 'x', x: 50, y: 50, fontSize: 10, pad: 2 }));
+    const placed = placeLabels(reqs);
+    assert.ok(placed.slice(0, 8).every(p => p.leader === null));
+    const [x1, y1] = placed[8].leader;
+    assert.ok(Math.abs(Math.hypot(x1 - 50, y1 - 50) - 2) < 1e-9);
+  });
+
+  it('avoids obstacles', () => {
+    const obstacle = { x0: 100, y0: 0, x1: 200, y1: 100 }; // everything NE of the point
+    const [label] = placeLabels([{ text: 'A', x: 100, y: 100, fontSize: 10 }], { obstacles: [obstacle] });
+    assert.ok(!overlaps(label.box, obstacle));
+  });
+
+  it('stays inside bounds when possible', () => {
+    const bounds = { x0: 0, y0: 0, x1: 100, y1: 100 };
+    const [label] = placeLabels([{ text: 'edge', x: 98, y: 2, fontSize: 10 }], { bounds });
+    assert.ok(label.box.x1 <= 100 && label.box.y0 >= 0);
+  });
+
+  it('rotates curve labels along the tangent, upright', () => {
+    const path = [[100, 0], [0, 100]]; // drawn right-to-left, 135° in SVG
+    const [label] = placeLabels([{ text: 'plane', path, fontSize: 10 }]);
+    assert.ok(Math.abs(label.rotate + 45) < 1e-9);
+    // offset from the midpoint of the curve
+    assert.ok(Math.hypot(label.x - 50, label.y - 50) > 5);
+  });
+});
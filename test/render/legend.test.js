@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutLegend } from '../../src/render/legend.js';
+import { defaults } from '../../src/render/style.js';
+
+const style = defaults.legend;
+
+describe('layoutLegend', () => {
+  it('draws a frame, one swatch and text per entry, and footer lines', () => {
+    const { width, height, elements } = layoutLegend({
+      sections: [{
+        entries: [
+          { label: 'Bedding', swatch: { type: 'marker', marker: 'circle', size: 3, paint: { fill: 'red' } } },
+          { label: 'Faults', swatch: { type: 'line', stroke: 'blue', strokeWidth: 1 } },
+        ],
+      }],
+      footer: ['Equal-area, lower hemisphere', 'N = 2'],
+    }, style);
+    assert.strictEqual(elements[0].tag, 'rect');
+    assert.strictEqual(elements[0].attrs.width, width);
+    assert.strictEqual(elements[0].attrs.height, height);
+    assert.ok(elements.some(e => e.tag === 'circle' && e.attrs.fill === 'red'));
+    assert.ok(elements.some(e => e.tag === 'line' && e.attrs.stroke === 'blue'));
+    const texts = elements.filter(e => e.text !== undefined).map(e => e.text);
+    assert.deepStrictEqual(texts, ['Bedding', 'Faults', 'Equal-area, lower hemisphere', 'N = 2']);
+  });
+
+  it('rows are stacked top to bottom inside the frame', () => {
+    const { height, elements } = layoutLegend({
+      title: 'Legend',
+      sections: [{ title: 'Density', entries: [
+        { label: '2', swatch: { type: 'band', fill: '#eee' } },
+        { label: '4', swatch: { type: 'band', fill: '#999' } },
+      ] }],
+    }, style);
+    const ys = elements.filter(e => e.text !== undefined).map(e => e.attrs.y);
+    assert.strictEqual(ys.length, 4);
+    for (let i = 1; i < ys.length; i++) assert.ok(ys[i] > ys[i - 1]);
+    assert.ok(ys[ys.length - 1] < height);
+    assert.ok(elements.some(e => e.tag === 'rect' && e.attrs.fill === '#999'));
+  });
+
+  it('skips empty sections', () => {
+    const { elements } = layoutLegend({ sections: [{ title: 'Empty', entries: [] }] }, style);
+    assert.strictEqual(elements.filter(e => e.text !== undefined).length, 0);
+  });
+
+  it('wider text gives a wider box', () => {
+    const entry = label => ({ sections: [{ entries: [{ label, swatch: { type: 'line', stroke: '#000' } }] }] });
+    assert.ok(layoutLegend(entry('a much longer label'), style).width > layoutLegend(entry('a'), style).width);
+  });
+
+  it('rejects unknown swatches', () => {
+    assert.throws(
+      () => layoutLegend({ sections: [{ entries: [{ label: 'x', swatch: { type: 'blob' } }] }] }, style),
+      /Unknown legend swatch/,
+    );
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { markerElement, markerPath, markerPaint, markerNames, MARKERS } from '../../src/render/markers.js';
+
+/** Parse absolute "x,y" pairs out of a path d string. */
+function coords(d) {
+  return [...d.matchAll(/(-?[\d.e-]+),(-?[\d.e-]+)/g)].map(m => [+m[1], +m[2]]);
+}
+
+describe('markers', () => {
+  it('circle is drawn as a <circle>', () => {
+    const { tag, attrs } = markerElement('circle', 10, 20, 3, { fill: 'red', stroke: 'none' });
+    assert.strictEqual(tag, 'circle');
+    assert.deepStrictEqual(attrs, { cx: 10, cy: 20, r: 3, fill: 'red', stroke: 'none', 'stroke-width': undefined });
+  });
+
+  it('defaults to circle', () => {
+    assert.strictEqual(markerElement(undefined, 0, 0, 1).tag, 'circle');
+  });
+
+  it('every built-in shape yields a path within its size', () => {
+    for (const name of markerNames.filter(n => MARKERS[n])) {
+      const { tag, attrs } = markerElement(name, 50, 50, 4, { fill: '#000' });
+      assert.strictEqual(tag, 'path', name);
+      for (const [x, y] of coords(attrs.d)) {
+        assert.ok(Math.hypot(x - 50, y - 50) <= 4 * 1.5 + 1e-9, `${name}: ${x},${y}`);
+      }
+    }
+  });
+
+  it('triangle points north by default and rotates clockwise', () => {
+    const up = coords(markerElement('triangle', 0, 0, 1).attrs.d)[0];
+    assert.ok(Math.abs(up[0]) < 1e-12 && Math.abs(up[1] + 1) < 1e-12);
+    const east = coords(markerElement('triangle', 0, 0, 1, { angle: 90 }).attrs.d)[0];
+    assert.ok(Math.abs(east[0] - 1) < 1e-12 && Math.abs(east[1]) < 1e-12);
+  });
+
+  it('stroke-only shapes use the fill colour as stroke', () => {
+    const { attrs } = markerElement('cross', 0, 0, 3, { fill: 'blue', stroke: 'none' });
+    assert.strictEqual(attrs.fill, 'none');
+    assert.strictEqual(attrs.stroke, 'blue');
+  });
+
+  it('custom path strings are placed with a transform', () => {
+    const { tag, attrs } = markerElement('M0,-1L1,1L-1,1Z', 5, 6, 2, { fill: 'green', angle: 30 });
+    assert.strictEqual(tag, 'path');
+    assert.strictEqual(attrs.d, 'M0,-1L1,1L-1,1Z');
+    assert.strictEqual(attrs.transform, 'translate(5,6) rotate(30) scale(2)');
+    assert.strictEqual(attrs['vector-effect'], 'non-scaling-stroke');
+  });
+
+  it('custom marker objects may be stroke-only', () => {
+    const { attrs } = markerElement({ path: 'M0,0L0,-1', stroked: true }, 0, 0, 4, { fill: 'red' });
+    assert.strictEqual(attrs.fill, 'none');
+    assert.strictEqual(attrs.stroke, 'red');
+  });
+
+  it('unknown names throw', () => {
+    assert.throws(() => markerElement('hexagon', 0, 0, 1), /Unknown marker/);
+  });
+});
+
+describe('markerPath', () => {
+  it('built-in shapes give the same path as markerElement', () => {
+    const d = markerPath('star', 10, 20, 3, 45);
+    assert.strictEqual(d, markerElement('star', 10, 20, 3, { angle: 45 }).attrs.d);
+  });
+
+  it('circles are drawn as two arcs around the center', () => {
+    const d = markerPath('circle', 10, 20, 3);
+    assert.ok(d.startsWith('M7,20a3,3 0 1,0 6,0'));
+    assert.ok(d.endsWith('Z'));
+  });
+
+  it('paths concatenate into one multi-symbol path', () => {
+    const d = markerPath('square', 0, 0, 1) + markerPath('square', 5, 5, 1);
+    assert.strictEqual((d.match(/M/g) || []).length, 2);
+  });
+
+  it('custom markers return null, unknown names throw', () => {
+    assert.strictEqual(markerPath('M0,0L1,1', 0, 0, 1), null);
+    assert.strictEqual(markerPath({ path: 'M0,0L1,1' }, 0, 0, 1), null);
+    assert.throws(() => markerPath('hexagon', 0, 0, 1), /Unknown marker/);
+  });
+});
+
+describe('markerPaint', () => {
+  it('filled shapes keep fill and stroke', () => {
+    assert.deepStrictEqual(markerPaint('circle', { fill: 'red', stroke: 'none', strokeWidth: 1 }),
+      { fill: 'red', stroke: 'none', 'stroke-width': 1 });
+  });
+
+  it('stroke-only shapes are stroked in the fill colour', () => {
+    const paint = markerPaint('x', { fill: 'blue', stroke: 'none' });
+    assert.strictEqual(paint.fill, 'none');
+    assert.strictEqual(paint.stroke, 'blue');
+  });
+});
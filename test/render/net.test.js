@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { generateNet, cardinalPoints } from '../../src/render/net.js';
+import { generateNet, projectedNet, cardinalPoints } from '../../src/render/net.js';
 
 describe('net', () => {
   describe('polar', () => {
@@ -64,4 +64,21 @@ describe('net', () => {
     // E is right of center
     assert.ok(pts[1].x > 250);
   });
+
+  describe('projectedNet', () => {
+    it('returns projected 2D polylines inside the primitive', () => {
+      const { greatCircles, smallCircles } = projectedNet({ projection: 'equal-angle' });
+      assert.ok(greatCircles.length > 0 && smallCircles.length > 0);
+      for (const line of [...greatCircles, ...smallCircles]) {
+        assert.ok(line.length > 1);
+        for (const [px, py] of line) assert.ok(Math.hypot(px, py) <= 1 + 1e-9);
+      }
+    });
+
+    it('accepts a projection object', () => {
+      const ortho = { radius: 1, project: d => [d[0], d[1]], inverse: () => null };
+      const { greatCircles } = projectedNet({ projection: ortho, type: 'polar' });
+      assert.ok(greatCircles.length > 0);
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { placePanels } from '../../src/render/panels.js';
+
+describe('placePanels', () => {
+  const box = { width: 100, height: 60 };
+  const at = position => ({ ...box, position });
+
+  it('no panels leaves the plot alone', () => {
+    assert.deepStrictEqual(placePanels(500, [], 10), { width: 500, height: 500, plot: [0, 0], panels: [] });
+  });
+
+  it('right: canvas grows horizontally, plot stays put', () => {
+    const f = placePanels(500, [at('right')], 10);
+    assert.deepStrictEqual([f.width, f.height], [610, 500]);
+    assert.deepStrictEqual(f.plot, [0, 0]);
+    assert.deepStrictEqual(f.panels, [[500, 220]]);
+  });
+
+  it('left: plot is shifted right', () => {
+    const f = placePanels(500, [at('left')], 10);
+    assert.deepStrictEqual(f.plot, [110, 0]);
+    assert.deepStrictEqual(f.panels, [[10, 220]]);
+  });
+
+  it('top and bottom grow the canvas vertically', () => {
+    const top = placePanels(500, [at('top')], 10);
+    assert.deepStrictEqual([top.width, top.height], [500, 570]);
+    assert.deepStrictEqual(top.plot, [0, 70]);
+    assert.deepStrictEqual(top.panels, [[200, 10]]);
+    const bottom = placePanels(500, [at('bottom')], 10);
+    assert.deepStrictEqual(bottom.panels, [[200, 500]]);
+  });
+
+  it('panels on the same side stack outwards', () => {
+    const f = placePanels(500, [at('right'), { width: 40, height: 300, position: 'right' }], 10);
+    assert.strictEqual(f.width, 500 + 110 + 50);
+    assert.deepStrictEqual(f.panels, [[500, 220], [610, 100]]);
+    const g = placePanels(500, [at('left'), { width: 40, height: 300, position: 'left' }], 10);
+    assert.deepStrictEqual(g.plot, [160, 0]);
+    assert.deepStrictEqual(g.panels, [[60, 220], [10, 100]]);
+  });
+
+  it('panels on different sides combine', () => {
+    const f = placePanels(500, [at('left'), at('bottom')], 10);
+    assert.deepStrictEqual([f.width, f.height], [610, 570]);
+    assert.deepStrictEqual(f.plot, [110, 0]);
+    assert.deepStrictEqual(f.panels, [[10, 220], [310, 500]]);
+  });
+
+  it('tall panels enlarge the canvas and centre the plot', () => {
+    const f = placePanels(200, [{ width: 50, height: 400, position: 'right' }], 10);
+    assert.strictEqual(f.height, 420);
+    assert.deepStrictEqual(f.plot, [0, 110]);
+    assert.deepStrictEqual(f.panels, [[200, 10]]);
+  });
+
+  it('rejects unknown positions', () => {
+    assert.throws(() => placePanels(500, [at('middle')], 10), /Unknown panel position/);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isScale, isDynamic, scaleDomain, evaluateScale, evaluateStyle, scaleEntries,
+} from '../../src/render/scales.js';
+import { getColormap } from '../../src/render/colormap.js';
+
+describe('isScale / isDynamic', () => {
+  it('recognises scale specs and functions', () => {
+    assert.ok(isScale({ field: 'depth', colormap: 'viridis' }));
+    assert.ok(!isScale({ colormap: 'viridis', value: 3 }));
+    assert.ok(!isScale('#ff0000'));
+    assert.ok(isDynamic({ fill: () => '#000' }));
+    assert.ok(isDynamic({ r: { field: 'n', range: [2, 6] } }));
+    assert.ok(!isDynamic({ fill: '#000', r: 3 }));
+  });
+});
+
+describe('evaluateScale', () => {
+  const values = [0, 50, 100];
+
+  it('maps numbers onto a colormap over the domain', () => {
+    const spec = { field: 'depth', colormap: 'viridis' };
+    assert.strictEqual(evaluateScale(spec, 0, values), getColormap('viridis').at(0));
+    assert.strictEqual(evaluateScale(spec, 50, values), getColormap('viridis').at(0.5));
+    assert.strictEqual(evaluateScale({ ...spec, domain: [0, 200] }, 100, values),
+      getColormap('viridis').at(0.5));
+  });
+
+  it('clamps to the domain', () => {
+    const spec = { field: 'depth', range: [2, 6], domain: [0, 10] };
+    assert.strictEqual(evaluateScale(spec, -5, values), 2);
+    assert.strictEqual(evaluateScale(spec, 5, values), 4);
+    assert.strictEqual(evaluateScale(spec, 50, values), 6);
+  });
+
+  it('gives categories evenly spaced colours in order of appearance', () => {
+    const spec = { field: 'set', colormap: ['#000000', '#ffffff'] };
+    const sets = ['J1', 'J2', 'J1', 'S0'];
+    assert.strictEqual(evaluateScale(spec, 'J1', sets), '#000000');
+    assert.strictEqual(evaluateScale(spec, 'S0', sets), '#ffffff');
+  });
+
+  it('looks values up in a map', () => {
+    const spec = { field: 'kind', map: { joint: 'circle', fault: 'square' }, default: 'cross' };
+    assert.strictEqual(evaluateScale(spec, 'fault', []), 'square');
+    assert.strictEqual(evaluateScale(spec, 'vein', []), 'cross');
+  });
+
+  it('missing values give the default', () => {
+    assert.strictEqual(evaluateScale({ field: 'd', colormap: 'viridis', default: '#999' }, undefined, values), '#999');
+    assert.strictEqual(evaluateScale({ field: 'd', range: [1, 2] }, null, values), undefined);
+  });
+
+  it('a scale without colormap, range or map throws', () => {
+    assert.throws(() => evaluateScale({ field: 'd' }, 1, values), /needs a colormap, range or map/);
+  });
+});
+
+describe('scaleDomain', () => {
+  it('is the extent of the numeric values unless given', () => {
+    assert.deepStrictEqual(scaleDomain({ field: 'd' }, [3, 'x', -1, 7]), [-1, 7]);
+    assert.deepStrictEqual(scaleDomain({ field: 'd', domain: [0, 1] }, [3, 7]), [0, 1]);
+    assert.deepStrictEqual(scaleDomain({ field: 'd' }, []), [0, 1]);
+  });
+});
+
+describe('evaluateStyle', () => {
+  it('evaluates functions and scales, leaving other values', () => {
+    const style = {
+      fill: { field: 'depth', colormap: ['#000000', '#ffffff'] },
+      r: (attrs, item) => attrs.n + item.extra,
+      marker: 'circle',
+    };
+    const out = evaluateStyle(style, { depth: 10, n: 2 }, { extra: 1 }, () => [0, 10]);
+    assert.deepStrictEqual(out, { fill: '#ffffff', r: 3, marker: 'circle' });
+    assert.strictEqual(style.r.length, 2);
+  });
+
+  it('undefined results fall back', () => {
+    const out = evaluateStyle({ fill: { field: 'depth', colormap: 'viridis' } }, {}, null,
+      () => [], { fill: '#000000' });
+    assert.strictEqual(out.fill, '#000000');
+  });
+
+  it('returns static styles unchanged', () => {
+    const style = { fill: '#000' };
+    assert.strictEqual(evaluateStyle(style, {}, null, () => []), style);
+  });
+});
+
+describe('scaleEntries', () => {
+  it('samples numeric domains', () => {
+    const entries = scaleEntries({ field: 'd', range: [0, 4] }, [0, 100], 3);
+    assert.deepStrictEqual(entries, [
+      { label: '0', value: 0 }, { label: '50', value: 2 }, { label: '100', value: 4 },
+    ]);
+  });
+
+  it('lists categories and map entries', () => {
+    assert.deepStrictEqual(
+      scaleEntries({ field: 's', colormap: ['#000000', '#ffffff'] }, ['a', 'b', 'a']).map(e => e.label),
+      ['a', 'b']);
+    assert.deepStrictEqual(scaleEntries({ field: 'k', map: { x: 1 } }, []), [{ label: 'x', value: 1 }]);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { deepMerge, resolveStyle, defaults } from '../../src/render/style.js';
+import { deepMerge, resolveStyle, evaluateColormaps, defaults } from '../../src/render/style.js';
+import { getColormap } from '../../src/render/colormap.js';
 
 describe('deepMerge', () => {
   it('merges flat objects', () => {
@@ -134,3 +135,20 @@ describe('resolveStyle', () => {
     }
   });
 });
+
+describe('evaluateColormaps', () => {
+  it('replaces colormap lookups with colours', () => {
+    const style = evaluateColormaps({ r: 3, fill: { colormap: 'viridis', value: 50, domain: [0, 100] } });
+    assert.deepStrictEqual(style, { r: 3, fill: getColormap('viridis').at(0.5) });
+  });
+
+  it('default domain is [0, 1]', () => {
+    const { stroke } = evaluateColormaps({ stroke: { colormap: 'greys', value: 1 } });
+    assert.strictEqual(stroke, '#000000');
+  });
+
+  it('returns the same object when there is nothing to evaluate', () => {
+    const style = { fill: 'red', colormap: 'viridis' };
+    assert.strictEqual(evaluateColormaps(style), style);
+  });
+});
@@ -63,4 +63,23 @@ describe('SvgBuilder', () => {
     const result = builder.circle(0, 0, 5).line(0, 0, 1, 1).text(0, 0, 'hi');
     assert.strictEqual(result, builder);
   });
+
+  it('generic element', () => {
+    const svg = new SvgBuilder(100, 100)
+      .element('path', { d: 'M0,0L1,1', fill: 'red', stroke: undefined })
+      .toString();
+    assert.ok(svg.includes('<path d="M0,0L1,1" fill="red"/>'));
+  });
+
+  it('generic group with attributes', () => {
+    const svg = new SvgBuilder(100, 100)
+      .openGroup({ transform: 'translate(10,0)', class: undefined })
+      .circle(0, 0, 1)
+      .closeGroup()
+      .openGroup()
+      .closeGroup()
+      .toString();
+    assert.ok(svg.includes('<g transform="translate(10,0)">'));
+    assert.ok(svg.includes('<g>'));
+  });
 });
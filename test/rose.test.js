@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoseDiagram, binAzimuths } from '../src/rose.js';
+import { getColormap } from '../src/render/colormap.js';
+
+describe('binAzimuths', () => {
+  it('counts azimuths into bins', () => {
+    const { counts, max, n } = binAzimuths([5, 7, 15, 355], { binWidth: 10 });
+    assert.strictEqual(counts.length, 36);
+    assert.strictEqual(counts[0], 2);
+    assert.strictEqual(counts[1], 1);
+    assert.strictEqual(counts[35], 1);
+    assert.strictEqual(max, 2);
+    assert.strictEqual(n, 4);
+  });
+
+  it('respects start offset', () => {
+    const { counts } = binAzimuths([0, 4, 6], { binWidth: 10, start: 5 });
+    // 0 and 4 fall in the last bin [355, 5), 6 in the first [5, 15)
+    assert.strictEqual(counts[0], 1);
+    assert.strictEqual(counts[35], 2);
+  });
+
+  it('wraps negative and >360 azimuths', () => {
+    const { counts } = binAzimuths([-5, 365], { binWidth: 10 });
+    assert.strictEqual(counts[35], 1);
+    assert.strictEqual(counts[0], 1);
+  });
+
+  it('bidirectional counts the opposite bin too', () => {
+    const { counts } = binAzimuths([30], { binWidth: 30, bidirectional: true });
+    assert.strictEqual(counts[1], 1);
+    assert.strictEqual(counts[7], 1);
+    assert.strictEqual(counts.reduce((a, b) => a + b, 0), 2);
+  });
+
+  it('rejects bin widths that do not divide 360', () => {
+    assert.throws(() => binAzimuths([10], { binWidth: 7 }), /divide 360/);
+  });
+
+  it('empty input gives zero counts', () => {
+    const { counts, max } = binAzimuths([], { binWidth: 45 });
+    assert.strictEqual(counts.length, 8);
+    assert.strictEqual(max, 0);
+  });
+});
+
+describe('RoseDiagram', () => {
+  it('default options', () => {
+    const rose = new RoseDiagram();
+    assert.strictEqual(rose.size, 500);
+    assert.strictEqual(rose.binWidth, 10);
+    assert.strictEqual(rose.bidirectional, false);
+    assert.strictEqual(rose.scale, 'area');
+  });
+
+  it('planes() bins strikes by default (right-hand rule)', () => {
+    const rose = new RoseDiagram({ binWidth: 10 }).planes([[90, 45]]);
+    assert.deepStrictEqual(rose.azimuths, [0]);
+    assert.strictEqual(rose.bins.counts[0], 1);
+  });
+
+  it('planes() can bin dip directions', () => {
+    const rose = new RoseDiagram().planes([[120, 45]], { use: 'dipDirection' });
+    assert.deepStrictEqual(rose.azimuths, [120]);
+  });
+
+  it('lines() bins trends', () => {
+    const rose = new RoseDiagram().lines([[200, 10], [210, 30]]);
+    assert.deepStrictEqual(rose.azimuths, [200, 210]);
+  });
+
+  it('methods chain and clear() empties data', () => {
+    const rose = new RoseDiagram();
+    assert.strictEqual(rose.add([10, 20]).lines([[30, 5]]), rose);
+    assert.strictEqual(rose.azimuths.length, 3);
+    rose.clear();
+    assert.strictEqual(rose.azimuths.length, 0);
+  });
+
+  it('svg() returns a valid SVG string with one petal per non-empty bin', () => {
+    const svg = new RoseDiagram({ size: 200, binWidth: 30 })
+      .add([10, 20, 100])
+      .svg();
+    assert.ok(svg.startsWith('<svg'));
+    assert.ok(svg.endsWith('</svg>'));
+    const petals = (svg.match(/class="bearing-petal"/g) || []).length;
+    assert.strictEqual(petals, 2);
+    assert.ok(svg.includes('>N<'));
+  });
+
+  it('bidirectional rose draws symmetric petals', () => {
+    const svg = new RoseDiagram({ binWidth: 30, bidirectional: true }).add([10]).svg();
+    const petals = (svg.match(/class="bearing-petal"/g) || []).length;
+    assert.strictEqual(petals, 2);
+  });
+
+  it('area scaling uses sqrt, linear scaling is proportional', () => {
+    const area = new RoseDiagram({ scale: 'area' });
+    const linear = new RoseDiagram({ scale: 'linear' });
+    const R = area._radius;
+    assert.ok(Math.abs(area._petalRadius(1, 4) - R / 2) < 1e-10);
+    assert.ok(Math.abs(linear._petalRadius(1, 4) - R / 4) < 1e-10);
+  });
+
+  it('petal style can be overridden', () => {
+    const svg = new RoseDiagram({ style: { petal: { fill: 'tomato' } } }).add([45]).svg();
+    assert.ok(svg.includes('fill="tomato"'));
+  });
+
+  it('classPrefix: null disables classes', () => {
+    const svg = new RoseDiagram({ classPrefix: null }).add([45]).svg();
+    assert.ok(!svg.includes('class='));
+  });
+
+  it('render() is no-op without element()', () => {
+    const rose = new RoseDiagram().add([10]);
+    assert.strictEqual(rose.render(), rose);
+  });
+
+  it('petal colormap colours petals by count', () => {
+    const svg = new RoseDiagram({ binWidth: 30, style: { petal: { colormap: 'greys' } } })
+      .add([10, 10, 100])
+      .svg();
+    assert.ok(svg.includes('fill="#000000"')); // fullest petal
+    assert.ok(svg.includes(`fill="${getColormap('greys').at(0.5)}"`));
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  uniformSample, fisherSample, binghamSample, watsonSample, kentSample,
+} from '../src/sampling.js';
+import {
+  fisherStats, principalAxes, binghamFit, kentFit, watsonFit, rayleighTest,
+} from '../src/statistics.js';
+import { seededRandom } from '../src/core/random.js';
+import { lineToDcos } from '../src/core/conversions.js';
+import * as vec3 from '../src/core/vec3.js';
+
+const DEG = 180 / Math.PI;
+
+// Angle between axes, degrees
+const axisAngle = (a, b) => Math.acos(Math.min(1, Math.abs(vec3.dot(a, b)))) * DEG;
+
+const unit = d => Math.abs(vec3.length(d) - 1) < 1e-12;
+
+describe('sampling options', () => {
+  it('same seed → same draws; shared generator → independent draws', () => {
+    assert.deepStrictEqual(uniformSample(5, { seed: 1 }), uniformSample(5, { seed: 1 }));
+    assert.notDeepStrictEqual(uniformSample(5, { seed: 1 }), uniformSample(5, { seed: 2 }));
+    const random = seededRandom(1);
+    const first = fisherSample(5, { mean: [0, 0, -1], kappa: 10 }, { random });
+    const second = fisherSample(5, { mean: [0, 0, -1], kappa: 10 }, { random });
+    assert.notDeepStrictEqual(first, second);
+  });
+
+  it('lower folds into the lower hemisphere', () => {
+    const dcos = uniformSample(100, { seed: 3, lower: true });
+    assert.ok(dcos.every(d => d[2] <= 0 && unit(d)));
+    assert.ok(uniformSample(100, { seed: 3 }).some(d => d[2] > 0));
+  });
+});
+
+describe('uniformSample', () => {
+  it('is uniform on the sphere', () => {
+    const dcos = uniformSample(500, { seed: 4 });
+    assert.strictEqual(dcos.length, 500);
+    assert.ok(dcos.every(unit));
+    assert.ok(!rayleighTest(dcos).reject);
+    const { eigenvalues } = principalAxes(dcos);
+    assert.ok(eigenvalues.every(s => Math.abs(s - 1 / 3) < 0.05));
+  });
+});
+
+describe('fisherSample', () => {
+  it('recovers mean and κ', () => {
+    const mean = lineToDcos(120, 40);
+    const dcos = fisherSample(2000, { mean, kappa: 25 }, { seed: 5 });
+    assert.ok(dcos.every(unit));
+    const fit = fisherStats(dcos);
+    assert.ok(vec3.angle(fit.mean, mean) * DEG < 1);
+    assert.ok(Math.abs(fit.kappa - 25) / 25 < 0.08, `κ = ${fit.kappa}`);
+  });
+
+  it('κ = 0 is uniform, a negative κ is an error', () => {
+    assert.ok(!rayleighTest(fisherSample(300, { mean: [0, 0, 1], kappa: 0 }, { seed: 6 })).reject);
+    assert.throws(() => fisherSample(1, { mean: [0, 0, 1], kappa: -1 }), /non-negative/);
+  });
+
+  it('round-trips a fit', () => {
+    const data = fisherSample(100, { mean: [0, 0, -1], kappa: 50 }, { seed: 7 });
+    assert.strictEqual(fisherSample(10, fisherStats(data), { seed: 8 }).length, 10);
+  });
+});
+
+describe('watsonSample', () => {
+  it('bipolar: axes cluster about μ, both ends', () => {
+    const axis = lineToDcos(30, 20);
+    const dcos = watsonSample(1000, { axis, kappa: 20 }, { seed: 9 });
+    assert.ok(dcos.every(unit));
+    assert.ok(dcos.some(d => vec3.dot(d, axis) < 0) && dcos.some(d => vec3.dot(d, axis) > 0));
+    const fit = watsonFit(dcos, { model: 'bipolar' });
+    assert.ok(axisAngle(fit.axis, axis) < 2);
+    assert.ok(Math.abs(fit.kappa - 20) / 20 < 0.1, `κ = ${fit.kappa}`);
+  });
+
+  it('girdle: axes spread in the plane normal to μ', () => {
+    const axis = lineToDcos(200, 60);
+    const dcos = watsonSample(1000, { axis, kappa: -20 }, { seed: 10, lower: true });
+    const fit = watsonFit(dcos);
+    assert.strictEqual(fit.model, 'girdle');
+    assert.ok(axisAngle(fit.axis, axis) < 2);
+    assert.ok(Math.abs(fit.kappa + 20) / 20 < 0.1, `κ = ${fit.kappa}`);
+  });
+});
+
+describe('binghamSample', () => {
+  it('recovers axes and concentrations', () => {
+    const eigenvectors = [lineToDcos(60, 30), null, null];
+    const v3 = vec3.normalize(vec3.cross(eigenvectors[0], lineToDcos(150, 0)));
+    eigenvectors[2] = v3;
+    eigenvectors[1] = vec3.cross(v3, eigenvectors[0]);
+    const dcos = binghamSample(1500, { eigenvectors, kappa: [0, -5, -30] }, { seed: 11 });
+    assert.ok(dcos.every(unit));
+    const fit = binghamFit(dcos);
+    for (let i = 0; i < 3; i++) assert.ok(axisAngle(fit.eigenvectors[i], eigenvectors[i]) < 5, `V${i + 1}`);
+    assert.ok(Math.abs(fit.kappa[1] + 5) < 1, `κ₂ = ${fit.kappa[1]}`);
+    assert.ok(Math.abs(fit.kappa[2] + 30) / 30 < 0.1, `κ₃ = ${fit.kappa[2]}`);
+  });
+
+  it('only differences between the κᵢ matter', () => {
+    const eigenvectors = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    assert.deepStrictEqual(
+      binghamSample(20, { eigenvectors, kappa: [0, -2, -8] }, { seed: 12 }),
+      binghamSample(20, { eigenvectors, kappa: [10, 8, 2] }, { seed: 12 }),
+    );
+    assert.throws(() => binghamSample(1, { eigenvectors, kappa: [0, 0, -Infinity] }), /finite/);
+  });
+});
+
+describe('kentSample', () => {
+  it('recovers mean, major axis, κ and β', () => {
+    const mean = lineToDcos(300, 50);
+    const major = lineToDcos(30, 0);
+    const dcos = kentSample(2000, { mean, major, kappa: 40, beta: 12 }, { seed: 13 });
+    assert.ok(dcos.every(unit));
+    const fit = kentFit(dcos);
+    assert.ok(vec3.angle(fit.mean, mean) * DEG < 1);
+    assert.ok(axisAngle(fit.major, major) < 5);
+    assert.ok(Math.abs(fit.kappa - 40) / 40 < 0.08, `κ = ${fit.kappa}`);
+    assert.ok(Math.abs(fit.beta - 12) / 12 < 0.2, `β = ${fit.beta}`);
+  });
+
+  it('checks the parameters', () => {
+    const p = { mean: [0, 0, -1], major: [1, 0, 0] };
+    assert.throws(() => kentSample(1, { ...p, kappa: 0, beta: 0 }), /κ must be positive/);
+    assert.throws(() => kentSample(1, { ...p, kappa: 10, beta: 5 }), /0 ≤ 2β < κ/);
+  });
+});
@@ -2,8 +2,11 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   resultant, meanVector, fisherStats,
-  orientationTensor, principalAxes,
+  orientationTensor, principalAxes, smallCircleFit, binghamFit, kentFit,
+  watsonFit, watsonModel, rayleighTest, binghamTest, kuiperTest, watsonU2Test,
+  watsonCommonMeanTest, watsonWilliamsTest, tensorPermutationTest,
 } from '../src/statistics.js';
+import { logBinghamConstant } from '../src/core/special.js';
 import { planeToDcos, lineToDcos } from '../src/core/conversions.js';
 import * as vec3 from '../src/core/vec3.js';
 
@@ -124,12 +127,65 @@ describe('fisherStats', () => {
     const f = fisherStats(cluster);
     assert.ok(f.Rbar >= -EPSILON && f.Rbar <= 1 + EPSILON);
   });
+
+  it('theta63 and theta95 follow 81/√κ and 140/√κ', () => {
+    const f = fisherStats(cluster);
+    assertClose(f.theta63, 81 / Math.sqrt(f.kappa), 'theta63');
+    assertClose(f.theta95, 140 / Math.sqrt(f.kappa), 'theta95');
+    assert.strictEqual(fisherStats(single).theta95, 0);
+  });
 });
 
 // ---------------------------------------------------------------------------
 //  Orientation tensor
 // ---------------------------------------------------------------------------
 
+describe('weighted statistics', () => {
+  const weights = cluster.map((_, i) => 1 + (i % 4));
+
+  it('equal weights give the unweighted results', () => {
+    assert.deepStrictEqual(fisherStats(cluster, cluster.map(() => 1)), fisherStats(cluster));
+    const scaled = fisherStats(cluster, cluster.map(() => 3));
+    for (const key of ['nEff', 'R', 'kappa', 'alpha95']) assertClose(scaled[key], fisherStats(cluster)[key], key, 1e-9);
+    assert.deepStrictEqual(orientationTensor(cluster, cluster.map(() => 1)), orientationTensor(cluster));
+    assert.deepStrictEqual(principalAxes(girdle, girdle.map(() => 1)), principalAxes(girdle));
+  });
+
+  it('records are equivalent to a weights array', () => {
+    const records = cluster.map((d, i) => ({ dcos: d, weight: weights[i] }));
+    assert.deepStrictEqual(resultant(records), resultant(cluster, weights));
+    assert.deepStrictEqual(fisherStats(records), fisherStats(cluster, weights));
+    assert.deepStrictEqual(orientationTensor(records), orientationTensor(cluster, weights));
+  });
+
+  it('integer weights act as repeated measurements for the mean and tensor', () => {
+    const repeated = cluster.flatMap((d, i) => Array(weights[i]).fill(d));
+    const r = resultant(cluster, weights);
+    resultant(repeated).forEach((v, k) => assertClose(r[k], v, `resultant ${k}`, 1e-12));
+    const m = meanVector(cluster, weights);
+    meanVector(repeated).forEach((v, k) => assertClose(m[k], v, `mean ${k}`, 1e-12));
+    const T = orientationTensor(cluster, weights);
+    orientationTensor(repeated).forEach((v, k) => assertClose(T[k], v, `T ${k}`, 1e-12));
+  });
+
+  it('uses the effective sample size for κ and α95', () => {
+    const s = fisherStats(cluster, weights);
+    assert.strictEqual(s.n, cluster.length);
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const sq = weights.reduce((a, b) => a + b * b, 0);
+    assertClose(s.nEff, sum * sum / sq, 'nEff', 1e-12);
+    assert.ok(s.nEff < s.n);
+    assertClose(s.kappa, (s.nEff - 2) / (s.nEff - s.R), 'kappa', 1e-9);
+    assertClose(s.Rbar, vec3.length(resultant(cluster, weights)) / sum, 'Rbar', 1e-12);
+    // Fewer effective data than equal weights → a wider cone
+    const equal = fisherStats(cluster);
+    assert.ok(s.alpha95 > equal.alpha95 * 0.9);
+    // Zero weights drop directions
+    const zero = fisherStats([...cluster, planeToDcos(0, 10)], [...cluster.map(() => 1), 0]);
+    assertClose(zero.alpha95, equal.alpha95, 'zero weight', 1e-9);
+  });
+});
+
 describe('orientationTensor', () => {
   it('is symmetric', () => {
     const T = orientationTensor(cluster);
@@ -276,3 +332,308 @@ describe('principalAxes', () => {
     assertClose(kappa2, 0, 'kappa2 near 0 for uniform', 0.5);
   });
 });
+
+// ---------------------------------------------------------------------------
+//  Best-fit small circle
+// ---------------------------------------------------------------------------
+
+describe('smallCircleFit', () => {
+  it('recovers a cone through points on a small circle', () => {
+    const axis = lineToDcos(30, 50);
+    const points = [];
+    for (let t = 0; t < 300; t += 25) {
+      points.push(vec3.rotate(vec3.normalize(vec3.add(axis, vec3.scale([0, 0, 1], 0.7))), axis, t * DEG));
+    }
+    const expected = vec3.angle(points[0], axis) / DEG;
+    const fit = smallCircleFit(points);
+    assertClose(Math.abs(vec3.dot(fit.axis, axis)), 1, 'axis', 1e-9);
+    assertClose(fit.halfAngle, expected, 'half-angle', 1e-6);
+    assertClose(fit.rms, 0, 'rms', 1e-6);
+  });
+
+  it('a girdle fits a 90° cone about its pole', () => {
+    const fit = smallCircleFit(girdle);
+    assert.ok(Math.abs(fit.halfAngle - 90) < 1, `half-angle ${fit.halfAngle}`);
+    assert.ok(fit.halfAngle <= 90);
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  Bingham distribution
+// ---------------------------------------------------------------------------
+
+describe('binghamFit', () => {
+  // Rejection sample from a Bingham distribution with κ = [0, -8, -30] along x, y, z
+  let seed = 7;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const sample = [];
+  while (sample.length < 1000) {
+    const z = 2 * rand() - 1;
+    const phi = 2 * Math.PI * rand();
+    const s = Math.sqrt(1 - z * z);
+    const x = [s * Math.cos(phi), s * Math.sin(phi), z];
+    if (rand() < Math.exp(-8 * x[1] * x[1] - 30 * x[2] * x[2])) sample.push(x);
+  }
+  const fit = binghamFit(sample);
+
+  it('recovers the concentrations', () => {
+    assert.strictEqual(fit.kappa[0], 0);
+    assert.ok(Math.abs(fit.kappa[1] + 8) < 1.5, `κ₂ = ${fit.kappa[1]}`);
+    assert.ok(Math.abs(fit.kappa[2] + 30) < 5, `κ₃ = ${fit.kappa[2]}`);
+  });
+
+  it('solves the likelihood equations', () => {
+    const h = 1e-5;
+    for (const i of [1, 2]) {
+      const up = fit.kappa.slice();
+      const down = fit.kappa.slice();
+      up[i] += h;
+      down[i] -= h;
+      const dlogc = (logBinghamConstant(up) - logBinghamConstant(down)) / (2 * h);
+      assertClose(dlogc, fit.eigenvalues[i], `E[x${i}²]`, 1e-5);
+    }
+  });
+
+  it('gives ellipses around each axis, tighter with more concentration', () => {
+    assert.strictEqual(fit.ellipses.length, 3);
+    fit.ellipses.forEach((e, i) => {
+      assert.deepStrictEqual(e.center, fit.eigenvectors[i]);
+      assert.ok(e.a >= e.b && e.b > 0);
+      assertClose(vec3.dot(e.major, e.center), 0, 'major ⊥ center');
+    });
+    // V1 is pinned down best across V3, where the distribution is tightest
+    assert.ok(fit.ellipses[0].b < fit.ellipses[1].b);
+    const wide = binghamFit(sample, { confidence: 0.99 });
+    assert.ok(wide.ellipses[0].a > fit.ellipses[0].a);
+  });
+
+  it('uniform data are near κ = 0', () => {
+    const uniform = [];
+    for (let i = 0; i < 500; i++) {
+      const z = 2 * rand() - 1;
+      const phi = 2 * Math.PI * rand();
+      const s = Math.sqrt(1 - z * z);
+      uniform.push([s * Math.cos(phi), s * Math.sin(phi), z]);
+    }
+    const { kappa } = binghamFit(uniform);
+    assert.ok(kappa[2] > -2, `κ₃ = ${kappa[2]}`);
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  Kent distribution
+// ---------------------------------------------------------------------------
+
+describe('kentFit', () => {
+  // Rejection sample from a Kent distribution: κ = 40, β = 12, γ₁ = z, γ₂ = x
+  let seed = 3;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const sample = [];
+  while (sample.length < 1000) {
+    const z = 2 * rand() - 1;
+    const phi = 2 * Math.PI * rand();
+    const s = Math.sqrt(1 - z * z);
+    const x = [s * Math.cos(phi), s * Math.sin(phi), z];
+    if (rand() < Math.exp(40 * z + 12 * (x[0] * x[0] - x[1] * x[1]) - 40)) sample.push(x);
+  }
+
+  it('recovers the axes and parameters', () => {
+    const fit = kentFit(sample);
+    assert.ok(fit.mean[2] > 0.999, `mean ${fit.mean}`);
+    assert.ok(Math.abs(fit.major[0]) > 0.99, `major ${fit.major}`);
+    assert.ok(Math.abs(fit.kappa - 40) < 5, `κ = ${fit.kappa}`);
+    assert.ok(Math.abs(fit.beta - 12) < 3, `β = ${fit.beta}`);
+    assert.ok(2 * fit.beta < fit.kappa);
+  });
+
+  it('moment estimates are close to the MLE', () => {
+    const mle = kentFit(sample);
+    const mom = kentFit(sample, { method: 'moments' });
+    assert.deepStrictEqual(mom.mean, mle.mean);
+    assert.ok(Math.abs(mom.kappa - mle.kappa) / mle.kappa < 0.1);
+    assert.throws(() => kentFit(sample, { method: 'guess' }), /Unknown Kent method/);
+  });
+
+  it('the confidence ellipse is elongated along the spread', () => {
+    const { ellipse, mean } = kentFit(sample);
+    assert.deepStrictEqual(ellipse.center, mean);
+    assert.ok(ellipse.a > ellipse.b && ellipse.b > 0);
+    assert.ok(Math.abs(ellipse.major[0]) > 0.99, `major ${ellipse.major}`);
+    assert.ok(kentFit(sample, { confidence: 0.99 }).ellipse.a > ellipse.a);
+  });
+
+  it('a circular cluster has β near 0', () => {
+    assert.ok(kentFit(cluster).beta < kentFit(cluster).kappa / 4);
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  Watson distribution
+// ---------------------------------------------------------------------------
+
+describe('watsonFit', () => {
+  // Rejection samples from Watson distributions about z
+  let seed = 5;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const watson = (kappa, n) => {
+    const out = [];
+    while (out.length < n) {
+      const z = 2 * rand() - 1;
+      const phi = 2 * Math.PI * rand();
+      const s = Math.sqrt(1 - z * z);
+      if (rand() < Math.exp(kappa * z * z - Math.max(kappa, 0))) out.push([s * Math.cos(phi), s * Math.sin(phi), z]);
+    }
+    return out;
+  };
+  const bipolar = watson(10, 600);
+  const girdled = watson(-15, 600);
+
+  it('watsonModel() tells clusters from girdles', () => {
+    assert.strictEqual(watsonModel(bipolar), 'bipolar');
+    assert.strictEqual(watsonModel(girdled), 'girdle');
+    assert.strictEqual(watsonModel(girdle), 'girdle');
+  });
+
+  it('bipolar fit: axis V1 and κ > 0', () => {
+    const fit = watsonFit(bipolar);
+    assert.strictEqual(fit.model, 'bipolar');
+    assert.ok(Math.abs(fit.axis[2]) > 0.99);
+    assert.ok(Math.abs(fit.kappa - 10) < 1.5, `κ = ${fit.kappa}`);
+    assert.ok(fit.cone > 0 && fit.cone < 5);
+  });
+
+  it('girdle fit: axis V3 (the girdle pole) and κ < 0', () => {
+    const fit = watsonFit(girdled);
+    assert.strictEqual(fit.model, 'girdle');
+    assert.ok(Math.abs(fit.axis[2]) > 0.99);
+    assert.ok(Math.abs(fit.kappa + 15) < 2.5, `κ = ${fit.kappa}`);
+  });
+
+  it('the better model has the higher likelihood', () => {
+    assert.ok(watsonFit(girdled, { model: 'girdle' }).logLikelihood
+      > watsonFit(girdled, { model: 'bipolar' }).logLikelihood);
+    assert.ok(watsonFit(bipolar, { model: 'bipolar' }).logLikelihood
+      > watsonFit(bipolar, { model: 'girdle' }).logLikelihood);
+  });
+
+  it('cones widen with confidence and shrink with sample size', () => {
+    const fit = watsonFit(bipolar);
+    assert.ok(watsonFit(bipolar, { confidence: 0.99 }).cone > fit.cone);
+    assert.ok(watsonFit(bipolar.slice(0, 100)).cone > fit.cone);
+    assert.throws(() => watsonFit(bipolar, { model: 'cluster' }), /Unknown Watson model/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  Tests of uniformity
+// ---------------------------------------------------------------------------
+
+describe('uniformity tests', () => {
+  let seed = 11;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const sphere = [];
+  for (let i = 0; i < 200; i++) {
+    const z = 2 * rand() - 1;
+    const phi = 2 * Math.PI * rand();
+    const s = Math.sqrt(1 - z * z);
+    sphere.push([s * Math.cos(phi), s * Math.sin(phi), z]);
+  }
+  const lower = sphere.map(d => (d[2] > 0 ? vec3.negate(d) : d));
+  const azimuths = sphere.map(() => 360 * rand());
+  const clustered = azimuths.map(a => 90 + (a - 180) / 12);
+
+  it('return statistic, p-value and decision', () => {
+    const r = rayleighTest(cluster);
+    assert.deepStrictEqual(Object.keys(r), ['statistic', 'pValue', 'alpha', 'reject']);
+    assert.strictEqual(r.alpha, 0.05);
+    assert.strictEqual(rayleighTest(sphere, { alpha: 0.2 }).alpha, 0.2);
+  });
+
+  it('Rayleigh: rejects a cluster, not uniform vectors', () => {
+    assert.ok(rayleighTest(cluster).reject);
+    assert.ok(rayleighTest(cluster).pValue < 1e-3);
+    assert.ok(!rayleighTest(sphere).reject);
+  });
+
+  it('Bingham: rejects girdles and clusters, not uniform axes', () => {
+    assert.ok(binghamTest(girdle).reject);
+    assert.ok(binghamTest(cluster).reject);
+    // Folding into the lower hemisphere does not change axial data
+    assertClose(binghamTest(lower).statistic, binghamTest(sphere).statistic, 'axial', 1e-9);
+    assert.ok(!binghamTest(sphere).reject);
+  });
+
+  it('Kuiper and Watson U²: reject clustered azimuths, not uniform ones', () => {
+    for (const test of [kuiperTest, watsonU2Test]) {
+      assert.ok(!test(azimuths).reject, test.name);
+      assert.ok(test(clustered).reject, test.name);
+      assert.ok(test(clustered).pValue < 1e-6, test.name);
+    }
+  });
+
+  it('axial azimuths are doubled', () => {
+    // Two clusters 180° apart: bimodal as vectors, a single cluster as axes
+    const bimodal = clustered.map((a, i) => (i % 2 ? a : a + 180));
+    assert.ok(watsonU2Test(bimodal, { axial: true }).reject);
+    assert.ok(kuiperTest(bimodal, { axial: true }).statistic > kuiperTest(bimodal).statistic);
+  });
+});
+
+describe('comparison tests', () => {
+  // Lineations scattered about a trend/plunge by fixed offsets
+  const around = (trend, plunge, offsets) => offsets.map(([dt, dp]) => lineToDcos(trend + dt, plunge + dp));
+  const spread = [[0, 0], [8, 3], [-6, 4], [3, -5], [-4, -3], [10, -1], [-9, 1], [2, 6], [5, 2], [-2, -6]];
+  const shifted = spread.map(([dt, dp]) => [dp * 1.5, -dt / 2]);
+  const a = around(40, 50, spread);
+  const b = around(40, 50, shifted);
+  const c = around(120, 30, spread);
+
+  it('return the test result and the pooled estimate', () => {
+    for (const test of [watsonCommonMeanTest, watsonWilliamsTest, tensorPermutationTest]) {
+      const r = test([a, b], { seed: 1, permutations: 99 });
+      assert.deepStrictEqual(Object.keys(r), ['statistic', 'pValue', 'alpha', 'reject', 'pooled'], test.name);
+      assert.ok(r.statistic >= 0, test.name);
+    }
+    assert.strictEqual(watsonWilliamsTest([a, b]).pooled.n, 20);
+    assert.strictEqual(tensorPermutationTest([a, b, c], { seed: 1, permutations: 9 }).pooled.eigenvalues.length, 3);
+  });
+
+  it('need at least two samples', () => {
+    assert.throws(() => watsonCommonMeanTest([a]), /at least two samples/);
+    assert.throws(() => watsonWilliamsTest([a, []]), /non-empty/);
+  });
+
+  it('accept samples with a common mean, reject different means', () => {
+    for (const test of [watsonCommonMeanTest, watsonWilliamsTest]) {
+      assert.ok(!test([a, b]).reject, test.name);
+      assert.ok(test([a, c]).reject, test.name);
+      assert.ok(test([a, b, c]).pValue < 1e-6, test.name);
+    }
+  });
+
+  it('Watson–Williams statistic matches the formula', () => {
+    const Ra = vec3.length(resultant(a));
+    const Rc = vec3.length(resultant(c));
+    const R = vec3.length(resultant([...a, ...c]));
+    assertClose(watsonWilliamsTest([a, c]).statistic, 18 * (Ra + Rc - R) / (20 - Ra - Rc), 'F', 1e-9);
+  });
+
+  it('common-mean pooled direction lies between the sample means', () => {
+    const { mean } = watsonCommonMeanTest([a, c]).pooled;
+    const angle = (u, v) => Math.acos(Math.min(1, vec3.dot(u, v)));
+    const total = angle(meanVector(a), meanVector(c));
+    assertClose(angle(mean, meanVector(a)) + angle(mean, meanVector(c)), total, 'on the great circle', 1e-6);
+  });
+
+  it('tensor permutation test is reproducible and detects different fabrics', () => {
+    const same = tensorPermutationTest([a, b], { seed: 7, permutations: 199 });
+    assert.deepStrictEqual(tensorPermutationTest([a, b], { seed: 7, permutations: 199 }), same);
+    assert.ok(!same.reject);
+    const diff = tensorPermutationTest([a, c], { seed: 7, permutations: 199 });
+    assert.ok(diff.reject);
+    assertClose(diff.pValue, 1 / 200, 'no permutation as extreme');
+    // Axial: reversing directions does not change the fabric
+    const flipped = tensorPermutationTest([a, c.map(vec3.negate)], { seed: 7, permutations: 199 });
+    assertClose(flipped.statistic, diff.statistic, 'axial', 1e-12);
+  });
+});
@@ -1,7 +1,9 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { Stereonet } from '../src/stereonet.js';
+import { lineToDcos } from '../src/core/conversions.js';
 import * as mat3 from '../src/core/mat3.js';
+import { kentFit } from '../src/statistics.js';
 
 describe('Stereonet', () => {
   it('default options', () => {
@@ -450,4 +452,759 @@ describe('Stereonet', () => {
       assert.ok(decoded.includes('fill="red"'));
     });
   });
+
+  describe('hemisphere', () => {
+    it('defaults to lower hemisphere', () => {
+      assert.strictEqual(new Stereonet().hemisphere, 'lower');
+    });
+
+    it('rejects unknown hemispheres', () => {
+      assert.throws(() => new Stereonet({ hemisphere: 'middle' }), /Unknown hemisphere/);
+    });
+
+    it('full-sphere view needs a projection that supports it', () => {
+      assert.throws(
+        () => new Stereonet({ projection: 'equal-angle', hemisphere: 'full' }),
+        /full-sphere/,
+      );
+      assert.strictEqual(new Stereonet({ hemisphere: 'full' }).hemisphere, 'full');
+    });
+
+    it('upper-hemisphere view mirrors lower-hemisphere data', () => {
+      const lower = new Stereonet({ size: 200 });
+      const upper = new Stereonet({ size: 200, hemisphere: 'upper' });
+      const [lx, ly] = lower._projectPoint([0.6, 0, -0.8]);
+      const [ux, uy] = upper._projectPoint([0.6, 0, -0.8]);
+      assert.ok(Math.abs((lx - 100) + (ux - 100)) < 1e-9, 'antipode in upper view');
+      assert.ok(Math.abs(ly - uy) < 1e-9);
+    });
+
+    it('both: upper-hemisphere lines are drawn open', () => {
+      const svg = new Stereonet({ hemisphere: 'both' })
+        .line(90, -30, { fill: 'red', class: 'up' })
+        .line(90, 30, { fill: 'blue', class: 'down' })
+        .svg();
+      assert.ok(/fill="none" stroke="red" class="bearing-line up"/.test(svg));
+      assert.ok(/fill="blue" stroke="none" class="bearing-line down"/.test(svg));
+    });
+
+    it('lower: upper-hemisphere lines stay filled (flipped)', () => {
+      const svg = new Stereonet().line(90, -30, { fill: 'red' }).svg();
+      assert.ok(svg.includes('fill="red"'));
+    });
+
+    it('both: great circles are split into solid and dashed parts', () => {
+      const svg = new Stereonet({ hemisphere: 'both' }).plane(90, 45, { stroke: 'blue' }).svg();
+      const planes = svg.split('\n').filter(l => l.includes('bearing-plane'));
+      assert.ok(planes.some(l => l.includes('stroke-dasharray="5,4"')));
+      assert.ok(planes.some(l => !l.includes('stroke-dasharray')));
+    });
+
+    it('both: upper-hemisphere vector densities are dashed contours', () => {
+      const up = [];
+      for (let t = 0; t < 360; t += 15) up.push(lineToDcos(t, -80));
+      const lines = new Stereonet({ hemisphere: 'both' }).contour(up, { levels: [2], axial: false }).svg()
+        .split('\n').filter(l => l.includes('class="bearing-contour"'));
+      assert.ok(lines.length > 0);
+      assert.ok(lines.every(l => l.includes('stroke-dasharray="5,4"')));
+      const axial = new Stereonet({ hemisphere: 'both' }).contour(up, { levels: [2] }).svg();
+      assert.ok(axial.includes('class="bearing-contour"'));
+      assert.ok(!/stroke-dasharray[^>]*class="bearing-contour"/.test(axial));
+    });
+
+    it('full-sphere view renders planes, poles and contours', () => {
+      const sn = new Stereonet({ hemisphere: 'full' })
+        .plane(90, 45)
+        .line(0, -45)
+        .contour([[0, 0, -1], [0.1, 0, -0.99]], { levels: [1] });
+      const svg = sn.svg();
+      assert.ok(svg.startsWith('<svg'));
+      assert.ok(svg.includes('stroke-dasharray="5,4"'));
+      assert.ok(Math.abs(sn._scale - sn._radius / 2) < 1e-12);
+    });
+  });
+
+  describe('projections', () => {
+    for (const projection of ['orthographic', 'gnomonic', 'equidistant']) {
+      it(`${projection} projection renders data and contours`, () => {
+        const dcos = [[0, 0, -1], [0.1, 0.05, -0.99], [0.05, -0.1, -0.99]];
+        const svg = new Stereonet({ projection })
+          .pole(90, 30)
+          .plane(45, 60)
+          .contour(dcos, { levels: [1] })
+          .svg();
+        assert.ok(svg.startsWith('<svg'));
+        assert.ok(!svg.includes('NaN'));
+      });
+    }
+
+    it('accepts a projection object', () => {
+      const ortho = { name: 'ortho', radius: 1, project: d => [d[0], -Math.abs(d[1])], inverse: () => null };
+      const sn = new Stereonet({ projection: ortho });
+      assert.strictEqual(sn._scale, sn._radius);
+      assert.ok(sn.pole(0, 30).svg().startsWith('<svg'));
+    });
+
+    it('rejects unknown projections', () => {
+      assert.throws(() => new Stereonet({ projection: 'mercator' }), /Unknown projection/);
+    });
+
+    it('full-sphere equidistant view is supported', () => {
+      const sn = new Stereonet({ projection: 'equidistant', hemisphere: 'full' });
+      assert.ok(Math.abs(sn._scale - sn._radius / Math.PI) < 1e-12);
+    });
+  });
+
+  describe('markers', () => {
+    it('default pole marker is a circle', () => {
+      const svg = new Stereonet().pole(90, 45, { class: 'p' }).svg();
+      assert.ok(/<circle [^>]*class="bearing-pole p"/.test(svg));
+    });
+
+    it('marker style draws a path', () => {
+      const svg = new Stereonet().line(90, 45, { marker: 'triangle', fill: 'red' }).svg();
+      assert.ok(/<path d="M[^"]+Z" fill="red" stroke="none" class="bearing-line"/.test(svg));
+    });
+
+    it('instance style sets markers per category', () => {
+      const svg = new Stereonet({ style: { pole: { marker: 'square' } } }).pole(0, 30).svg();
+      assert.ok(/<path [^>]*class="bearing-pole"/.test(svg));
+    });
+
+    it('open symbols are stroked in the fill colour', () => {
+      const svg = new Stereonet().pole(90, 45, { marker: 'diamond', fill: 'navy', open: true }).svg();
+      assert.ok(/fill="none" stroke="navy"[^>]*class="bearing-pole"/.test(svg));
+    });
+
+    it('custom path markers are rotated by angle', () => {
+      const svg = new Stereonet().line(0, 30, { marker: 'M0,0L0,-2', angle: 120 }).svg();
+      assert.ok(svg.includes('rotate(120)'));
+    });
+
+    it('upper-hemisphere markers are open in both mode', () => {
+      const svg = new Stereonet({ hemisphere: 'both' })
+        .line(0, -30, { marker: 'triangle', fill: 'red' })
+        .svg();
+      assert.ok(/fill="none" stroke="red"[^>]*class="bearing-line"/.test(svg));
+    });
+  });
+
+  describe('labels', () => {
+    it('label style adds a text next to the pole', () => {
+      const svg = new Stereonet().pole(90, 45, { label: 'S0' }).svg();
+      assert.ok(/<text [^>]*class="bearing-label"[^>]*>S0<\/text>/.test(svg));
+    });
+
+    it('annotate() adds text at a direction', () => {
+      const sn = new Stereonet().annotate(120, 30, 'σ1');
+      const svg = sn.svg();
+      assert.ok(svg.includes('>σ1</text>'));
+      assert.ok(!svg.includes('bearing-line'));
+    });
+
+    it('plane labels are rotated along the great circle', () => {
+      const svg = new Stereonet().plane(45, 60, { label: 'F1' }).svg();
+      assert.ok(/<text [^>]*transform="rotate\([^"]+\)"[^>]*>F1<\/text>/.test(svg));
+    });
+
+    it('crowded labels get leader lines', () => {
+      const sn = new Stereonet();
+      for (let i = 0; i < 10; i++) sn.line(40, 50, { label: `L${i}` });
+      const svg = sn.svg();
+      assert.ok(svg.includes('class="bearing-leader"'));
+      assert.strictEqual((svg.match(/class="bearing-label"/g) || []).length, 10);
+    });
+
+    it('labelStyle overrides the label category', () => {
+      const svg = new Stereonet({ style: { label: { fontSize: 14 } } })
+        .line(10, 20, { label: 'a', labelStyle: { fill: 'red' } })
+        .svg();
+      assert.ok(/font-size="14"[^>]*fill="red"/.test(svg));
+    });
+
+    it('items without labels add no text', () => {
+      const sn = new Stereonet().pole(10, 10).plane(20, 30);
+      assert.strictEqual(sn._labelLayout().length, 0);
+    });
+  });
+
+  describe('legend', () => {
+    it('no legend by default keeps the square canvas', () => {
+      const svg = new Stereonet({ size: 300 }).pole(10, 20, { name: 'S0' }).svg();
+      assert.ok(svg.includes('width="300" height="300"'));
+      assert.ok(!svg.includes('bearing-legend'));
+    });
+
+    it('lists named items once with their count', () => {
+      const sn = new Stereonet({ legend: true })
+        .pole(10, 20, { name: 'Bedding', fill: 'red' })
+        .pole(30, 40, { name: 'Bedding', fill: 'red' })
+        .plane(100, 60, { name: 'Fault', stroke: 'blue' })
+        .line(200, 10);
+      const svg = sn.svg();
+      assert.ok(svg.includes('>Bedding (2)</text>'));
+      assert.ok(svg.includes('>Fault (1)</text>'));
+      assert.ok(svg.includes('class="bearing-legend"'));
+      const legend = svg.slice(svg.indexOf('class="bearing-legend"'));
+      assert.ok(/<circle [^>]*fill="red"/.test(legend));
+      assert.ok(/<line [^>]*stroke="blue"/.test(legend));
+    });
+
+    it('footer shows projection, hemisphere and N', () => {
+      const svg = new Stereonet({ projection: 'equal-angle', hemisphere: 'upper' })
+        .legend()
+        .pole(10, 20).pole(20, 30).line(5, 5).cone(0, 90, 10)
+        .svg();
+      assert.ok(svg.includes('>Equal-angle, upper hemisphere</text>'));
+      assert.ok(svg.includes('>N = 3</text>'));
+    });
+
+    it('contour levels get swatches and N counts the contoured data', () => {
+      const dcos = [[0, 0, -1], [0.1, 0, -0.995], [0, 0.1, -0.995]];
+      const svg = new Stereonet()
+        .contour(dcos, { levels: [1, 3], colors: ['#aaa', '#333'] })
+        .legend({ counts: false })
+        .svg();
+      assert.ok(svg.includes('>Density (MUD)</text>'));
+      assert.ok(svg.includes('>3</text>'));
+      assert.ok(/<line [^>]*stroke="#aaa"/.test(svg));
+      assert.ok(svg.includes('>N = 3</text>'));
+    });
+
+    it('right-hand legend widens the canvas without moving the net', () => {
+      const svg = new Stereonet({ size: 400, legend: { position: 'right' } }).svg();
+      const [, w, h] = svg.match(/width="([\d.]+)" height="([\d.]+)"/);
+      assert.ok(Number(w) > 400);
+      assert.strictEqual(Number(h), 400);
+      assert.ok(!/<g transform="translate\([^)]*\)">/.test(svg));
+    });
+
+    it('left and top legends shift the net', () => {
+      const left = new Stereonet({ legend: { position: 'left' } }).svg();
+      assert.ok(/<g transform="translate\([1-9][\d.]*,0\)">/.test(left));
+      const top = new Stereonet({ legend: { position: 'top' } }).svg();
+      assert.ok(/<g transform="translate\(0,[1-9][\d.]*\)">/.test(top));
+    });
+
+    it('legend(false) removes it and bad positions throw', () => {
+      const sn = new Stereonet({ legend: true }).legend(false);
+      assert.ok(!sn.svg().includes('bearing-legend'));
+      assert.throws(() => sn.legend({ position: 'center' }), /Unknown legend position/);
+    });
+
+    it('legend style overrides the category', () => {
+      const svg = new Stereonet().legend({ title: 'Site 4', style: { fontSize: 15 } }).svg();
+      assert.ok(/font-size="15"[^>]*font-weight="bold"[^>]*>Site 4</.test(svg));
+    });
+  });
+
+  describe('datasets', () => {
+    const bedding = [[120, 30], [130, 35], [110, 25]];
+
+    it('draws poles of a dataset as one path in its own group', () => {
+      const svg = new Stereonet().dataset('bedding', bedding, { style: { fill: 'red' } }).svg();
+      assert.ok(svg.includes('<g class="bearing-dataset" data-name="bedding">'));
+      const poles = svg.match(/<path [^>]*class="bearing-pole"\/>/g);
+      assert.strictEqual(poles.length, 1);
+      assert.ok(poles[0].includes('fill="red"'));
+      assert.strictEqual((poles[0].match(/M/g) || []).length, 3);
+    });
+
+    it("as: 'both' draws great circles and poles", () => {
+      const svg = new Stereonet().dataset('b', bedding, { as: 'both' }).svg();
+      assert.strictEqual((svg.match(/class="bearing-plane"/g) || []).length, 1);
+      assert.strictEqual((svg.match(/class="bearing-pole"/g) || []).length, 1);
+    });
+
+    it('accepts direction cosines and line attitudes', () => {
+      const sn = new Stereonet()
+        .dataset('v', [[0, 0, -1]], { as: 'lines' })
+        .dataset('l', [[90, 0]], { as: 'lines' });
+      assert.deepStrictEqual(sn.getDataset('v').dcos, [[0, 0, -1]]);
+      const [x, y, z] = sn.getDataset('l').dcos[0];
+      assert.ok(Math.abs(x - 1) < 1e-12 && Math.abs(y) < 1e-12 && Math.abs(z) < 1e-12);
+    });
+
+    it('three-value rows must be unit vectors unless a format is given', () => {
+      assert.throws(() => new Stereonet().dataset('x', [[120, 30, 7]]), /format: 'attitude' or 'dcos'/);
+      assert.throws(() => new Stereonet().dataset('x', [[1, 0, 0, 0]]), /neither an attitude pair/);
+      const sn = new Stereonet()
+        .dataset('a', [[120, 30, 7]], { format: 'attitude' })
+        .dataset('d', [[0, 3, -4]], { format: 'dcos' });
+      assert.deepStrictEqual(sn.getDataset('a').dcos, new Stereonet().dataset('a', [[120, 30]]).getDataset('a').dcos);
+      assert.deepStrictEqual(sn.getDataset('d').dcos, [[0, 0.6, -0.8]]);
+      assert.throws(() => sn.dataset('x', [[0, 0]], { format: 'dcos' }), /not a vector/);
+      assert.throws(() => sn.dataset('x', [], { format: 'xyz' }), /Unknown dataset format/);
+    });
+
+    it('per-category style overrides the common style', () => {
+      const svg = new Stereonet()
+        .dataset('b', bedding, { as: 'both', style: { stroke: 'green', pole: { fill: 'blue' } } })
+        .svg();
+      assert.ok(/stroke="green"[^>]*class="bearing-plane"/.test(svg));
+      assert.ok(/fill="blue"[^>]*class="bearing-pole"/.test(svg));
+    });
+
+    it('hidden datasets are not drawn, and can be shown again', () => {
+      const sn = new Stereonet().dataset('b', bedding).hideDataset('b');
+      assert.ok(!sn.svg().includes('bearing-dataset'));
+      assert.ok(sn.showDataset('b').svg().includes('bearing-dataset'));
+    });
+
+    it('styleDataset() merges into the existing style', () => {
+      const sn = new Stereonet().dataset('b', bedding, { style: { fill: 'red', r: 5 } });
+      sn.styleDataset('b', { fill: 'navy' });
+      assert.deepStrictEqual(sn.getDataset('b').style, { fill: 'navy', r: 5 });
+      assert.ok(sn.svg().includes('fill="navy"'));
+    });
+
+    it('removeDataset() and clear() drop datasets; unknown names throw', () => {
+      const sn = new Stereonet().dataset('a', bedding).dataset('b', bedding);
+      assert.deepStrictEqual(sn.datasets, ['a', 'b']);
+      sn.removeDataset('a');
+      assert.deepStrictEqual(sn.datasets, ['b']);
+      sn.clear();
+      assert.deepStrictEqual(sn.datasets, []);
+      assert.throws(() => sn.hideDataset('a'), /Unknown dataset/);
+      assert.throws(() => sn.dataset('x', [], { as: 'cones' }), /Unknown dataset mode/);
+    });
+
+    it('custom markers fall back to one element per symbol', () => {
+      const svg = new Stereonet().dataset('b', bedding, { style: { marker: 'M0,-1L0,1' } }).svg();
+      assert.strictEqual((svg.match(/transform="translate\(/g) || []).length, 3);
+    });
+
+    it('upper-hemisphere symbols get their own open path', () => {
+      const svg = new Stereonet({ hemisphere: 'both' })
+        .dataset('l', [[10, 30], [20, -30]], { as: 'lines', style: { fill: 'red' } })
+        .svg();
+      const paths = svg.match(/<path [^>]*class="bearing-line"\/>/g);
+      assert.strictEqual(paths.length, 2);
+      assert.ok(paths[1].includes('fill="none" stroke="red"'));
+    });
+
+    it('visible datasets appear in the legend and N', () => {
+      const svg = new Stereonet()
+        .dataset('Bedding', bedding)
+        .dataset('Hidden', bedding, { visible: false })
+        .pole(10, 10)
+        .legend()
+        .svg();
+      assert.ok(svg.includes('>Bedding (3)</text>'));
+      assert.ok(!svg.includes('>Hidden'));
+      assert.ok(svg.includes('>N = 4</text>'));
+    });
+  });
+
+  describe('colour bar', () => {
+    const dcos = [[0, 0, -1], [0.1, 0, -0.995], [0, 0.1, -0.995], [0.05, 0.05, -0.998]];
+
+    it('is only drawn while contours are shown', () => {
+      const sn = new Stereonet({ colorbar: true });
+      assert.ok(!sn.svg().includes('bearing-colorbar'));
+      sn.contour(dcos, { levels: [1, 2] });
+      assert.ok(sn.svg().includes('class="bearing-colorbar"'));
+    });
+
+    it('discrete bar uses the band fills of filled contours', () => {
+      const svg = new Stereonet()
+        .contour(dcos, { levels: [1, 2], filled: true, fills: ['#ff0000', '#00ff00'] })
+        .colorbar()
+        .svg();
+      const bar = svg.slice(svg.indexOf('class="bearing-colorbar"'));
+      assert.ok(/<rect [^>]*fill="#ff0000"/.test(bar));
+      assert.ok(/<rect [^>]*fill="#00ff00"/.test(bar));
+      assert.ok(bar.includes('>Density (MUD)</text>'));
+    });
+
+    it('line contours use their stroke colours', () => {
+      const svg = new Stereonet()
+        .contour(dcos, { levels: [1, 2], colors: ['#123456', '#654321'] })
+        .colorbar({ position: 'bottom' })
+        .svg();
+      const bar = svg.slice(svg.indexOf('class="bearing-colorbar"'));
+      assert.ok(bar.includes('fill="#654321"'));
+    });
+
+    it('continuous bar samples the ramp', () => {
+      const svg = new Stereonet()
+        .contour(dcos, { levels: [1, 3], filled: true, ramp: ['#000000', '#ffffff'] })
+        .colorbar({ mode: 'continuous', title: 'Poles' })
+        .svg();
+      const bar = svg.slice(svg.indexOf('class="bearing-colorbar"'));
+      assert.ok((bar.match(/<rect /g) || []).length > 30);
+      assert.ok(bar.includes('>Poles</text>'));
+    });
+
+    it('title follows the contour units', () => {
+      const sigma = new Stereonet().contour(dcos, { levels: [2, 4], units: 'sigma' }).colorbar().svg();
+      assert.ok(sigma.includes('>Density (σ)</text>'));
+      const percent = new Stereonet().contour(dcos, { levels: [2], units: 'percent' }).colorbar().svg();
+      assert.ok(percent.includes('>Density (% per 1% area)</text>'));
+      const kamb = new Stereonet()
+        .contour(dcos, { levels: [2, 4], method: 'kamb', units: 'sigma-excess' }).colorbar().svg();
+      assert.ok(kamb.includes('>Density (σ above uniform)</text>'));
+    });
+
+    it('shares the side with the legend', () => {
+      const svg = new Stereonet({ size: 300 })
+        .contour(dcos, { levels: [1, 2] })
+        .legend()
+        .colorbar()
+        .svg();
+      const legendX = Number(svg.match(/translate\(([\d.]+),[\d.]+\)" class="bearing-legend"/)[1]);
+      const barX = Number(svg.match(/translate\(([\d.]+),[\d.]+\)" class="bearing-colorbar"/)[1]);
+      assert.strictEqual(legendX, 300);
+      assert.ok(barX > legendX);
+    });
+
+    it('colorbar(false) removes it; bad options throw', () => {
+      const sn = new Stereonet().contour(dcos, { levels: [1] }).colorbar().colorbar(false);
+      assert.ok(!sn.svg().includes('bearing-colorbar'));
+      assert.throws(() => sn.colorbar({ position: 'inside' }), /Unknown colour bar position/);
+      assert.throws(() => sn.colorbar({ mode: 'log' }), /Unknown colour bar mode/);
+    });
+  });
+
+  describe('colormaps in item styles', () => {
+    it('{ colormap, value, domain } resolves to a colour', () => {
+      const svg = new Stereonet()
+        .pole(10, 20, { fill: { colormap: 'viridis', value: 150, domain: [100, 200] } })
+        .plane(30, 40, { stroke: { colormap: 'rdbu_r', value: 0 } })
+        .svg();
+      assert.ok(/<circle [^>]*fill="#[0-9a-f]{6}"[^>]*class="bearing-pole"/.test(svg));
+      assert.ok(svg.includes('stroke="#053061"'));
+    });
+  });
+
+  describe('data-driven styling', () => {
+    it('colours poles by an attribute over its extent', () => {
+      const svg = new Stereonet()
+        .pole(10, 20, { color: { field: 'depth', colormap: ['#000000', '#ffffff'] } }, { depth: 0 })
+        .pole(50, 60, { color: { field: 'depth', colormap: ['#000000', '#ffffff'] } }, { depth: 200 })
+        .svg();
+      assert.ok(svg.includes('fill="#000000"'));
+      assert.ok(svg.includes('fill="#ffffff"'));
+    });
+
+    it('`color` sets the stroke of planes and cones', () => {
+      const svg = new Stereonet()
+        .plane(30, 40, { color: { field: 'set', map: { J1: '#ff0000' } } }, { set: 'J1' })
+        .svg();
+      assert.ok(/<polyline [^>]*stroke="#ff0000"/.test(svg));
+    });
+
+    it('style functions receive the attributes and item', () => {
+      const seen = [];
+      new Stereonet()
+        .line(10, 20, { r: (attrs, item) => { seen.push([attrs.n, item.type]); return attrs.n; } }, { n: 7 })
+        .svg();
+      assert.deepStrictEqual(seen[0], [7, 'line']);
+    });
+
+    it('missing attributes fall back to the defaults', () => {
+      const svg = new Stereonet()
+        .pole(10, 20, { fill: { field: 'depth', colormap: 'viridis' } })
+        .svg();
+      assert.ok(/<circle [^>]*fill="#000000"[^>]*class="bearing-pole"/.test(svg));
+    });
+
+    it('datasets share one path per distinct paint', () => {
+      const svg = new Stereonet().dataset('J', [[10, 20], [30, 40], [50, 60]], {
+        style: { fill: { field: 'set', map: { a: '#ff0000', b: '#0000ff' } } },
+        attributes: [{ set: 'a' }, { set: 'b' }, { set: 'a' }],
+      }).svg();
+      const paths = svg.match(/<path [^>]*class="bearing-pole"[^>]*>/g);
+      assert.strictEqual(paths.length, 2);
+      assert.ok(paths[0].includes('fill="#ff0000"'));
+      assert.ok(paths[1].includes('fill="#0000ff"'));
+    });
+
+    it('dataset sizes follow a range scale', () => {
+      const svg = new Stereonet().dataset('J', [[10, 20], [30, 40]], {
+        style: { r: { field: 'n', range: [2, 6] } },
+        attributes: [{ n: 1 }, { n: 3 }],
+      }).svg();
+      assert.ok(svg.includes('a2,2 '));
+      assert.ok(svg.includes('a6,6 '));
+    });
+
+    it('the legend gets a section per scale', () => {
+      const spec = { field: 'depth', colormap: 'viridis', label: 'Depth (m)' };
+      const sn = new Stereonet()
+        .pole(10, 20, { color: spec }, { depth: 0 })
+        .pole(50, 60, { color: spec }, { depth: 100 })
+        .legend();
+      const svg = sn.svg();
+      assert.ok(svg.includes('>Depth (m)</text>'));
+      for (const label of ['0', '25', '50', '75', '100']) assert.ok(svg.includes(`>${label}</text>`));
+      assert.ok(svg.includes('fill="#fde725"'));
+      assert.ok(!new Stereonet().pole(10, 20, { color: spec }, { depth: 0 })
+        .legend({ scales: false }).svg().includes('Depth (m)'));
+    });
+  });
+
+  describe('fisher()', () => {
+    const cluster = [[0, 0.1, -0.995], [0.1, 0, -0.995], [-0.1, 0, -0.995], [0, -0.1, -0.995]];
+
+    it('draws the mean and the alpha95 cone in a group', () => {
+      const svg = new Stereonet().fisher(cluster).svg();
+      assert.ok(svg.includes('<g class="bearing-fisher">'));
+      assert.strictEqual((svg.match(/class="bearing-fisher-cone alpha95"/g) || []).length, 1);
+      assert.ok(/<path [^>]*class="bearing-fisher-mean"/.test(svg));
+    });
+
+    it('draws the dispersion cones on request', () => {
+      const svg = new Stereonet().fisher(cluster, { cones: ['alpha95', 'theta63', 'theta95'] }).svg();
+      assert.ok(/stroke-dasharray="6,3" class="bearing-fisher-cone theta63"/.test(svg));
+      assert.ok(svg.includes('bearing-fisher-cone theta95'));
+    });
+
+    it('follows a dataset', () => {
+      const sn = new Stereonet().dataset('J', [[0, 10], [10, 12]]).fisher('J');
+      const before = sn.svg().match(/<path [^>]*class="bearing-fisher-mean"/)[0];
+      sn.dataset('J', [[180, 40], [190, 42]]);
+      const after = sn.svg().match(/<path [^>]*class="bearing-fisher-mean"/)[0];
+      assert.notStrictEqual(before, after);
+      assert.throws(() => new Stereonet().fisher('nope').svg(), /Unknown dataset/);
+    });
+
+    it('empty data draws nothing', () => {
+      assert.ok(!new Stereonet().fisher([]).svg().includes('bearing-fisher-mean'));
+    });
+
+    it('can be labelled and named in the legend', () => {
+      const svg = new Stereonet().fisher(cluster, { label: 'Mean', name: 'Fisher mean' })
+        .legend({ footer: false }).svg();
+      assert.ok(svg.includes('>Mean</text>'));
+      assert.ok(svg.includes('>Fisher mean (1)</text>'));
+    });
+  });
+
+  describe('eigen()', () => {
+    // Poles in a N–S girdle
+    const girdle = [];
+    for (let dip = 10; dip <= 80; dip += 10) girdle.push([0, dip], [180, dip]);
+    const sn = () => new Stereonet().dataset('B', girdle);
+
+    it('draws the three axes, labelled with their eigenvalues, and the girdle', () => {
+      const svg = sn().eigen('B').svg();
+      assert.ok(svg.includes('<g class="bearing-eigen">'));
+      for (const v of ['v1', 'v2', 'v3']) assert.ok(svg.includes(`class="bearing-eigen-axis ${v}"`));
+      assert.strictEqual((svg.match(/>S\d \(\d\.\d{3}\)<\/text>/g) || []).length, 3);
+      assert.ok(svg.includes('class="bearing-eigen-girdle"'));
+      assert.ok(!svg.includes('bearing-eigen-small-circle'));
+    });
+
+    it('options turn parts on and off', () => {
+      const svg = sn().eigen('B', { girdle: false, labels: false, smallCircle: true }).svg();
+      assert.ok(!svg.includes('bearing-eigen-girdle'));
+      assert.ok(!svg.includes('>S1 ('));
+      assert.ok(svg.includes('class="bearing-eigen-small-circle"'));
+    });
+
+    it('info box lists the fabric parameters beside the net', () => {
+      const net = sn().eigen('B', { info: 'left' });
+      const svg = net.svg();
+      assert.ok(svg.includes('class="bearing-info"'));
+      assert.ok(svg.includes('>Eigen analysis</text>'));
+      assert.ok(/>K = [\d.]+, C = [\d.]+<\/text>/.test(svg));
+      assert.ok(/>P = [\d.]+, G = [\d.]+, R = [\d.]+<\/text>/.test(svg));
+      assert.ok(/<svg [^>]*width="(\d+(\.\d+)?)"/.exec(svg)[1] > 500);
+      assert.throws(() => sn().eigen('B', { info: 'middle' }).svg(), /Unknown info box position/);
+    });
+
+    it('an empty source has no info lines', () => {
+      const net = new Stereonet().eigen([], { info: true });
+      assert.deepStrictEqual(net._eigenInfo(net.items[0]), []);
+      assert.ok(!net.svg().includes('bearing-info'));
+    });
+
+    it('fits each statistics item once per render', () => {
+      const net = sn().eigen('B', { info: true, label: 'Fabric' }).kent('B', { label: 'Kent' }).legend();
+      let fits = 0;
+      net._sourceDcos = source => (fits++, Stereonet.prototype._sourceDcos.call(net, source));
+      net.svg();
+      assert.strictEqual(fits, 2);
+      net.dataset('B', girdle.slice(4));
+      assert.ok(net.svg().includes('>n = 12</text>'), 'refitted on the next render');
+      assert.strictEqual(fits, 4);
+    });
+  });
+
+  describe('bingham()', () => {
+    const data = [[0, 10], [20, 15], [340, 12], [10, 30], [350, 25], [5, 5], [15, 20], [355, 18]];
+
+    it('draws an ellipse and a symbol per axis', () => {
+      const svg = new Stereonet().dataset('A', data, { as: 'lines' }).bingham('A').svg();
+      assert.ok(svg.includes('<g class="bearing-bingham">'));
+      for (const v of ['v1', 'v2', 'v3']) {
+        assert.ok(svg.includes(`class="bearing-bingham-ellipse ${v}"`));
+        assert.ok(svg.includes(`class="bearing-bingham-axis ${v}"`));
+      }
+    });
+
+    it('draws only the requested axes', () => {
+      const svg = new Stereonet().bingham(data.map(([t, p]) => lineToDcos(t, p)), { axes: ['V1'] }).svg();
+      assert.ok(svg.includes('bearing-bingham-ellipse v1'));
+      assert.ok(!svg.includes('bearing-bingham-ellipse v2'));
+      assert.throws(() => new Stereonet().bingham(data.map(([t, p]) => lineToDcos(t, p)), { axes: ['V4'] }).svg(),
+        /Unknown Bingham axis/);
+    });
+  });
+
+  describe('ellipse() and kent()', () => {
+    it('ellipse() draws a spherical ellipse like a cone', () => {
+      const svg = new Stereonet()
+        .ellipse({ center: [0, 0, -1], major: [1, 0, 0], a: 30, b: 10 }, { stroke: '#123456' })
+        .svg();
+      const m = /<polyline points="([^"]+)"[^>]*stroke="#123456"[^>]*class="bearing-ellipse"/.exec(svg);
+      assert.ok(m);
+      const xs = m[1].split(' ').map(p => Number(p.split(',')[0]));
+      const ys = m[1].split(' ').map(p => Number(p.split(',')[1]));
+      assert.ok(Math.max(...xs) - Math.min(...xs) > 2.5 * (Math.max(...ys) - Math.min(...ys)));
+    });
+
+    it('kent() draws the mean and its confidence ellipse', () => {
+      const data = [[0, 60], [10, 55], [20, 62], [350, 58], [5, 70], [15, 50], [355, 65], [25, 57]];
+      const svg = new Stereonet().dataset('L', data, { as: 'lines' }).kent('L').svg();
+      assert.ok(svg.includes('<g class="bearing-kent">'));
+      assert.ok(svg.includes('class="bearing-kent-ellipse"'));
+      assert.ok(/<path [^>]*class="bearing-kent-mean"/.test(svg));
+    });
+
+    it('kent() labels sit on the drawn mean for either fitting method', () => {
+      const data = [[0, 60], [10, 55], [20, 62], [350, 58], [5, 70], [15, 50], [355, 65], [25, 57]]
+        .map(([t, p]) => lineToDcos(t, p));
+      for (const method of ['mle', 'moments']) {
+        const sn = new Stereonet().kent(data, { method, label: 'K' });
+        assert.deepStrictEqual(sn._itemDcos(sn.items[0]), kentFit(data, { method }).ellipse.center);
+      }
+    });
+  });
+
+  describe('watson()', () => {
+    it('draws the girdle, cone and axis of a girdle fit', () => {
+      const poles = [];
+      for (let dip = 10; dip <= 80; dip += 10) poles.push([90, dip], [270, dip], [92, dip + 3]);
+      const svg = new Stereonet().dataset('B', poles).watson('B').svg();
+      assert.ok(svg.includes('<g class="bearing-watson">'));
+      assert.ok(svg.includes('class="bearing-watson-girdle"'));
+      assert.ok(svg.includes('class="bearing-watson-cone"'));
+      assert.ok(svg.includes('class="bearing-watson-axis girdle"'));
+    });
+
+    it('bipolar fits have no girdle', () => {
+      const svg = new Stereonet().watson([[0.05, 0, -1], [0, 0.05, -1], [-0.05, 0.02, -1]]
+        .map(v => v.map(c => c / Math.hypot(...v)))).svg();
+      assert.ok(svg.includes('class="bearing-watson-axis bipolar"'));
+      assert.ok(!svg.includes('bearing-watson-girdle'));
+    });
+  });
+
+  describe('blindZone()', () => {
+    it('adds small circles at 90° − angle about both ends of the line', () => {
+      const sn = new Stereonet().blindZone(120, 30, 20, { stroke: '#c00', name: 'Blind zone' });
+      const [a, b] = sn.items;
+      assert.strictEqual(sn.items.length, 2);
+      assert.deepStrictEqual([a.type, a.trend, a.plunge, a.halfAngle], ['cone', 120, 30, 70]);
+      assert.deepStrictEqual([b.type, b.trend, b.plunge, b.halfAngle], ['cone', 300, -30, 70]);
+      assert.strictEqual(b.style.stroke, '#c00');
+      assert.strictEqual(a.style.name, 'Blind zone');
+      assert.strictEqual(b.style.name, undefined);
+    });
+
+    it('draws both bounding circles with a single legend entry', () => {
+      const svg = new Stereonet().blindZone(0, 10, 15, { name: 'BZ' }).legend({ counts: true }).svg();
+      assert.ok(svg.includes('BZ (1)'));
+      assert.strictEqual(svg.match(/stroke-dasharray="4,3"/g).length >= 2, true);
+    });
+  });
+
+  describe('contourAsync()', () => {
+    const poles = [];
+    for (let t = 0; t < 360; t += 10) poles.push(lineToDcos(t, 75 + (t % 7)));
+
+    it('draws the same contours as contour()', async () => {
+      const strip = s => s.replace(/bearing-clip-\d+/g, 'clip');
+      const sn = new Stereonet();
+      assert.strictEqual(await sn.contourAsync(poles, { levels: [2, 4], filled: true }), sn);
+      const sync = new Stereonet().contour(poles, { levels: [2, 4], filled: true });
+      assert.strictEqual(strip(sn.svg()), strip(sync.svg()));
+    });
+
+    it('shows partial contours while running', async () => {
+      const sn = new Stereonet();
+      const drawn = [];
+      await sn.contourAsync(poles, {
+        levels: [2],
+        gridSize: 20,
+        filled: true,
+        sliceTime: 0,
+        onProgress: (fraction, net) => drawn.push([fraction, net.svg()]),
+      });
+      assert.strictEqual(drawn.length, 20);
+      assert.strictEqual(drawn[19][0], 1);
+      assert.ok(drawn[0][1].startsWith('<svg'));
+    });
+
+    it('an aborted job keeps the previous contours', async () => {
+      const strip = s => s.replace(/bearing-clip-\d+/g, 'clip');
+      const sn = new Stereonet().contour(poles, { levels: [3] });
+      const before = sn.svg();
+      const controller = new AbortController();
+      await assert.rejects(sn.contourAsync(poles, {
+        levels: [1, 2],
+        sliceTime: 0,
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      }), { name: 'AbortError' });
+      assert.strictEqual(strip(sn.svg()), strip(before));
+    });
+
+    it('a newer call supersedes a job in flight', async () => {
+      const sn = new Stereonet();
+      let late = 0;
+      let started = false;
+      const first = sn.contourAsync(poles, {
+        levels: [1, 2],
+        gridSize: 20,
+        sliceTime: 0,
+        onProgress: () => { if (started) late++; },
+      });
+      started = true;
+      const second = sn.contourAsync(poles, { levels: [3], gridSize: 20, sliceTime: 0 });
+      await assert.rejects(first, { name: 'AbortError' });
+      assert.strictEqual(await second, sn);
+      assert.strictEqual(late, 0);
+      assert.deepStrictEqual(sn._contourOptions, { levels: [3], gridSize: 20 });
+      assert.deepStrictEqual(sn._contourPaths, new Stereonet().contour(poles, { levels: [3], gridSize: 20 })._contourPaths);
+    });
+
+    it('view changes leave a job running; updateContours() supersedes it', async () => {
+      const sn = new Stereonet();
+      const job = sn.contourAsync(poles, { levels: [2], gridSize: 20, sliceTime: 0 });
+      sn.rotation = Stereonet.rotationFromCenter(90, 30);
+      sn.svg();
+      assert.strictEqual(await job, sn);
+      assert.deepStrictEqual(sn._contourOptions, { levels: [2], gridSize: 20 });
+
+      const next = sn.contourAsync(poles, { levels: [3], gridSize: 20, sliceTime: 0 });
+      sn.updateContours();
+      await assert.rejects(next, { name: 'AbortError' });
+    });
+
+    it('aborting a job after a sync contour() keeps the newer contours', async () => {
+      const sn = new Stereonet().contour(poles, { levels: [5] });
+      const controller = new AbortController();
+      const job = sn.contourAsync(poles, { levels: [1, 2], sliceTime: 0, signal: controller.signal });
+      // The first slice has already drawn partial contours
+      assert.deepStrictEqual(sn._contourOptions, { levels: [1, 2] });
+      sn.contour(poles, { levels: [3] });
+      controller.abort();
+      await assert.rejects(job, { name: 'AbortError' });
+      assert.deepStrictEqual(sn._contourOptions, { levels: [3] });
+      assert.deepStrictEqual(sn._contourPaths.map(({ level }) => level), [3]);
+    });
+  });
 });
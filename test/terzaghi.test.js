@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { terzaghiWeights, inBlindZone } from '../src/terzaghi.js';
+import { fisherStats } from '../src/statistics.js';
+import { computeContours } from '../src/contouring.js';
+import { planeToDcos, lineToDcos } from '../src/core/conversions.js';
+
+function assertClose(a, b, msg, tol = 1e-12) {
+  assert.ok(Math.abs(a - b) < tol, `${msg}: ${a} ≈ ${b}`);
+}
+
+// Horizontal scanline trending north
+const scanline = { trend: 0, plunge: 0 };
+
+describe('terzaghiWeights', () => {
+  it('is 1/|cos δ| between pole and line', () => {
+    const poles = [lineToDcos(0, 0), lineToDcos(180, 0), lineToDcos(60, 0), lineToDcos(0, 45)];
+    const w = terzaghiWeights(poles, scanline);
+    assertClose(w[0], 1, 'pole along the line');
+    assertClose(w[1], 1, 'opposite end');
+    assertClose(w[2], 2, '60°');
+    assertClose(w[3], Math.SQRT2, '45°');
+  });
+
+  it('caps weights in the blind zone', () => {
+    const parallel = [planeToDcos(90, 90), lineToDcos(85, 0)];
+    const w = terzaghiWeights(parallel, scanline);
+    const cap = 1 / Math.sin(15 * Math.PI / 180);
+    assertClose(w[0], cap, 'default 15°');
+    assertClose(w[1], cap, 'within 15°', 1e-9);
+    assertClose(terzaghiWeights(parallel, scanline, { blindZone: 30 })[0], 2, '30° blind zone');
+    assert.deepStrictEqual(inBlindZone([...parallel, lineToDcos(60, 0)], scanline), [true, true, false]);
+    assert.throws(() => terzaghiWeights(parallel, scanline, { blindZone: 0 }), /between 0 and 90/);
+  });
+
+  it('combines several lines by length', () => {
+    const pole = lineToDcos(0, 0);
+    const lines = [scanline, { trend: 90, plunge: 0, length: 3 }];
+    // |cos δ| = 1 along the first line, 0 along the second: chance = 1/4
+    assertClose(terzaghiWeights([pole], lines, { blindZone: 1 })[0], 4, 'weighted mean');
+    // A pole in the blind zone of one line is out of it when combined with another
+    assert.deepStrictEqual(inBlindZone([pole], [scanline, { trend: 90, plunge: 0 }]), [false]);
+    assert.deepStrictEqual(inBlindZone([pole], lines[1]), [true]);
+    assert.throws(() => terzaghiWeights([pole], []), /sampling line/);
+    assert.throws(() => terzaghiWeights([pole], { trend: 0, plunge: 0, length: 0 }), /positive/);
+  });
+
+  it('feeds weighted statistics and contouring', () => {
+    // Two joint sets sampled by the scanline: one across it, one oblique
+    const poles = [];
+    for (let k = -2; k <= 2; k++) {
+      poles.push(planeToDcos(180 + k * 3, 88));
+      if (k % 2 === 0) poles.push(planeToDcos(240 + k * 3, 88));
+    }
+    const w = terzaghiWeights(poles, scanline);
+    assert.ok(fisherStats(poles, w).nEff < poles.length);
+    const plain = computeContours(poles, { levels: [2], gridSize: 20, sigma: 20 });
+    const weighted = computeContours(poles, { levels: [2], gridSize: 20, sigma: 20, weights: w });
+    assert.notDeepStrictEqual(weighted[0].paths, plain[0].paths);
+  });
+});